@@ -0,0 +1,85 @@
+// Server-side model export: rebuilds a scene from Object3D.toJSON() output and
+// converts it to GLB or USDZ with the same three.js exporters the browser uses.
+
+const FORMATS = {
+  glb: { extension: 'glb', mimeType: 'model/gltf-binary' },
+  usdz: { extension: 'usdz', mimeType: 'model/vnd.usdz+zip' }
+};
+
+// GLTFExporter reads its output through FileReader, which Node does not provide
+class BlobFileReader {
+  constructor() {
+    this.result = null;
+    this.onload = null;
+    this.onloadend = null;
+  }
+
+  readAsArrayBuffer(blob) {
+    this._read(blob.arrayBuffer());
+  }
+
+  readAsDataURL(blob) {
+    this._read(blob.arrayBuffer().then((buffer) =>
+      `data:${blob.type || 'application/octet-stream'};base64,${Buffer.from(buffer).toString('base64')}`
+    ));
+  }
+
+  _read(promise) {
+    promise.then((result) => {
+      this.result = result;
+      if (this.onload) this.onload({ target: this });
+      if (this.onloadend) this.onloadend({ target: this });
+    });
+  }
+}
+
+let modulesPromise = null;
+
+// three.js and its exporters are ES modules, so load them once on first use
+function loadThree() {
+  if (!modulesPromise) {
+    if (typeof globalThis.FileReader === 'undefined') {
+      globalThis.FileReader = BlobFileReader;
+    }
+    modulesPromise = Promise.all([
+      import('three'),
+      import('three/examples/jsm/exporters/GLTFExporter.js'),
+      import('three/examples/jsm/exporters/USDZExporter.js')
+    ]).then(([THREE, { GLTFExporter }, { USDZExporter }]) => ({ THREE, GLTFExporter, USDZExporter }));
+  }
+  return modulesPromise;
+}
+
+class ExportError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'ExportError';
+    this.status = status;
+  }
+}
+
+async function generateExport(format, sceneJSON) {
+  if (!FORMATS[format]) {
+    throw new ExportError(`Unknown export format '${format}', expected one of: ${Object.keys(FORMATS).join(', ')}`);
+  }
+  if (!sceneJSON || typeof sceneJSON !== 'object' || !sceneJSON.object) {
+    throw new ExportError('Request body must include "scene", the output of Object3D.toJSON()');
+  }
+
+  const { THREE, GLTFExporter, USDZExporter } = await loadThree();
+  let scene;
+  try {
+    scene = new THREE.ObjectLoader().parse(sceneJSON);
+  } catch (error) {
+    throw new ExportError(`Could not read scene: ${error.message}`);
+  }
+
+  if (format === 'glb') {
+    const arrayBuffer = await new GLTFExporter().parseAsync(scene, { binary: true, onlyVisible: true });
+    return Buffer.from(arrayBuffer);
+  }
+  const bytes = await new USDZExporter().parse(scene, { quickLookCompatible: true });
+  return Buffer.from(bytes);
+}
+
+module.exports = { FORMATS, ExportError, generateExport };
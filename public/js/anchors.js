@@ -0,0 +1,207 @@
+import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.158.0/build/three.module.js';
+
+// WebXR anchors for placed models. A tracked model follows its anchor as the runtime refines its
+// map: every frame the anchor's pose becomes the model's placement anchor in the SceneManager,
+// and the model moves and turns with it, keeping its pose relative to the anchor from wherever
+// gestures left it.
+//
+// Where the runtime can persist anchors (XRSession.restorePersistentAnchor), each anchored model
+// is saved to localStorage with its persistent handle and state, so the next session in the same
+// room can restore it (see restoreSaved). Without the 'anchors' feature nothing is tracked and
+// models keep the pose they were placed at.
+
+const STORAGE_KEY = 'webar-atom-anchors';
+
+const _anchorMatrix = new THREE.Matrix4();
+const _inverse = new THREE.Matrix4();
+const _delta = new THREE.Matrix4();
+const _deltaPosition = new THREE.Vector3();
+const _deltaQuaternion = new THREE.Quaternion();
+const _deltaScale = new THREE.Vector3();
+
+export class AnchorManager {
+    // getState(model) returns what to save for a model (see WebARAtomApp.getModelState)
+    constructor(sceneManager, getState) {
+        this.sceneManager = sceneManager;
+        this.getState = getState;
+        this.session = null;
+        this.persistent = false;
+        this.tracked = new Map(); // model -> { anchor, handle, offset }
+        this._pending = []; // models to anchor where they stand, at the next frame
+        this._warned = false;
+    }
+
+    start(session) {
+        this.session = session;
+        this.persistent = typeof session.restorePersistentAnchor === 'function';
+    }
+
+    // Drops the session's anchors without deleting them, so persistent ones can come back
+    end() {
+        this.session = null;
+        this.tracked.clear();
+        this._pending = [];
+    }
+
+    isAnchored(model) {
+        return this.tracked.has(model);
+    }
+
+    // Anchors a model to the surface it was placed on. Must run inside the XR frame callback
+    // the hit test result came from.
+    anchorFromHit(model, hitTestResult) {
+        if (typeof hitTestResult.createAnchor !== 'function') {
+            this.warnUnavailable();
+            return;
+        }
+        hitTestResult.createAnchor()
+            .then((anchor) => this.track(model, anchor))
+            .catch((error) => this.warnUnavailable(error));
+    }
+
+    // Anchors a model at its current position once the next frame comes (e.g. a duplicate)
+    anchorInPlace(model) {
+        this._pending.push(model);
+    }
+
+    // Starts following `anchor`. With `offset` (the model's saved position relative to the
+    // anchor) the model stays hidden until the anchor's pose is first known.
+    track(model, anchor, { handle = null, offset = null } = {}) {
+        if (!this.session || !this.sceneManager.objects.includes(model)) {
+            // Removed (or the session ended) while the anchor was being created
+            anchor.delete();
+            return;
+        }
+        const entry = { anchor, handle, offset };
+        this.tracked.set(model, entry);
+        if (offset) model.getGroup().visible = false;
+        if (this.persistent && !handle && typeof anchor.requestPersistentHandle === 'function') {
+            anchor.requestPersistentHandle().then((persistentHandle) => {
+                entry.handle = persistentHandle;
+                this.save();
+            }).catch((error) => {
+                console.warn('Could not persist anchor:', error);
+            });
+        }
+    }
+
+    // A rebuilt model (e.g. another element in the same place) takes over the old one's anchor
+    transfer(from, to) {
+        const entry = this.tracked.get(from);
+        if (!entry) return;
+        this.tracked.delete(from);
+        this.tracked.set(to, entry);
+    }
+
+    // Deletes a removed model's anchor, and its persistent handle so it stays gone next time
+    release(model) {
+        const entry = this.tracked.get(model);
+        this._pending = this._pending.filter((pending) => pending !== model);
+        if (!entry) return;
+        this.tracked.delete(model);
+        entry.anchor.delete();
+        if (entry.handle && this.session) {
+            this.session.deletePersistentAnchor(entry.handle).catch((error) => {
+                console.warn('Could not delete persistent anchor:', error);
+            });
+            this.save();
+        }
+    }
+
+    // Called every frame of an AR session
+    update(frame, referenceSpace) {
+        if (this._pending.length > 0) {
+            this._pending.splice(0).forEach((model) => this.createAnchorAt(frame, referenceSpace, model));
+        }
+        this.tracked.forEach((entry, model) => {
+            // Anchors that lost tracking leave their model where it was
+            if (frame.trackedAnchors && !frame.trackedAnchors.has(entry.anchor)) return;
+            const pose = frame.getPose(entry.anchor.anchorSpace, referenceSpace);
+            if (!pose) return;
+            _anchorMatrix.fromArray(pose.transform.matrix);
+            const group = model.getGroup();
+            if (entry.offset) {
+                group.position.fromArray(entry.offset).applyMatrix4(_anchorMatrix);
+                group.visible = true;
+                entry.offset = null;
+            } else {
+                // Carry the model along with the anchor's correction, turning it as well as moving it
+                const previous = this.sceneManager.getAnchor(model);
+                _delta.multiplyMatrices(_anchorMatrix, _inverse.copy(previous).invert());
+                _delta.decompose(_deltaPosition, _deltaQuaternion, _deltaScale);
+                group.position.applyMatrix4(_delta);
+                group.quaternion.premultiply(_deltaQuaternion);
+            }
+            this.sceneManager.setAnchor(model, _anchorMatrix);
+        });
+    }
+
+    createAnchorAt(frame, referenceSpace, model) {
+        if (typeof frame.createAnchor !== 'function') {
+            this.warnUnavailable();
+            return;
+        }
+        const { x, y, z } = model.getGroup().position;
+        frame.createAnchor(new XRRigidTransform({ x, y, z }), referenceSpace)
+            .then((anchor) => {
+                // The model now sits at the anchor's origin
+                this.sceneManager.setAnchor(model, _anchorMatrix.makeTranslation(x, y, z));
+                this.track(model, anchor);
+            })
+            .catch((error) => this.warnUnavailable(error));
+    }
+
+    warnUnavailable(error) {
+        if (this._warned) return;
+        this._warned = true;
+        console.warn('WebXR anchors unavailable, placed models keep their first pose', error || '');
+    }
+
+    // Persistence
+
+    // Entries from the last session: [{ handle, state }]
+    loadSaved() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+            return Array.isArray(saved) ? saved : [];
+        } catch (error) {
+            console.warn('Could not read saved anchors:', error);
+            return [];
+        }
+    }
+
+    // Writes every model with a persistent handle, with its current state
+    save() {
+        const entries = [];
+        this.tracked.forEach(({ handle }, model) => {
+            if (handle) entries.push({ handle, state: this.getState(model) });
+        });
+        this.writeSaved(entries);
+    }
+
+    writeSaved(entries) {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(entries));
+        } catch (error) {
+            console.warn('Could not save anchors:', error);
+        }
+    }
+
+    // Restores the saved anchors the runtime still knows; the ones it doesn't (another room,
+    // cleared data) are forgotten. Resolves to [{ anchor, handle, state }].
+    async restoreSaved() {
+        if (!this.persistent) return [];
+        const session = this.session;
+        const restored = [];
+        for (const { handle, state } of this.loadSaved()) {
+            try {
+                restored.push({ anchor: await session.restorePersistentAnchor(handle), handle, state });
+            } catch (error) {
+                console.warn(`Could not restore anchor ${handle}:`, error);
+            }
+        }
+        if (session !== this.session) return [];
+        this.writeSaved(restored.map(({ handle, state }) => ({ handle, state })));
+        return restored;
+    }
+}
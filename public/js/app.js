@@ -1,28 +1,96 @@
 import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.158.0/build/three.module.js';
 import { ARButton } from 'https://cdn.jsdelivr.net/npm/three@0.158.0/examples/jsm/webxr/ARButton.js';
+import { OrbitControls } from 'https://cdn.jsdelivr.net/npm/three@0.158.0/examples/jsm/controls/OrbitControls.js';
 import { AtomModel } from './atom.js';
+import { MoleculeModel } from './molecule.js';
+import { ComparisonModel, COMPARISON_PRESETS } from './comparison.js';
+import { parseStructureFile } from './structure-parsers.js';
+import { SpectrumPanel } from './spectrum-panel.js';
+import { EnergyLevelDiagram } from './energy-diagram.js';
+import { U238_DECAY_CHAIN, formatHalfLife } from './decay.js';
+import { SimulationClock } from './simulation-clock.js';
+import { AtomLabels } from './labels.js';
+import { InfoCard } from './info-card.js';
+import { PeriodicTablePicker } from './periodic-table.js';
+import { DEFAULT_THEME, listThemes } from './themes.js';
+import { getElement } from './elements.js';
+import { STATE_VERSION, encodeStateHash, decodeStateHash } from './share-link.js';
+import { exportModel, exportOnServer, downloadBlob, EXPORT_FORMATS } from './exporters.js';
 import { InteractionManager } from './interactions.js';
+import { SceneManager } from './scene-manager.js';
+import { AnchorManager } from './anchors.js';
+import { LightEstimation } from './light-estimation.js';
+import { SURFACE_FILTERS, PlaneVisualizer, getSurfaceType, getSurfaceTilt, matchesSurfaceFilter } from './planes.js';
+
+const _anchorPosition = new THREE.Vector3();
+const _anchorQuaternion = new THREE.Quaternion();
+const _anchorScale = new THREE.Vector3();
+const _anchorInverse = new THREE.Matrix4();
+const _frameBox = new THREE.Box3();
+const _frameSphere = new THREE.Sphere();
+const _besideSphere = new THREE.Sphere();
+const _besideDirection = new THREE.Vector3();
+const _surfaceBox = new THREE.Box3();
+const _surfaceSphere = new THREE.Sphere();
+const _surfaceMatrix = new THREE.Matrix4();
+const _surfaceNormal = new THREE.Vector3();
+
+const CAMERA_FOV = 70;
+const PLACEMENT_SCALE = 0.5; // Start smaller for mobile screens
+
+// Inline 3D view: steps for the keyboard and the +/- buttons, and where the camera starts
+const SCALE_STEP = 1.2;
+const ROTATE_STEP = Math.PI / 12;
+const MOVE_STEP = 0.02; // meters
+const VIEW_DIRECTION = new THREE.Vector3(0, 0.3, 1).normalize();
+const FRAME_MARGIN = 1.3;
+const OBJECT_GAP = 0.05; // meters between a model and one placed beside it
 
 class WebARAtomApp {
-    constructor() {
+    // arSupported: immersive AR sessions are available; without them only the inline view runs
+    constructor({ arSupported = false } = {}) {
         // Core Three.js components
         this.scene = null;
         this.camera = null;
         this.renderer = null;
+        this.orbitControls = null; // camera controls for the inline 3D view
+        this.defaultLighting = null; // fixed light rig, used whenever there is no light estimate
+        this.lightEstimation = null; // lighting from the room's WebXR light estimate
         
         // AR components
         this.reticle = null;
+        this.planeVisualizer = null; // detected planes drawn while placing
+        this.surfaceFilter = 'any'; // a SURFACE_FILTERS key: the surfaces the reticle lands on
         this.hitTestSource = null;
         this.hitTestSourceRequested = false;
         this.localSpace = null;
         
         // App components
-        this.atom = null;
+        this.sceneManager = null; // every placed model
+        this.anchorManager = null; // WebXR anchors keeping placed models on their spot
+        this.atom = null; // the active one (AtomModel or MoleculeModel) that panels and gestures use
+        this.placementChoice = 'atom'; // 'atom', 'U238', a MOLECULE_PRESETS or COMPARISON_PRESETS key, 'file' or 'link'
+        this.loadedStructure = null; // MoleculeModel definition parsed from a structure file
+        this.elementChoice = null; // { atomicNumber, massNumber } picked from the periodic table for 'atom'
+        this.linkedState = null; // app state opened from a shared link (see fromJSON)
+        // Reticle pose the next model is placed at; the scene manager keeps each model's own
+        this.placementAnchor = new THREE.Matrix4();
         this.interactionManager = null;
+        this.spectrumPanel = null;
+        this.energyDiagram = null;
+        this.atomLabels = null;
+        this.labelsVisible = true;
+        this.infoCard = null;
+        this.periodicTable = null;
+        this.theme = DEFAULT_THEME;
+        // Simulated time driving the placed model, separate from the real frame clock
+        this.simulationClock = new SimulationClock();
         
         // State
+        this.arSupported = arSupported;
         this.isARActive = false;
-        this.atomPlaced = false;
+        this.atomPlaced = false; // false while the reticle is out for a placement
+        this.placementRequested = false; // a select to place at the next hit test (see onSelect)
         
         // Performance
         this.clock = new THREE.Clock();
@@ -38,9 +106,22 @@ class WebARAtomApp {
             this.createRenderer();
             this.createLighting();
             this.createReticle();
-            this.setupARButton();
+            this.createSceneManager();
+            if (this.arSupported) {
+                this.setupARButton();
+            } else {
+                document.getElementById('arButton').remove();
+            }
+            document.body.classList.toggle('ar-supported', this.arSupported);
             this.setupInteractions();
+            this.setupInlineView();
+            this.setupAtomPanel();
+            this.setupPlacementPicker();
+            this.setupSceneControls();
+            this.setupTimeControls();
             this.setupEventListeners();
+            this.loadStateFromHash();
+            this.startInlineView();
             
             this.animate();
             
@@ -57,7 +138,7 @@ class WebARAtomApp {
 
     createCamera() {
         this.camera = new THREE.PerspectiveCamera(
-            70, 
+            CAMERA_FOV, 
             window.innerWidth / window.innerHeight, 
             0.01, 
             20
@@ -83,9 +164,12 @@ class WebARAtomApp {
     }
 
     createLighting() {
+        this.defaultLighting = new THREE.Group();
+        this.scene.add(this.defaultLighting);
+
         // Ambient light for overall illumination
         const ambientLight = new THREE.AmbientLight(0xffffff, 0.6);
-        this.scene.add(ambientLight);
+        this.defaultLighting.add(ambientLight);
 
         // Directional light for shadows and definition
         const directionalLight = new THREE.DirectionalLight(0xffffff, 0.8);
@@ -93,11 +177,20 @@ class WebARAtomApp {
         directionalLight.castShadow = true;
         directionalLight.shadow.mapSize.width = 1024;
         directionalLight.shadow.mapSize.height = 1024;
-        this.scene.add(directionalLight);
+        this.defaultLighting.add(directionalLight);
 
         // Hemisphere light for better color balance
         const hemisphereLight = new THREE.HemisphereLight(0xffffff, 0x444444, 0.4);
-        this.scene.add(hemisphereLight);
+        this.defaultLighting.add(hemisphereLight);
+
+        // Takes over from the rig in AR sessions granted 'light-estimation'
+        this.lightEstimation = new LightEstimation(this.renderer, this.scene, this.defaultLighting);
+    }
+
+    createSceneManager() {
+        this.sceneManager = new SceneManager(this.scene);
+        this.sceneManager.addEventListener('activechange', (event) => this.onActiveModelChange(event));
+        this.anchorManager = new AnchorManager(this.sceneManager, (model) => this.getModelState(model));
     }
 
     createReticle() {
@@ -122,6 +215,8 @@ class WebARAtomApp {
 
         // Add pulsing animation to reticle
         this.reticle.userData.pulsePhase = 0;
+
+        this.planeVisualizer = new PlaneVisualizer(this.scene);
     }
 
     setupARButton() {
@@ -134,7 +229,7 @@ class WebARAtomApp {
         // Create new AR button with Three.js ARButton
         const arButton = ARButton.createButton(this.renderer, {
             requiredFeatures: ['hit-test'],
-            optionalFeatures: ['dom-overlay', 'light-estimation'],
+            optionalFeatures: ['dom-overlay', 'light-estimation', 'anchors', 'plane-detection'],
             domOverlay: { root: document.querySelector('.ui-overlay') }
         });
 
@@ -151,19 +246,43 @@ class WebARAtomApp {
             console.log('ðŸš€ AR session started');
             this.isARActive = true;
             this.hideInstructions();
+            // The active model from the inline view becomes the next one to place
+            this.carryModelOver('3D view');
+            this.atomPlaced = false;
+            this.updateViewMode();
+            this.updateAtomPanel();
+            this.updatePlacementPicker();
+            this.updateTimeControls();
+
+            this.anchorManager.start(this.renderer.xr.getSession());
+            this.lightEstimation.start(this.renderer.xr.getSession());
+            this.restoreAnchoredModels();
         });
 
         this.renderer.xr.addEventListener('sessionend', () => {
             console.log('ðŸ›‘ AR session ended');
             this.isARActive = false;
+            // Save where everything was left before the anchors go away with the session
+            this.anchorManager.save();
+            this.anchorManager.end();
+            this.lightEstimation.end();
+            this.planeVisualizer.clear();
+            // The session's hit test source ended with it
+            this.hitTestSource = null;
+            this.hitTestSourceRequested = false;
+            this.carryModelOver('AR');
             this.atomPlaced = false;
             this.showInstructions();
             
-            if (this.atom) {
-                this.scene.remove(this.atom.getGroup());
-                this.atom.dispose();
-                this.atom = null;
-            }
+            this.removeAllModels();
+            this.updateAtomPanel();
+            this.updatePlacementPicker();
+            this.updateTimeControls();
+
+            // The XR camera overwrote the view camera's pose and projection
+            this.camera.fov = CAMERA_FOV;
+            this.onWindowResize();
+            this.startInlineView();
         });
     }
 
@@ -173,6 +292,14 @@ class WebARAtomApp {
             this.scene, 
             this.camera
         );
+        this.interactionManager.setTargets(this.sceneManager.objects);
+        // A tap on another placed model makes it the active one
+        this.interactionManager.addEventListener('targettap', (event) => this.sceneManager.setActive(event.model));
+        // Tapping a part opens its info card; tapping empty space closes it
+        this.interactionManager.addEventListener('parttap', (event) => {
+            if (this.atom && this.atom.getPartInfo) this.infoCard.show(this.atom.getPartInfo(event.object));
+        });
+        this.interactionManager.addEventListener('emptytap', () => this.infoCard.hide());
 
         // Setup controller select events for atom placement
         const controllers = this.renderer.xr.getController(0);
@@ -180,42 +307,810 @@ class WebARAtomApp {
         this.scene.add(controllers);
     }
 
+    // Inline 3D view, shown without AR and between AR sessions: the camera orbits, zooms and pans
+    // around the model, and keys and buttons stand in for the touch gestures
+    setupInlineView() {
+        // The overlay receives the pointer events (see InteractionManager), so the camera listens there
+        const overlay = document.querySelector('.ui-overlay');
+        this.orbitControls = new OrbitControls(this.camera, overlay);
+        this.orbitControls.enableDamping = true;
+        this.orbitControls.minDistance = 0.05;
+        this.orbitControls.maxDistance = 10;
+
+        // Drags and scrolls on panels belong to the panels. Drags that start on the model turn it
+        // instead: the InteractionManager sees each pointerdown first, as it was set up first.
+        const updateOrbit = (event) => {
+            this.orbitControls.enabled = !this.isARActive && !this.interactionManager.isOverlayControl(event.target);
+        };
+        overlay.addEventListener('pointerdown', updateOrbit, { capture: true });
+        overlay.addEventListener('wheel', updateOrbit, { capture: true, passive: true });
+        this.interactionManager.addEventListener('gesturestart', () => { this.orbitControls.enabled = false; });
+        this.interactionManager.addEventListener('gestureend', () => { this.orbitControls.enabled = !this.isARActive; });
+
+        // The controls list gets out of the way once the view is in use
+        const hideHelp = () => { if (!this.isARActive) this.hideInstructions(); };
+        this.interactionManager.addEventListener('parttap', hideHelp);
+        this.interactionManager.addEventListener('emptytap', hideHelp);
+
+        this.viewControls = document.getElementById('controls');
+        document.getElementById('scaleUp').addEventListener('click', () => this.interactionManager.scaleAtom(SCALE_STEP));
+        document.getElementById('scaleDown').addEventListener('click', () => this.interactionManager.scaleAtom(1 / SCALE_STEP));
+        document.getElementById('reset').addEventListener('click', () => this.resetView());
+        document.getElementById('helpButton').addEventListener('click', () => {
+            document.getElementById('instructions').classList.toggle('hidden');
+        });
+        window.addEventListener('keydown', (event) => this.onKeyDown(event));
+    }
+
+    // The inline view is on whenever no AR session is running
+    updateViewMode() {
+        const inline = !this.isARActive;
+        document.body.classList.toggle('inline-view', inline);
+        this.orbitControls.enabled = inline;
+        this.interactionManager.inline = inline;
+        this.viewControls.classList.toggle('hidden', !inline);
+    }
+
+    startInlineView() {
+        this.updateViewMode();
+        this.placeInline();
+    }
+
+    // The inline view has no placement step: the current choice replaces the active model at once,
+    // where it stood (at the origin for the first one)
+    placeInline() {
+        let tilt = null;
+        if (this.atom) {
+            this.placementAnchor.makeTranslation(this.atom.getGroup().position);
+            tilt = this.getModelTilt(this.atom);
+            this.removeModel();
+        } else {
+            this.placementAnchor.identity();
+        }
+        const state = this.placementChoice === 'link' ? this.linkedState : null;
+        this.showModel(this.createPlacementModel(), state);
+        if (tilt && !state) this.setModelTilt(this.atom, tilt);
+        this.atomPlaced = true;
+        this.updatePlacementPicker();
+        this.frameModel();
+    }
+
+    // Points the inline camera at the placed models from far enough away to fit all of them
+    frameModel() {
+        if (this.sceneManager.objects.length === 0) return;
+        const sphere = this.sceneManager.getBounds(_frameBox).getBoundingSphere(_frameSphere);
+        const radius = Math.max(sphere.radius, 0.05);
+        const distance = FRAME_MARGIN * radius / Math.sin(THREE.MathUtils.degToRad(this.camera.fov) / 2);
+        this.orbitControls.target.copy(sphere.center);
+        this.camera.position.copy(VIEW_DIRECTION).multiplyScalar(distance).add(sphere.center);
+        this.orbitControls.update();
+    }
+
+    // Inline view: the active model back in its starting pose (it only returns to the origin when
+    // it's on its own there), and the camera framing everything again
+    resetView() {
+        if (!this.atom || this.isARActive) return;
+        if (this.sceneManager.objects.length === 1) this.atom.setPosition(0, 0, 0);
+        this.atom.setScale(PLACEMENT_SCALE);
+        this.atom.setRotationY(0);
+        this.setModelTilt(this.atom, [0, 0]);
+        this.frameModel();
+    }
+
+    // Keyboard equivalents of the touch gestures, for the inline view
+    onKeyDown(event) {
+        if (event.key === 'Escape' && this.periodicTable.isOpen()) {
+            this.periodicTable.close();
+            return;
+        }
+        if (this.isARActive || !this.atom || event.ctrlKey || event.metaKey || event.altKey) return;
+        if (event.target.closest && event.target.closest('input, select, textarea')) return;
+
+        const interactions = this.interactionManager;
+        switch (event.key) {
+            case 'ArrowLeft': interactions.rotateAtom(-ROTATE_STEP); break;
+            case 'ArrowRight': interactions.rotateAtom(ROTATE_STEP); break;
+            case 'ArrowUp': interactions.moveAtom(0, MOVE_STEP, 0); break;
+            case 'ArrowDown': interactions.moveAtom(0, -MOVE_STEP, 0); break;
+            case '+':
+            case '=': interactions.scaleAtom(SCALE_STEP); break;
+            case '-':
+            case '_': interactions.scaleAtom(1 / SCALE_STEP); break;
+            case 'r':
+            case 'R': this.resetView(); break;
+            case 'Escape':
+                interactions.clearSelection();
+                this.infoCard.hide();
+                break;
+            default: return;
+        }
+        event.preventDefault();
+    }
+
+    // Switching between AR and the inline view keeps the active model: its state becomes the
+    // "link" placement choice, minus the offset from the old view's anchor
+    carryModelOver(viewName) {
+        if (!this.atom) return;
+        this.offerState({ ...this.toJSON(), placement: null }, viewName);
+        this.removeAllModels();
+    }
+
+    setupPlacementPicker() {
+        this.placementPicker = document.getElementById('placementPicker');
+        const select = document.getElementById('placementSelect');
+        select.addEventListener('change', () => {
+            this.placementChoice = select.value;
+            if (!this.isARActive) this.placeInline();
+        });
+        // Shown once a shared link has been opened, like the file option
+        this.linkOption = document.getElementById('linkOption');
+        // Keep taps on the picker from also firing an XR select (which would place the atom)
+        this.placementPicker.addEventListener('beforexrselect', (event) => event.preventDefault());
+
+        document.getElementById('elementButton').addEventListener('click', () => this.openPeriodicTable());
+
+        const surfaceSelect = document.getElementById('surfaceSelect');
+        Object.entries(SURFACE_FILTERS).forEach(([value, label]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            surfaceSelect.appendChild(option);
+        });
+        surfaceSelect.value = this.surfaceFilter;
+        surfaceSelect.addEventListener('change', () => {
+            this.surfaceFilter = surfaceSelect.value;
+            this.planeVisualizer.setFilter(this.surfaceFilter);
+        });
+
+        const fileInput = document.getElementById('structureFile');
+        fileInput.addEventListener('change', () => {
+            const file = fileInput.files[0];
+            fileInput.value = '';
+            if (file) this.loadStructureFile(file);
+        });
+    }
+
+    setupTimeControls() {
+        this.timeControls = document.getElementById('timeControls');
+        this.timeControls.addEventListener('beforexrselect', (event) => event.preventDefault());
+        this.simulationClock.addEventListener('change', () => this.updateTimeControls());
+
+        document.getElementById('pauseButton').addEventListener('click', () => this.simulationClock.togglePause());
+        document.getElementById('stepForwardButton').addEventListener('click', () => this.stepSimulation(1));
+        document.getElementById('stepBackButton').addEventListener('click', () => this.stepSimulation(-1));
+        const timeScaleInput = document.getElementById('timeScaleInput');
+        timeScaleInput.addEventListener('input', () => {
+            this.simulationClock.setTimeScale(parseFloat(timeScaleInput.value));
+        });
+        const seekInput = document.getElementById('seekInput');
+        seekInput.addEventListener('input', () => {
+            this.simulationClock.pause();
+            this.seekSimulation(parseFloat(seekInput.value));
+        });
+        this.updateTimeControls();
+    }
+
+    // Stepping runs the models forward through animate() so one-off animations advance too;
+    // stepping back seeks, like any backwards jump
+    stepSimulation(frames) {
+        const deltaTime = this.simulationClock.step(frames);
+        this.sceneManager.objects.forEach((model) => model.animate(deltaTime));
+    }
+
+    seekSimulation(time) {
+        this.simulationClock.seek(time);
+        this.sceneManager.objects.forEach((model) => model.seek(this.simulationClock.time));
+    }
+
+    updateTimeControls() {
+        const { time, timeScale, paused } = this.simulationClock;
+        this.timeControls.classList.toggle('hidden', !this.atom);
+        document.getElementById('pauseButton').textContent = paused ? '▶' : '⏸';
+        document.getElementById('timeScaleInput').value = timeScale;
+        document.getElementById('timeScaleReadout').textContent = `${timeScale.toFixed(1)}×`;
+        document.getElementById('timeReadout').textContent = `${time.toFixed(2)} s`;
+        const seekInput = document.getElementById('seekInput');
+        // The scrub range grows a minute at a time as the simulation runs
+        seekInput.max = Math.max(60, Math.ceil(time / 60) * 60);
+        seekInput.value = time;
+    }
+
+    async loadStructureFile(file) {
+        try {
+            const definition = parseStructureFile(await file.text(), file.name);
+            // Build once up front so size limits surface now rather than at placement
+            new MoleculeModel(definition).dispose();
+            this.loadedStructure = definition;
+        } catch (error) {
+            console.warn('Failed to load structure file:', error);
+            this.showError(`Could not load ${file.name}. ${error.message}`);
+            return;
+        }
+
+        const fileOption = document.getElementById('fileOption');
+        fileOption.hidden = false;
+        fileOption.textContent = `${this.loadedStructure.name} (file)`;
+        document.getElementById('placementSelect').value = 'file';
+        this.placementChoice = 'file';
+        if (!this.isARActive) this.placeInline();
+        console.log(`Loaded ${file.name}: ${this.loadedStructure.atoms.length} atoms, ${this.loadedStructure.bonds.length} bonds`);
+    }
+
+    // The inline view keeps the picker up for swapping the model
+    updatePlacementPicker() {
+        this.placementPicker.classList.toggle('hidden', this.atomPlaced && this.isARActive);
+        this.updateSceneControls();
+    }
+
+    // Chips for the placed models (tapping one makes it active, like tapping the model) and the
+    // buttons to place, copy and remove them
+    setupSceneControls() {
+        this.sceneObjects = document.getElementById('sceneObjects');
+        document.getElementById('placeAnotherButton').addEventListener('click', () => this.placeAnother());
+        document.getElementById('duplicateButton').addEventListener('click', () => this.duplicateModel());
+        document.getElementById('deleteButton').addEventListener('click', () => this.deleteModel());
+    }
+
+    updateSceneControls() {
+        const objects = this.sceneManager.objects;
+        this.sceneObjects.innerHTML = '';
+        objects.forEach((model) => {
+            const chip = document.createElement('button');
+            chip.className = 'composition-btn scene-object';
+            chip.classList.toggle('active', model === this.atom);
+            chip.textContent = this.getModelName(model);
+            chip.addEventListener('click', () => this.sceneManager.setActive(model));
+            this.sceneObjects.appendChild(chip);
+        });
+        this.sceneObjects.classList.toggle('hidden', objects.length < 2);
+
+        const placing = this.isARActive && !this.atomPlaced;
+        const placeButton = document.getElementById('placeAnotherButton');
+        placeButton.textContent = placing ? 'Cancel' : '+ Place';
+        placeButton.disabled = !placing && this.sceneManager.isFull();
+        document.getElementById('duplicateButton').disabled = this.sceneManager.isFull();
+    }
+
+    // In AR the reticle comes back for the next placement (pressing again cancels); the inline
+    // view stands the current choice beside the active model
+    placeAnother() {
+        if (this.isARActive) {
+            if (this.atomPlaced && this.sceneManager.isFull()) return;
+            this.atomPlaced = !this.atomPlaced;
+            if (this.atomPlaced) this.stopPlacement();
+            this.updatePlacementPicker();
+            return;
+        }
+        if (this.sceneManager.isFull()) return;
+        const reference = this.atom;
+        this.placementAnchor.identity();
+        this.showModel(this.createPlacementModel(), this.placementChoice === 'link' ? this.linkedState : null);
+        if (reference) this.placeBeside(this.atom, reference);
+        this.frameModel();
+    }
+
+    // Places a copy of the active model next to it
+    duplicateModel() {
+        const source = this.atom;
+        if (!source || this.sceneManager.isFull()) return;
+        const copy = this.createModelFromJSON(source.toJSON());
+        copy.getGroup().position.copy(source.getGroup().position);
+        this.setModelTilt(copy, this.getModelTilt(source));
+        this.placeBeside(copy, source);
+        this.addModel(copy, this.sceneManager.getAnchor(source));
+        if (this.isARActive) this.anchorManager.anchorInPlace(copy);
+    }
+
+    deleteModel() {
+        this.removeModel();
+        // With nothing left, AR goes back to placing
+        if (this.isARActive && this.sceneManager.objects.length === 0) this.atomPlaced = false;
+        this.updatePlacementPicker();
+    }
+
+    // Moves `model` to stand clear of `reference`, to its right as seen from the camera
+    placeBeside(model, reference) {
+        const referenceSphere = _frameBox.setFromObject(reference.getGroup()).getBoundingSphere(_besideSphere);
+        const sphere = _frameBox.setFromObject(model.getGroup()).getBoundingSphere(_frameSphere);
+        _besideDirection.setFromMatrixColumn(this.camera.matrixWorld, 0).setY(0);
+        if (_besideDirection.lengthSq() === 0) _besideDirection.set(1, 0, 0);
+        _besideDirection.normalize();
+        // Move the model's bounds, wherever its origin sits inside them
+        model.getGroup().position.sub(sphere.center).add(referenceSphere.center)
+            .addScaledVector(_besideDirection, referenceSphere.radius + sphere.radius + OBJECT_GAP);
+    }
+
+    // Short name for file names and the model chips: the isotope, formula or compared symbols
+    getModelName(model) {
+        if (model instanceof ComparisonModel) {
+            return model.elements.map((element) => element.symbol).join('-');
+        }
+        return model instanceof MoleculeModel ? model.getFormula() : model.getIsotopeLabel();
+    }
+
+    createPlacementModel() {
+        const options = { theme: this.theme };
+        if (this.placementChoice === 'link' && this.linkedState) {
+            return this.createModelFromJSON(this.linkedState.model);
+        }
+        if (this.placementChoice === 'file' && this.loadedStructure) {
+            return new MoleculeModel(this.loadedStructure, options);
+        }
+        if (this.placementChoice === 'U238') {
+            // Walks the uranium series down to Pb-206 on its own
+            const atom = new AtomModel({ ...options, atomicNumber: 92, massNumber: 238 });
+            atom.startDecay({ chain: U238_DECAY_CHAIN });
+            return atom;
+        }
+        if (COMPARISON_PRESETS[this.placementChoice]) {
+            return ComparisonModel.fromPreset(this.placementChoice, options);
+        }
+        return this.placementChoice === 'atom'
+            ? new AtomModel({ ...options, ...this.elementChoice })
+            : MoleculeModel.fromPreset(this.placementChoice, options);
+    }
+
+    setupAtomPanel() {
+        // Ion/isotope buttons call the matching AtomModel method (addElectron, removeNeutron, ...)
+        this.atomPanel = document.getElementById('atomPanel');
+        this._onCompositionChange = () => this.updateAtomPanel();
+        this.atomPanel.addEventListener('beforexrselect', (event) => event.preventDefault());
+        document.getElementById('exciteButton').addEventListener('click', () => {
+            if (this.atom && this.atom.exciteElectron) this.atom.exciteElectron();
+        });
+        this.spectrumPanel = new SpectrumPanel(document.querySelector('.ui-overlay'));
+        this.energyDiagram = new EnergyLevelDiagram(document.querySelector('.ui-overlay'));
+        this.energyDiagram.addEventListener('leveltap', (event) => this.selectLevel(event.n, event.additive));
+        this.infoCard = new InfoCard(document.querySelector('.ui-overlay'));
+        this.periodicTable = new PeriodicTablePicker(document.querySelector('.ui-overlay'));
+        this.periodicTable.addEventListener('elementchoose', (event) => this.chooseElement(event.atomicNumber, event.massNumber));
+        document.getElementById('periodicTableButton').addEventListener('click', () => this.openPeriodicTable());
+        document.getElementById('labelsButton').addEventListener('click', () => {
+            this.labelsVisible = !this.labelsVisible;
+            if (this.atomLabels) this.atomLabels.setVisible(this.labelsVisible);
+        });
+        document.getElementById('multiSelectButton').addEventListener('click', (event) => {
+            const manager = this.interactionManager;
+            manager.additiveSelection = !manager.additiveSelection;
+            event.currentTarget.textContent = `Multi-select: ${manager.additiveSelection ? 'on' : 'off'}`;
+        });
+        // Parts can leave the selection without a tap (ejected, decayed); close the card once none are left
+        this._onSelectionChange = (event) => {
+            if (event.selection.length === 0) this.infoCard.hide();
+        };
+        this._onDecayChange = () => this.updateDecayControls();
+        document.getElementById('decayButton').addEventListener('click', () => {
+            if (this.atom && this.atom.decay) this.atom.decay();
+        });
+        document.getElementById('autoDecayButton').addEventListener('click', () => {
+            if (!this.atom || !this.atom.startDecay) return;
+            if (this.atom.isDecaying()) {
+                this.atom.stopDecay();
+            } else {
+                this.atom.startDecay();
+            }
+            this.updateDecayControls();
+        });
+        const themeSelect = document.getElementById('themeSelect');
+        listThemes().forEach(({ name, label }) => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = label;
+            themeSelect.appendChild(option);
+        });
+        themeSelect.value = this.theme;
+        themeSelect.addEventListener('change', () => this.setTheme(themeSelect.value));
+        this.atomPanel.querySelectorAll('[data-export]').forEach((button) => {
+            button.addEventListener('click', () => this.exportPlacedModel(button.dataset.export));
+        });
+        document.getElementById('shareButton').addEventListener('click', () => this.shareState());
+        this.atomPanel.querySelectorAll('[data-composition]').forEach((button) => {
+            button.addEventListener('click', () => {
+                if (this.atom) this.atom[button.dataset.composition]();
+            });
+        });
+    }
+
+    updateAtomPanel() {
+        this.updateSceneControls();
+        if (!this.atom) {
+            this.atomPanel.classList.add('hidden');
+            this.spectrumPanel.detach();
+            this.energyDiagram.detach();
+            return;
+        }
+        const buttons = this.atomPanel.querySelector('.composition-buttons');
+        const decayControls = document.getElementById('decayControls');
+        if (this.atom instanceof MoleculeModel) {
+            this.spectrumPanel.detach();
+            this.energyDiagram.detach();
+            decayControls.classList.add('hidden');
+            document.getElementById('atomLabel').textContent = this.atom.getFormula();
+            document.getElementById('atomConfig').textContent = this.atom.name;
+            buttons.classList.add('hidden');
+            this.atomPanel.classList.remove('hidden');
+            return;
+        }
+        buttons.classList.remove('hidden');
+        decayControls.classList.remove('hidden');
+        this.updateDecayControls();
+        const charge = this.atom.getCharge();
+        document.getElementById('atomLabel').textContent = charge === 0
+            ? this.atom.getIsotopeLabel()
+            : `${this.atom.getIsotopeLabel()} · ${this.atom.getIonLabel()}`;
+        document.getElementById('atomConfig').textContent = this.atom.getConfigurationString();
+        this.atomPanel.classList.remove('hidden');
+    }
+
+    // Half-life clock: the isotope's real half-life and, while auto decay runs, the accelerated one
+    updateDecayControls() {
+        if (!(this.atom instanceof AtomModel)) return;
+        const info = this.atom.getDecayInfo();
+        const clock = this.atom.getDecayClock();
+        const autoButton = document.getElementById('autoDecayButton');
+        document.getElementById('decayButton').disabled = !info;
+        autoButton.disabled = !info && !clock;
+        autoButton.textContent = clock ? 'Stop decay' : 'Auto decay';
+
+        let text = 'Stable';
+        if (info) {
+            text = `${info.mode} · T½ ${info.estimated ? '≈ unknown' : formatHalfLife(info.halfLife)}`;
+        }
+        if (clock) {
+            text += ` → ${clock.halfLife.toFixed(1)} s · t = ${clock.elapsed.toFixed(1)} s`;
+        }
+        const decayClock = document.getElementById('decayClock');
+        if (decayClock.textContent !== text) decayClock.textContent = text;
+    }
+
+    async exportPlacedModel(format) {
+        if (!this.atom) return;
+        const baseName = this.getModelName(this.atom);
+        const fileName = `${baseName}.${EXPORT_FORMATS[format].extension}`;
+        let blob;
+        try {
+            blob = await exportModel(this.atom.getGroup(), format);
+        } catch (error) {
+            // Fall back to generating the file on the server
+            console.warn(`Local ${format} export failed, trying server:`, error);
+            try {
+                blob = await exportOnServer(this.atom.getGroup(), format, baseName);
+            } catch (serverError) {
+                console.error('Export failed:', serverError);
+                this.showError(`Could not export ${fileName}. ${serverError.message}`);
+                return;
+            }
+        }
+        downloadBlob(blob, fileName);
+    }
+
     setupEventListeners() {
         // Window resize
         window.addEventListener('resize', () => this.onWindowResize(), false);
+        // Closing the page mid-session ends it without a sessionend; keep the anchored models
+        window.addEventListener('pagehide', () => {
+            if (this.isARActive) this.anchorManager.save();
+        });
     }
 
+    // Placement waits for the next frame's hit test: anchors can only be made from the hit
+    // test result while its frame is current
     onSelect() {
         if (this.reticle.visible && !this.atomPlaced) {
-            this.placeAtom();
+            this.placementRequested = true;
         }
     }
 
-    placeAtom() {
+    // Places the current choice on the reticle, anchored to the surface under it when the
+    // session has anchors
+    placeAtom(hitTestResult = null) {
         console.log('ðŸŽ¯ Placing atom');
-        
-        // Create atom model
-        this.atom = new AtomModel();
-        
-        // Position atom at reticle location
-        const atomGroup = this.atom.getGroup();
-        atomGroup.position.setFromMatrixPosition(this.reticle.matrix);
-        atomGroup.scale.setScalar(0.5); // Start smaller for mobile screens
-        
-        this.scene.add(atomGroup);
-        
-        // Setup interactions
-        this.interactionManager.setAtom(this.atom);
-        
-        // Hide reticle and update state
-        this.reticle.visible = false;
+
+        // The reticle pose, without its pulse, anchors the model
+        this.reticle.matrix.decompose(_anchorPosition, _anchorQuaternion, _anchorScale);
+        this.placementAnchor.compose(_anchorPosition, _anchorQuaternion, _anchorScale.set(1, 1, 1));
+        this.showModel(this.createPlacementModel(), this.placementChoice === 'link' ? this.linkedState : null);
+        this.standOnSurface(this.atom);
+        if (hitTestResult) this.anchorManager.anchorFromHit(this.atom, hitTestResult);
         this.atomPlaced = true;
+        this.stopPlacement();
+        this.updatePlacementPicker();
         
-        // Stop hit testing
+        console.log('âœ… Atom placed successfully');
+    }
+
+    // Turns a newly placed model's up axis to the surface normal, whatever tilt a linked state
+    // had. Off the floor it also stands out from the surface by its radius, rather than sinking
+    // halfway into a wall or ceiling.
+    standOnSurface(model) {
+        this.setModelTilt(model, getSurfaceTilt(this.placementAnchor));
+        if (getSurfaceType(this.placementAnchor) === 'floor') return;
+        const group = model.getGroup();
+        const { radius } = _surfaceBox.setFromObject(group).getBoundingSphere(_surfaceSphere);
+        group.position.add(_surfaceNormal.setFromMatrixColumn(this.placementAnchor, 1).normalize().multiplyScalar(radius));
+    }
+
+    // Surface tilt of a model as [x, z] (see getSurfaceTilt); its Y rotation is the model's own
+    getModelTilt(model) {
+        const { rotation } = model.getGroup();
+        return [rotation.x, rotation.z];
+    }
+
+    setModelTilt(model, [x, z]) {
+        const { rotation } = model.getGroup();
+        rotation.set(x, rotation.y, z, 'ZXY');
+    }
+
+    // Hides the reticle and stops hit testing until the next placement
+    stopPlacement() {
+        this.reticle.visible = false;
+        this.placementRequested = false;
+        if (this.hitTestSource) this.hitTestSource.cancel();
         this.hitTestSource = null;
         this.hitTestSourceRequested = false;
-        
-        console.log('âœ… Atom placed successfully');
+    }
+
+    // Brings back the models left anchored in this room last session, each hidden until its
+    // anchor is found again
+    async restoreAnchoredModels() {
+        const restored = await this.anchorManager.restoreSaved();
+        let count = 0;
+        restored.forEach(({ anchor, handle, state }) => {
+            if (!this.isARActive || this.sceneManager.isFull()) {
+                anchor.delete();
+                return;
+            }
+            try {
+                this.placementAnchor.identity();
+                this.showModel(this.createModelFromJSON(state.model), state);
+            } catch (error) {
+                console.warn('Could not restore anchored model:', error);
+                anchor.delete();
+                return;
+            }
+            const offset = state.placement ? state.placement.offset : [0, 0, 0];
+            this.anchorManager.track(this.atom, anchor, { handle, offset });
+            count++;
+        });
+        if (count === 0) return;
+        this.atomPlaced = true;
+        this.stopPlacement();
+        this.updatePlacementPicker();
+        console.log(`Restored ${count} anchored model(s)`);
+    }
+
+    // Adds a model at the placement anchor. With a saved app state (see toJSON) the model
+    // goes back to its saved offset from the anchor and the clock to the saved time.
+    showModel(model, state = null) {
+        if (this.sceneManager.objects.length === 0) {
+            // The first placement starts the timeline
+            this.simulationClock.seek(state ? state.clock.time : 0);
+            if (state) {
+                this.simulationClock.setTimeScale(state.clock.timeScale);
+                if (state.clock.paused) this.simulationClock.pause();
+                else this.simulationClock.resume();
+            }
+        } else {
+            // Later ones join it, so scrubbing moves every model together
+            model.seek(this.simulationClock.time);
+        }
+
+        // Position atom at the anchor (plus the saved offset)
+        const atomGroup = model.getGroup();
+        atomGroup.position.fromArray(state && state.placement ? state.placement.offset : [0, 0, 0])
+            .applyMatrix4(this.placementAnchor);
+        if (state && state.placement && state.placement.tilt) this.setModelTilt(model, state.placement.tilt);
+        if (!state) model.setScale(PLACEMENT_SCALE);
+        this.addModel(model);
+    }
+
+    // Adds an already posed model to the scene as the active one; `anchor` is the placement
+    // pose its saved position is relative to
+    addModel(model, anchor = this.placementAnchor) {
+        this.sceneManager.add(model, anchor);
+        // A restored selection looks the same as one made by tapping
+        const selected = model.getSelection().map((entry) => entry.object);
+        if (selected.length > 0) model.fadeExcept(selected, 0.1);
+    }
+
+    // Moves interactions, labels and panels over to the newly active model
+    onActiveModelChange({ model, previous }) {
+        if (previous) {
+            previous.removeEventListener('compositionchange', this._onCompositionChange);
+            previous.removeEventListener('selectionchange', this._onSelectionChange);
+            previous.removeEventListener('decayend', this._onDecayChange);
+        }
+        if (this.atomLabels) {
+            this.atomLabels.dispose();
+            this.atomLabels = null;
+        }
+        this.infoCard.hide();
+
+        this.atom = model;
+        this.interactionManager.setAtom(model);
+        if (model) {
+            model.addEventListener('compositionchange', this._onCompositionChange);
+            model.addEventListener('selectionchange', this._onSelectionChange);
+        }
+        if (model instanceof AtomModel) {
+            this.spectrumPanel.attach(model);
+            this.energyDiagram.attach(model);
+            model.addEventListener('decayend', this._onDecayChange);
+            this.atomLabels = new AtomLabels(model);
+            this.atomLabels.setVisible(this.labelsVisible);
+        }
+        this.updateAtomPanel();
+        this.updateTimeControls();
+    }
+
+    openPeriodicTable() {
+        const current = this.atom instanceof AtomModel
+            ? { atomicNumber: this.atom.protonCount, massNumber: this.atom.getMassNumber() }
+            : this.elementChoice;
+        this.periodicTable.open(current);
+    }
+
+    // Periodic table choice: rebuilds the placed model as the chosen isotope, keeping its position,
+    // scale and rotation; before placement it becomes what the "atom" choice places
+    chooseElement(atomicNumber, massNumber) {
+        this.elementChoice = { atomicNumber, massNumber };
+        const element = getElement(atomicNumber);
+        const select = document.getElementById('placementSelect');
+        select.querySelector('option[value="atom"]').textContent = `${element.name}-${massNumber} atom`;
+        select.value = 'atom';
+        this.placementChoice = 'atom';
+        if (!this.atom) return;
+
+        const previous = this.atom;
+        const atom = new AtomModel({
+            atomicNumber,
+            massNumber,
+            theme: this.theme,
+            renderMode: previous instanceof AtomModel ? previous.renderMode : undefined
+        });
+        atom.getGroup().position.copy(previous.getGroup().position);
+        atom.setScale(previous.getScale());
+        atom.setRotationY(previous.getRotationY());
+        this.setModelTilt(atom, this.getModelTilt(previous));
+        atom.seek(this.simulationClock.time);
+        const anchor = this.sceneManager.getAnchor(previous);
+        this.anchorManager.transfer(previous, atom);
+        this.removeModel();
+        this.addModel(atom, anchor);
+    }
+
+    // A tap on a rung of the energy-level diagram selects that level in 3D, like a tap on the model
+    selectLevel(n, additive) {
+        if (!(this.atom instanceof AtomModel)) return;
+        const parts = this.atom.getLevelParts(n);
+        if (parts.length === 0) return;
+        this.interactionManager.selectPart(parts, additive || this.interactionManager.additiveSelection);
+        if (this.atom.isSelected(parts[0])) {
+            this.infoCard.show(this.atom.getPartInfo(parts[0]));
+        }
+    }
+
+    // Removes and disposes of a placed model, the active one by default; the most recently placed
+    // of the others becomes active
+    removeModel(model = this.atom) {
+        if (!model) return;
+        this.anchorManager.release(model);
+        this.sceneManager.remove(model);
+        model.dispose();
+    }
+
+    removeAllModels() {
+        [...this.sceneManager.objects].forEach((model) => this.removeModel(model));
+    }
+
+    setTheme(theme) {
+        this.theme = theme;
+        document.getElementById('themeSelect').value = theme;
+        this.sceneManager.objects.forEach((model) => model.setTheme(theme));
+    }
+
+    // Saving and sharing: the app state with the active model as a plain object, and as a link
+
+    toJSON() {
+        return this.getModelState(this.atom);
+    }
+
+    // App state with any one placed model (or none), as saved by toJSON
+    getModelState(model) {
+        let placement = null;
+        if (model) {
+            const offset = model.getGroup().position.clone()
+                .applyMatrix4(_anchorInverse.copy(this.sceneManager.getAnchor(model)).invert());
+            placement = { offset: offset.toArray(), tilt: this.getModelTilt(model) };
+        }
+        const { time, timeScale, paused } = this.simulationClock;
+        return {
+            version: STATE_VERSION,
+            theme: this.theme,
+            clock: { time, timeScale, paused },
+            model: model ? model.toJSON() : null,
+            placement
+        };
+    }
+
+    // Restores a state from toJSON. The active model is replaced at once; otherwise the state
+    // becomes the "link" placement choice and is applied at the next placement.
+    fromJSON(state) {
+        if (!state || state.version !== STATE_VERSION) {
+            throw new RangeError(`Unsupported state version: ${state && state.version}`);
+        }
+        // Build once up front so a bad state fails now rather than at placement
+        if (state.model) this.createModelFromJSON(state.model).dispose();
+        this.setTheme(state.theme);
+        if (!state.model) return;
+
+        this.offerState(state, 'shared link');
+        if (this.atom) {
+            const model = this.createPlacementModel();
+            this.placementAnchor.copy(this.sceneManager.getAnchor(this.atom));
+            this.anchorManager.transfer(this.atom, model);
+            this.removeModel();
+            this.showModel(model, state);
+        }
+    }
+
+    // Makes a saved state the "link" placement choice; `source` labels the option
+    offerState(state, source) {
+        this.linkedState = state;
+        this.linkOption.hidden = false;
+        this.linkOption.textContent = `${this.describeModelState(state.model)} (${source})`;
+        document.getElementById('placementSelect').value = 'link';
+        this.placementChoice = 'link';
+    }
+
+    createModelFromJSON(model) {
+        if (model.kind === 'comparison') return ComparisonModel.fromJSON(model);
+        return model.kind === 'molecule' ? MoleculeModel.fromJSON(model) : AtomModel.fromJSON(model);
+    }
+
+    describeModelState(model) {
+        if (model.kind === 'molecule') return model.preset || model.definition.name || 'Molecule';
+        if (model.kind === 'comparison') {
+            return model.preset ? COMPARISON_PRESETS[model.preset].name : model.elements.join(', ');
+        }
+        return `${getElement(model.atomicNumber).symbol}-${model.massNumber}`;
+    }
+
+    loadStateFromHash() {
+        try {
+            const state = decodeStateHash(window.location.hash);
+            if (state) this.fromJSON(state);
+        } catch (error) {
+            console.warn('Failed to open shared link:', error);
+            this.showError(`Could not open this link. ${error.message}`);
+        }
+    }
+
+    getShareURL() {
+        const url = new URL(window.location.href);
+        url.hash = encodeStateHash(this.toJSON());
+        return url.href;
+    }
+
+    // Puts the link in the address bar and, where allowed, on the clipboard
+    async shareState() {
+        const button = document.getElementById('shareButton');
+        let url;
+        try {
+            url = this.getShareURL();
+        } catch (error) {
+            this.showError(error.message);
+            return;
+        }
+        history.replaceState(null, '', url);
+        try {
+            await navigator.clipboard.writeText(url);
+            button.textContent = 'Link copied';
+        } catch (error) {
+            console.warn('Clipboard unavailable, link left in the address bar:', error);
+            button.textContent = 'Link in address bar';
+        }
+        setTimeout(() => { button.textContent = 'Share link'; }, 2000);
     }
 
     onWindowResize() {
@@ -233,9 +1128,29 @@ class WebARAtomApp {
     render(timestamp, frame) {
         const deltaTime = this.clock.getDelta();
         
-        // Update atom animation
-        if (this.atom) {
-            this.atom.animate(deltaTime);
+        // Update model animations on simulated time
+        const simulatedDelta = this.simulationClock.tick(deltaTime);
+        const models = this.sceneManager.objects;
+        models.forEach((model) => model.animate(simulatedDelta));
+        if (models.length > 0 && simulatedDelta > 0) this.updateTimeControls();
+
+        if (this.spectrumPanel) {
+            this.spectrumPanel.update(deltaTime);
+        }
+
+        if (this.energyDiagram) {
+            this.energyDiagram.update();
+        }
+
+        if (this.atomLabels) {
+            this.atomLabels.update();
+        }
+
+        models.forEach((model) => model.updateLevelOfDetail(this.camera));
+        this.sceneManager.update();
+
+        if (this.atom instanceof AtomModel && this.atom.isDecaying()) {
+            this.updateDecayControls();
         }
 
         // Update interactions
@@ -243,8 +1158,22 @@ class WebARAtomApp {
             this.interactionManager.update();
         }
 
+        // Damped orbiting keeps easing out after the pointer lets go
+        if (this.orbitControls && !this.isARActive) {
+            this.orbitControls.update();
+        }
+
         // Handle AR hit testing
         this.handleHitTesting(frame);
+
+        // Follow the anchors' refined poses, and show the detected planes while placing
+        if (frame) {
+            const referenceSpace = this.renderer.xr.getReferenceSpace();
+            this.anchorManager.update(frame, referenceSpace);
+            this.lightEstimation.update(frame);
+            this.planeVisualizer.update(frame, referenceSpace);
+            this.planeVisualizer.setVisible(!this.atomPlaced);
+        }
         
         // Animate reticle
         this.animateReticle(deltaTime);
@@ -268,33 +1197,42 @@ class WebARAtomApp {
         if (!this.hitTestSourceRequested) {
             session.requestReferenceSpace('viewer').then((referenceSpace) => {
                 session.requestHitTestSource({ space: referenceSpace }).then((source) => {
+                    // Placement stopped (or a newer request won) while this one was pending
+                    if (!this.hitTestSourceRequested || this.hitTestSource) {
+                        source.cancel();
+                        return;
+                    }
                     this.hitTestSource = source;
                 }).catch((error) => {
                     console.warn('Hit test not supported:', error);
                 });
             });
 
-            session.addEventListener('end', () => {
-                this.hitTestSourceRequested = false;
-                this.hitTestSource = null;
-            });
-
             this.hitTestSourceRequested = true;
         }
 
         if (this.hitTestSource) {
             const hitTestResults = frame.getHitTestResults(this.hitTestSource);
-            
-            if (hitTestResults.length > 0) {
-                const hit = hitTestResults[0];
-                const pose = hit.getPose(referenceSpace);
-                
-                if (pose) {
-                    this.reticle.visible = true;
-                    this.reticle.matrix.fromArray(pose.transform.matrix);
+            // The nearest hit on a surface of the chosen kind; the reticle takes its pose, so it
+            // lies flat against whatever it landed on
+            let hit = null;
+            for (const result of hitTestResults) {
+                const pose = result.getPose(referenceSpace);
+                if (!pose) continue;
+                _surfaceMatrix.fromArray(pose.transform.matrix);
+                if (matchesSurfaceFilter(getSurfaceType(_surfaceMatrix), this.surfaceFilter)) {
+                    hit = result;
+                    break;
                 }
+            }
+            
+            if (hit) {
+                this.reticle.visible = true;
+                this.reticle.matrix.copy(_surfaceMatrix);
+                if (this.placementRequested) this.placeAtom(hit);
             } else {
                 this.reticle.visible = false;
+                this.placementRequested = false;
             }
         }
     }
@@ -358,6 +1296,8 @@ class WebARAtomApp {
                 Close
             </button>
         `;
+        // Messages can quote file contents, so never parse them as HTML
+        errorDiv.querySelector('p').textContent = message;
         document.body.appendChild(errorDiv);
     }
 
@@ -366,9 +1306,22 @@ class WebARAtomApp {
         if (this.interactionManager) {
             this.interactionManager.dispose();
         }
+
+        if (this.orbitControls) {
+            this.orbitControls.dispose();
+        }
+
+        if (this.lightEstimation) {
+            this.lightEstimation.dispose();
+        }
+
+        if (this.planeVisualizer) {
+            this.planeVisualizer.dispose();
+        }
         
-        if (this.atom) {
-            this.atom.dispose();
+        if (this.sceneManager) {
+            this.sceneManager.objects.forEach((model) => model.dispose());
+            this.sceneManager.dispose();
         }
         
         // Remove event listeners
@@ -379,26 +1332,22 @@ class WebARAtomApp {
 }
 
 // Initialize app when DOM is loaded
-document.addEventListener('DOMContentLoaded', () => {
+document.addEventListener('DOMContentLoaded', async () => {
     console.log('ðŸš€ Starting WebAR Atom App...');
     
-    // Check WebXR support
+    // Check WebXR support; without AR the app runs in the inline 3D view only
+    let arSupported = false;
     if (navigator.xr) {
-        navigator.xr.isSessionSupported('immersive-ar').then((supported) => {
-            if (supported) {
-                console.log('âœ… WebXR AR supported');
-                new WebARAtomApp();
-            } else {
-                console.warn('âš ï¸ WebXR AR not supported');
-                document.getElementById('arButton').textContent = 'AR Not Supported';
-                document.getElementById('arButton').disabled = true;
-            }
-        });
+        arSupported = await navigator.xr.isSessionSupported('immersive-ar').catch(() => false);
+        if (arSupported) {
+            console.log('âœ… WebXR AR supported');
+        } else {
+            console.warn('âš ï¸ WebXR AR not supported');
+        }
     } else {
         console.warn('âš ï¸ WebXR not available');
-        document.getElementById('arButton').textContent = 'WebXR Not Available';
-        document.getElementById('arButton').disabled = true;
     }
+    window.webARApp = new WebARAtomApp({ arSupported });
 });
 
 // Handle app lifecycle
@@ -1,12 +1,99 @@
 import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.158.0/build/three.module.js';
+import { getElement, MAX_ATOMIC_NUMBER } from './elements.js';
+import { getElectronConfiguration, formatConfiguration, getShellLayout, getShellRadius } from './electron-config.js';
+import { getEmissionLine, wavelengthToRGB } from './spectra.js';
+import { createOrbitalCloudGroup } from './orbitals.js';
+import { packNucleus } from './nucleus-packing.js';
+import { Trail } from './trails.js';
+import { InstancedParts, PROXY_LAYER, createInstanceStyle } from './instancing.js';
+import { getTheme, getShellColor, getGlowColors } from './themes.js';
+import { getDecayInfo, canDecay, getDaughter, acceleratedHalfLife, sampleDecayTime } from './decay.js';
+
+// Composition change animation timings (seconds)
+const REBALANCE_DURATION = 0.6;
+const FLIGHT_DURATION = 0.8;
+export const MAX_MASS_NUMBER = 300;
+const MAX_ELECTRONS = 118;
+
+// Electron transitions: seconds spent in each excited level, highest reachable n, photon flight time
+const EXCITED_LIFETIME = 1.2;
+const MAX_EXCITED_LEVEL = 7;
+const PHOTON_DURATION = 1.5;
+
+// Radioactive decay: delay before a daughter's gamma photon
+const GAMMA_DELAY = 0.4;
+
+// Level of detail: segment counts from close up (0) to far away (2). A level is dropped once the
+// atom's outer radius divided by its distance from the camera falls below the matching threshold.
+const NUCLEON_RADIUS = 0.04;
+const ELECTRON_RADIUS = 0.025;
+const DETAIL_LEVELS = [
+    { nucleon: 16, electron: 12, ring: 64 },
+    { nucleon: 10, electron: 8, ring: 32 },
+    { nucleon: 6, electron: 6, ring: 20 }
+];
+const DETAIL_THRESHOLDS = [0.2, 0.06];
+const DETAIL_HYSTERESIS = 0.15;
+
+// Rest properties shown on info cards (masses in unified atomic mass units)
+export const PARTICLE_PROPERTIES = {
+    proton: { name: 'Proton', charge: 1, mass: 1.007276 },
+    neutron: { name: 'Neutron', charge: 0, mass: 1.008665 },
+    electron: { name: 'Electron', charge: -1, mass: 0.000548580 }
+};
+
+const SUPERSCRIPT_DIGITS = ['⁰', '¹', '²', '³', '⁴', '⁵', '⁶', '⁷', '⁸', '⁹'];
+
+// e.g. "+1 e", "−2 e", "0"
+export function formatCharge(charge) {
+    if (charge === 0) return '0';
+    return `${charge > 0 ? '+' : '−'}${Math.abs(charge)} e`;
+}
+
+const HIGHLIGHT_WHITE = new THREE.Color(0xffffff);
+const _worldPosition = new THREE.Vector3();
+const _worldScale = new THREE.Vector3();
+const _cameraPosition = new THREE.Vector3();
+
+function easeInOut(t) {
+    return t * t * (3 - 2 * t);
+}
+
+export class AtomModel extends THREE.EventDispatcher {
+    constructor(options = {}) {
+        super();
+        const {
+            atomicNumber = 6,
+            massNumber,
+            electronCount = atomicNumber,
+            renderMode = 'bohr',
+            trails = {},
+            theme,
+            instanced = true
+        } = options;
+        // Colors and material parameters for every part (see themes.js)
+        this.theme = getTheme(theme);
+        this.element = getElement(atomicNumber);
+        this.atomicNumber = atomicNumber;
+        this.massNumber = massNumber !== undefined ? massNumber : this.element.commonMassNumber;
+        if (!Number.isInteger(this.massNumber) || this.massNumber < atomicNumber || this.massNumber > MAX_MASS_NUMBER) {
+            throw new RangeError(`Mass number for ${this.element.symbol} must be an integer between ${atomicNumber} and ${MAX_MASS_NUMBER}, got ${this.massNumber}`);
+        }
+        this.protonCount = atomicNumber;
+        this.neutronCount = this.massNumber - atomicNumber;
+        if (!Number.isInteger(electronCount) || electronCount < 0 || electronCount > MAX_ELECTRONS) {
+            throw new RangeError(`Electron count must be an integer between 0 and ${MAX_ELECTRONS}, got ${electronCount}`);
+        }
+        this.electronCount = electronCount;
 
-export class AtomModel {
-    constructor() {
         this.group = new THREE.Group();
         this.electrons = [];
         this.nucleus = [];
         this.orbits = [];
         this.electronTrails = [];
+        // Options shared by every electron's Trail (see TRAIL_DEFAULTS), and shells whose trails are off
+        this.trailOptions = { color: this.theme.electron.color, opacity: this.theme.trail.opacity, ...trails };
+        this._hiddenTrailShells = new Set();
         
         this.animationSpeed = 0.02;
         this.baseScale = 1;
@@ -18,10 +105,24 @@ export class AtomModel {
         this._fadeTargets = []; // array of { material, from, to }
         this._fadeDuration = 0.25; // seconds
         this._fadeElapsed = 0;
-        // Nucleus highlight state
-        this._highlighted = new Set(); // set of meshes
+        // Selected parts: object -> { type, object, highlight }, see select()
+        this._selection = new Map();
+        // Running composition animations: array of { elapsed, duration, update(t), complete() }
+        this._tweens = [];
+        // Render mode: 'bohr' rings or 'quantum' probability clouds (built lazily)
+        this.renderMode = 'bohr';
+        this.orbitalCloudGroup = null;
+        // Automatic decay clock, see startDecay
+        this._decay = null;
+        // Nucleons and electrons are drawn through InstancedParts unless instanced is false
+        this.instanced = instanced;
+        this._instances = null;
+        this.detailLevel = 0;
+        this._sphereGeometries = new Map(); // "radius:segments" -> SphereGeometry, shared by every level
         
         this.createAtom();
+        this.setRenderMode(renderMode);
+        this.updateInstances();
     }
 
     createAtom() {
@@ -33,275 +134,444 @@ export class AtomModel {
 
     createNucleus() {
         const nucleusGroup = new THREE.Group();
+        this.group.add(nucleusGroup);
+        this.nucleusGroup = nucleusGroup;
         
-        // Create protons (bright red with metallic finish)
-        const protonGeometry = new THREE.SphereGeometry(0.04, 16, 16);
-        const protonMaterial = new THREE.MeshStandardMaterial({ 
-            color: 0xff3333,
-            metalness: 0.6,
-            roughness: 0.2,
-            emissive: 0x441111
-        });
-
-        // Create neutrons (blue-white with metallic finish)
-        const neutronGeometry = new THREE.SphereGeometry(0.04, 16, 16);
-        const neutronMaterial = new THREE.MeshStandardMaterial({ 
-            color: 0x6699ff,
-            metalness: 0.6,
-            roughness: 0.2,
-            emissive: 0x112244
-        });
-
-        // Arrange nucleus particles in a more realistic cluster
-        const positions = [
-            // Inner core
-            [0, 0, 0],
-            [0.06, 0, 0],
-            [0, 0.06, 0],
-            [0, 0, 0.06],
-            [-0.06, 0, 0],
-            [0, -0.06, 0],
-            [0, 0, -0.06],
-            // Outer ring
-            [0.08, 0.08, 0],
-            [-0.08, 0.08, 0],
-            [0.08, -0.08, 0],
-            [-0.08, -0.08, 0],
-            [0, 0.08, 0.08],
-            [0, -0.08, -0.08]
-        ];
-
-        for (let i = 0; i < 13; i++) {
-            const isProton = i < 6;
-            const particle = new THREE.Mesh(
-                isProton ? protonGeometry : neutronGeometry,
-                isProton ? protonMaterial : neutronMaterial
-            );
-            // Tag nucleus type for interaction
-            particle.userData.isNucleus = true;
-            particle.userData.nucleusType = isProton ? 'proton' : 'neutron';
-            
-            if (positions[i]) {
-                particle.position.set(...positions[i]);
-            } else {
-                // Random positioning for any extra particles
-                const phi = Math.acos(-1 + (2 * i) / 13);
-                const theta = Math.sqrt(13 * Math.PI) * phi;
-                particle.position.set(
-                    0.05 * Math.cos(theta) * Math.sin(phi),
-                    0.05 * Math.sin(theta) * Math.sin(phi),
-                    0.05 * Math.cos(phi)
-                );
-            }
-            
-            particle.userData.originalPosition = particle.position.clone();
-            particle.userData.vibrationPhase = Math.random() * Math.PI * 2;
-            // Store original material emissive settings on demand
-            particle.userData._origEmissive = null;
-            
-            nucleusGroup.add(particle);
-            this.nucleus.push(particle);
+        // Create protons and neutrons (metallic finish by default, colors from the theme)
+        this._protonGeometry = this.getSphereGeometry(NUCLEON_RADIUS, DETAIL_LEVELS[this.detailLevel].nucleon);
+        this._protonMaterial = new THREE.MeshStandardMaterial(this.theme.proton);
+
+        this._neutronGeometry = this._protonGeometry;
+        this._neutronMaterial = new THREE.MeshStandardMaterial(this.theme.neutron);
+
+        if (this.instanced) {
+            this._instances = {
+                proton: new InstancedParts(this._protonMaterial, this._protonGeometry, nucleusGroup),
+                neutron: new InstancedParts(this._neutronMaterial, this._neutronGeometry, nucleusGroup)
+            };
         }
 
-        this.group.add(nucleusGroup);
-        this.nucleusGroup = nucleusGroup;
+        // Pack nucleons into a mixed, roughly spherical cluster (deterministic per isotope)
+        const { particles, radius } = packNucleus(this.protonCount, this.neutronCount);
+        this.nucleusRadius = radius + 0.04;
+
+        particles.forEach(({ type, position }) => {
+            this.createNucleon(type, new THREE.Vector3(...position));
+        });
+    }
+
+    createNucleon(type, position) {
+        const isProton = type === 'proton';
+        const particle = new THREE.Mesh(
+            isProton ? this._protonGeometry : this._neutronGeometry,
+            isProton ? this._protonMaterial : this._neutronMaterial
+        );
+        // Tag nucleus type for interaction
+        particle.userData.isNucleus = true;
+        particle.userData.nucleusType = type;
+        particle.position.copy(position);
+        
+        particle.userData.originalPosition = particle.position.clone();
+        particle.userData.vibrationPhase = Math.random() * Math.PI * 2;
+        this.useInstancing(particle);
+        
+        this.nucleusGroup.add(particle);
+        this.nucleus.push(particle);
+        return particle;
     }
 
     addNucleusGlow() {
+        // Glow shells hug the nucleus, never shrinking below the original carbon-sized halo
+        const innerGlowRadius = Math.max(0.12, this.nucleusRadius + 0.03);
+
         // Inner glow
-        const innerGlowGeometry = new THREE.SphereGeometry(0.12, 32, 32);
+        const innerGlowGeometry = new THREE.SphereGeometry(innerGlowRadius, 32, 32);
+        const glowColors = getGlowColors(this.theme, this.element);
         const innerGlowMaterial = new THREE.MeshBasicMaterial({
-            color: 0xffaa00,
+            color: glowColors.inner,
             transparent: true,
-            opacity: 0.3,
+            opacity: this.theme.glow.innerOpacity,
             side: THREE.BackSide
         });
         const innerGlow = new THREE.Mesh(innerGlowGeometry, innerGlowMaterial);
         this.nucleusGroup.add(innerGlow);
+        this.innerGlow = innerGlow;
+        this._glowGeometryRadius = innerGlowRadius;
 
         // Outer glow
-        const outerGlowGeometry = new THREE.SphereGeometry(0.18, 32, 32);
+        const outerGlowGeometry = new THREE.SphereGeometry(innerGlowRadius * 1.5, 32, 32);
         const outerGlowMaterial = new THREE.MeshBasicMaterial({
-            color: 0xffdd44,
+            color: glowColors.outer,
             transparent: true,
-            opacity: 0.15,
+            opacity: this.theme.glow.outerOpacity,
             side: THREE.BackSide
         });
         const outerGlow = new THREE.Mesh(outerGlowGeometry, outerGlowMaterial);
         this.nucleusGroup.add(outerGlow);
+        this.outerGlow = outerGlow;
+    }
+
+    computeShellLayout() {
+        this.configuration = getElectronConfiguration(this.atomicNumber, this.electronCount);
+        // Keep the innermost ring clear of large nuclei
+        this.shellBaseRadius = Math.max(0.25, this.nucleusRadius + 0.12);
+        this.shellLayout = getShellLayout(this.configuration, { baseRadius: this.shellBaseRadius });
+    }
+
+    buildOrbitConfig(shell, index) {
+        return {
+            radius: shell.radius,
+            inclination: index === 0 ? 0 : (index % 2 === 0 ? -1 : 1) * Math.PI / 3,
+            color: getShellColor(this.theme, index),
+            opacity: index === 0 ? this.theme.shellOpacity.inner : this.theme.shellOpacity.outer,
+            width: 0.008,
+            shell
+        };
     }
 
     createElectronOrbits() {
-        const orbitalConfigs = [
-            { 
-                radius: 0.25, 
-                inclination: 0, 
-                color: 0x44ff88,
-                opacity: 0.4,
-                width: 0.008
-            },
-            { 
-                radius: 0.45, 
-                inclination: Math.PI / 3, 
-                color: 0x4488ff,
-                opacity: 0.35,
-                width: 0.008
-            },
-            { 
-                radius: 0.45, 
-                inclination: -Math.PI / 3, 
-                color: 0xff4488,
-                opacity: 0.35,
-                width: 0.008
-            },
-            { 
-                radius: 0.45, 
-                inclination: Math.PI / 2, 
-                color: 0xffaa44,
-                opacity: 0.35,
-                width: 0.008
-            }
-        ];
-        
-        orbitalConfigs.forEach((config, index) => {
-            // Create orbital ring
-            const orbitGeometry = new THREE.RingGeometry(
-                config.radius - config.width/2, 
-                config.radius + config.width/2, 
-                64
-            );
-            const orbitMaterial = new THREE.MeshBasicMaterial({
-                color: config.color,
-                transparent: true,
-                opacity: config.opacity,
-                side: THREE.DoubleSide
-            });
-            
-            const orbit = new THREE.Mesh(orbitGeometry, orbitMaterial);
-            
-            // Apply orbital inclination
-            orbit.rotation.x = config.inclination;
-            orbit.rotation.z = index * Math.PI / 6; // Vary the orbital orientations
-            
-            this.group.add(orbit);
-            this.orbits.push({
-                mesh: orbit,
-                config: config,
-                rotationSpeed: 0.001 * (index + 1)
-            });
+        this.computeShellLayout();
+        this.shellLayout.forEach((shell, index) => {
+            this.createOrbit(this.buildOrbitConfig(shell, index), index);
         });
     }
 
+    createOrbit(config, index) {
+        // Create orbital ring
+        const orbitGeometry = this.createRingGeometry(config, DETAIL_LEVELS[this.detailLevel].ring);
+        const orbitMaterial = new THREE.MeshBasicMaterial({
+            color: config.color,
+            transparent: true,
+            opacity: config.opacity,
+            side: THREE.DoubleSide
+        });
+        
+        const orbit = new THREE.Mesh(orbitGeometry, orbitMaterial);
+        
+        // Apply orbital inclination
+        orbit.rotation.x = config.inclination;
+        const baseRotationZ = index * Math.PI / 6; // Vary the orbital orientations
+        orbit.rotation.z = baseRotationZ;
+        orbit.visible = this.renderMode === 'bohr';
+        
+        this.group.add(orbit);
+        const orbital = {
+            mesh: orbit,
+            config: config,
+            // Ring geometry is built at this radius; later radius changes are applied as mesh scale
+            geometryRadius: config.radius,
+            baseRotationZ,
+            rotationSpeed: 0.06 * (index + 1) // radians per second
+        };
+        this.orbits.push(orbital);
+        return orbital;
+    }
+
+    createRingGeometry(config, segments) {
+        return new THREE.RingGeometry(config.radius - config.width / 2, config.radius + config.width / 2, segments);
+    }
+
     createElectrons() {
-        const electronGeometry = new THREE.SphereGeometry(0.025, 12, 12);
-        const electronMaterial = new THREE.MeshStandardMaterial({ 
-            color: 0x00ff66,
-            metalness: 0.8,
-            roughness: 0.1,
-            emissive: 0x003311,
-            emissiveIntensity: 0.5
-        });
-
-        // Electron configurations matching orbitals
-        const electronConfigs = [
-            // First shell (2 electrons)
-            { 
-                orbital: 0, 
-                angle: 0, 
-                speed: 0.03,
-                phaseOffset: 0 
-            },
-            { 
-                orbital: 0, 
-                angle: Math.PI, 
-                speed: 0.03,
-                phaseOffset: Math.PI 
-            },
-            
-            // Second shell (4 electrons across 3 orbitals)
-            { 
-                orbital: 1, 
-                angle: 0, 
-                speed: 0.02,
-                phaseOffset: 0 
-            },
-            { 
-                orbital: 1, 
-                angle: Math.PI, 
-                speed: 0.02,
-                phaseOffset: Math.PI 
-            },
-            { 
-                orbital: 2, 
-                angle: Math.PI/2, 
-                speed: 0.02,
-                phaseOffset: Math.PI/2 
-            },
-            { 
-                orbital: 3, 
-                angle: 3*Math.PI/2, 
-                speed: 0.02,
-                phaseOffset: 3*Math.PI/2 
+        this._electronGeometry = this.getSphereGeometry(ELECTRON_RADIUS, DETAIL_LEVELS[this.detailLevel].electron);
+        this._electronMaterial = new THREE.MeshStandardMaterial(this.theme.electron);
+        if (this.instanced) {
+            this._instances.electron = new InstancedParts(this._electronMaterial, this._electronGeometry, this.group);
+        }
+
+        for (let i = 0; i < this.electronCount; i++) {
+            this.createElectron();
+        }
+        this.assignElectronsToShells(false);
+    }
+
+    createElectron() {
+        const electron = new THREE.Mesh(this._electronGeometry, this._electronMaterial);
+        electron.userData = {
+            orbitalIndex: 0,
+            angle: 0,
+            speed: 0,
+            phaseOffset: 0,
+            trailEnabled: true
+        };
+        electron.visible = this.renderMode === 'bohr';
+        this.useInstancing(electron);
+        
+        this.group.add(electron);
+        this.electrons.push(electron);
+
+        // Create electron trail
+        this.createElectronTrail(electron);
+        return electron;
+    }
+
+    // Spread each shell's electrons around its orbit using the shell layout's phase spacing.
+    // Electrons keep their relative order, so a rebalance only moves the ones whose shell changed.
+    assignElectronsToShells(animated) {
+        let electronIndex = 0;
+        this.shellLayout.forEach((shell, orbitalIndex) => {
+            for (let i = 0; i < shell.electronCount; i++) {
+                const electron = this.electrons[electronIndex++];
+                if (!electron) return;
+                const userData = electron.userData;
+                if (animated) {
+                    userData.blend = { from: electron.position.clone(), elapsed: 0, duration: REBALANCE_DURATION };
+                }
+                userData.orbitalIndex = orbitalIndex;
+                userData.excitation = null;
+                userData.phaseOffset = shell.phaseOffset + i * shell.phaseStep;
+                userData.speed = shell.speed;
+                this.updateTrailVisibility(electron);
             }
-        ];
+        });
+    }
 
-        electronConfigs.forEach((config, index) => {
-            const electron = new THREE.Mesh(electronGeometry, electronMaterial);
-            
-            electron.userData = {
-                orbitalIndex: config.orbital,
-                angle: config.angle,
-                speed: config.speed,
-                phaseOffset: config.phaseOffset,
-                trailPoints: []
-            };
-            
-            this.group.add(electron);
-            this.electrons.push(electron);
+    createElectronTrail(electron) {
+        const trail = new Trail(this.trailOptions);
+        this.group.add(trail.line);
+        electron.userData.trail = trail;
+        this.updateTrailVisibility(electron);
+    }
+
+    // Trails: configurable for all electrons, switchable per electron or per shell
 
-            // Create electron trail
-            this.createElectronTrail(electron, index);
+    setTrailOptions(options) {
+        this.trailOptions = { ...this.trailOptions, ...options };
+        this.electrons.forEach((electron) => electron.userData.trail.setOptions(options));
+    }
+
+    getTrailOptions() {
+        return { ...this.trailOptions };
+    }
+
+    setTrailsEnabled(enabled) {
+        this._hiddenTrailShells.clear();
+        this.electrons.forEach((electron) => {
+            electron.userData.trailEnabled = enabled;
+            this.updateTrailVisibility(electron);
         });
     }
 
-    createElectronTrail(electron, index) {
-        const trailGeometry = new THREE.BufferGeometry();
-        const trailMaterial = new THREE.LineBasicMaterial({
-            color: 0x00ff66,
-            transparent: true,
-            opacity: 0.3,
-            linewidth: 2
+    setElectronTrailEnabled(electron, enabled) {
+        electron.userData.trailEnabled = enabled;
+        this.updateTrailVisibility(electron);
+    }
+
+    // Applies to whichever electrons are in shell n, now and after later rebalances
+    setShellTrailsEnabled(n, enabled) {
+        if (enabled) {
+            this._hiddenTrailShells.delete(n);
+        } else {
+            this._hiddenTrailShells.add(n);
+        }
+        this.electrons.forEach((electron) => this.updateTrailVisibility(electron));
+    }
+
+    isTrailVisible(electron) {
+        // Shell filters follow the electron's ground shell, not a level it is briefly excited to
+        const shell = this.shellLayout[electron.userData.orbitalIndex];
+        return this.renderMode === 'bohr' &&
+            electron.userData.trailEnabled &&
+            !(shell && this._hiddenTrailShells.has(shell.n));
+    }
+
+    updateTrailVisibility(electron) {
+        const trail = electron.userData.trail;
+        const visible = this.isTrailVisible(electron);
+        // Hidden trails stop sampling, so start afresh rather than reappear with a stale tail
+        if (visible && !trail.line.visible) trail.clear();
+        trail.line.visible = visible;
+    }
+
+    setRenderMode(mode) {
+        if (mode !== 'bohr' && mode !== 'quantum') {
+            throw new Error(`Unknown render mode: ${mode}`);
+        }
+        if (mode === 'quantum' && !this.orbitalCloudGroup) {
+            this.orbitalCloudGroup = createOrbitalCloudGroup(this.configuration, this.shellLayout);
+            this.group.add(this.orbitalCloudGroup);
+        }
+
+        const isBohr = mode === 'bohr';
+        this.orbits.forEach((orbital) => { orbital.mesh.visible = isBohr; });
+        this.renderMode = mode;
+        this.electrons.forEach((electron) => {
+            electron.visible = isBohr;
+            this.updateTrailVisibility(electron);
         });
+        if (this.orbitalCloudGroup) {
+            this.orbitalCloudGroup.visible = !isBohr;
+        }
+    }
 
-        const trailPositions = new Float32Array(60 * 3); // 20 trail points
-        trailGeometry.setAttribute('position', new THREE.BufferAttribute(trailPositions, 3));
+    getRenderMode() {
+        return this.renderMode;
+    }
 
-        const trail = new THREE.Line(trailGeometry, trailMaterial);
-        this.group.add(trail);
-        
-        electron.userData.trail = trail;
-        electron.userData.trailPositions = trailPositions;
-        electron.userData.trailIndex = 0;
+    toggleRenderMode() {
+        this.setRenderMode(this.renderMode === 'bohr' ? 'quantum' : 'bohr');
+    }
+
+    getOrbitalClouds() {
+        return this.orbitalCloudGroup ? this.orbitalCloudGroup.children : [];
+    }
+
+    // Instanced drawing and level of detail
+
+    getSphereGeometry(radius, segments) {
+        const key = `${radius}:${segments}`;
+        if (!this._sphereGeometries.has(key)) {
+            this._sphereGeometries.set(key, new THREE.SphereGeometry(radius, segments, segments));
+        }
+        return this._sphereGeometries.get(key);
     }
 
+    // Hands a part mesh over to its InstancedParts: the mesh stops rendering itself but keeps
+    // its children (labels) and stays hittable
+    useInstancing(mesh) {
+        if (!this.instanced) return;
+        mesh.layers.set(PROXY_LAYER);
+        mesh.userData.instanceStyle = createInstanceStyle();
+    }
+
+    // A part leaving the atom with its own material draws itself again
+    releaseInstancing(mesh) {
+        mesh.layers.set(0);
+        mesh.userData.instanceStyle = null;
+    }
+
+    updateInstances() {
+        if (!this._instances) return;
+        this._instances.proton.update(this.nucleus);
+        this._instances.neutron.update(this.nucleus);
+        this._instances.electron.update(this.electrons);
+    }
+
+    // Radius of the outermost orbit (of the nucleus for a bare nucleus), before scaling
+    getOuterRadius() {
+        const outerShell = this.shellLayout[this.shellLayout.length - 1];
+        return outerShell ? outerShell.radius : this.nucleusRadius;
+    }
+
+    // Picks the level of detail from how large the atom appears to `camera`. Call once per frame.
+    updateLevelOfDetail(camera) {
+        this.group.getWorldPosition(_worldPosition);
+        this.group.getWorldScale(_worldScale);
+        camera.getWorldPosition(_cameraPosition);
+        const radius = this.getOuterRadius() * _worldScale.x;
+        const size = radius / Math.max(1e-3, _worldPosition.distanceTo(_cameraPosition));
+
+        // Only move past a threshold by a margin, so the level doesn't flicker at the boundary
+        let level = this.detailLevel;
+        while (level > 0 && size > DETAIL_THRESHOLDS[level - 1] * (1 + DETAIL_HYSTERESIS)) level--;
+        while (level < DETAIL_THRESHOLDS.length && size < DETAIL_THRESHOLDS[level] * (1 - DETAIL_HYSTERESIS)) level++;
+        this.setDetailLevel(level);
+    }
+
+    // 0 is full detail; higher levels use fewer sphere and ring segments
+    setDetailLevel(level) {
+        if (level === this.detailLevel || !DETAIL_LEVELS[level]) return;
+        this.detailLevel = level;
+        const detail = DETAIL_LEVELS[level];
+
+        this._protonGeometry = this.getSphereGeometry(NUCLEON_RADIUS, detail.nucleon);
+        this._neutronGeometry = this._protonGeometry;
+        this._electronGeometry = this.getSphereGeometry(ELECTRON_RADIUS, detail.electron);
+        this.nucleus.forEach((mesh) => { mesh.geometry = this._protonGeometry; });
+        this.electrons.forEach((electron) => { electron.geometry = this._electronGeometry; });
+        if (this._instances) {
+            this._instances.proton.setGeometry(this._protonGeometry);
+            this._instances.neutron.setGeometry(this._neutronGeometry);
+            this._instances.electron.setGeometry(this._electronGeometry);
+        }
+
+        this.orbits.forEach((orbital) => {
+            orbital.mesh.geometry.dispose();
+            orbital.mesh.geometry = this.createRingGeometry(
+                { radius: orbital.geometryRadius, width: orbital.config.width }, detail.ring);
+        });
+    }
+
+    getDetailLevel() {
+        return this.detailLevel;
+    }
+
+    // Advances the simulation by deltaTime simulated seconds. Periodic motion (orbits, spin,
+    // vibration) is posed from this.time alone, so it looks the same at any frame rate;
+    // one-off animations (tweens, fades, excitations, decays) step by deltaTime.
     animate(deltaTime) {
+        if (deltaTime < 0) {
+            this.seek(this.time + deltaTime);
+            return;
+        }
         this.time += deltaTime;
-        
+        this.updatePose(deltaTime);
+
+        this.updateExcitations(deltaTime);
+        this.updateDecay(deltaTime);
+        this.updateTweens(deltaTime);
+
+        // Animate fade transitions if active
+        if (this._fadeIsAnimating && this._fadeTargets.length > 0) {
+            this._fadeElapsed += deltaTime;
+            const t = Math.min(1, this._fadeElapsed / this._fadeDuration);
+            // Ease in-out (S-curve)
+            const eased = t * t * (3 - 2 * t);
+            this._fadeTargets.forEach((ft) => {
+                const newOpacity = ft.from + (ft.to - ft.from) * eased;
+                ft.material.opacity = newOpacity;
+                // Ensure transparency remains enabled during tween
+                ft.material.transparent = true;
+            });
+            if (t >= 1) {
+                this._fadeIsAnimating = false;
+                this._fadeTargets = [];
+            }
+        }
+
+        this.updateInstances();
+    }
+
+    // Jumps to simulated time `time`, forwards or backwards. Running tweens and fades are
+    // finished rather than rewound, and decays or excitations that already happened stay.
+    seek(time) {
+        this.finishTweens();
+        if (this._fadeTargets.length > 0) {
+            this._fadeTargets.forEach((ft) => { ft.material.opacity = ft.to; });
+            this._fadeIsAnimating = false;
+            this._fadeTargets = [];
+        }
+        this.electrons.forEach((electron) => {
+            electron.userData.blend = null;
+            electron.userData.trail.clear();
+        });
+        this.time = Math.max(0, time);
+        this.updatePose(0);
+        this.updateInstances();
+    }
+
+    getTime() {
+        return this.time;
+    }
+
+    // Poses everything that moves periodically for the current this.time.
+    // deltaTime only advances electron glides and trails, so a paused clock (0) holds still.
+    updatePose(deltaTime) {
+        const time = this.time;
+
         // Animate nucleus particles with subtle vibration
-        this.nucleus.forEach((particle, index) => {
+        this.nucleus.forEach((particle) => {
             const userData = particle.userData;
-            userData.vibrationPhase += deltaTime * 2;
+            const phase = userData.vibrationPhase + time * 2;
             
             const vibrationScale = 0.003;
             const vibration = new THREE.Vector3(
-                Math.sin(userData.vibrationPhase) * vibrationScale,
-                Math.cos(userData.vibrationPhase * 1.3) * vibrationScale,
-                Math.sin(userData.vibrationPhase * 0.8) * vibrationScale
+                Math.sin(phase) * vibrationScale,
+                Math.cos(phase * 1.3) * vibrationScale,
+                Math.sin(phase * 0.8) * vibrationScale
             );
             
             particle.position.copy(userData.originalPosition).add(vibration);
-            particle.rotation.x += 0.01;
-            particle.rotation.y += 0.008;
+            particle.rotation.set(time * 0.6, time * 0.48, 0);
         });
 
         // Animate electrons along orbitals
@@ -310,10 +580,13 @@ export class AtomModel {
             const orbital = this.orbits[userData.orbitalIndex];
             
             if (orbital) {
-                userData.angle += userData.speed;
+                userData.angle = userData.phaseOffset + userData.speed * time;
                 
                 const config = orbital.config;
-                const radius = config.radius;
+                // Excited electrons circle at the radius of the level they were lifted to
+                const radius = userData.excitation
+                    ? getShellRadius(userData.excitation.n, this.shellBaseRadius)
+                    : config.radius;
                 
                 // Calculate electron position with orbital inclination
                 const x = Math.cos(userData.angle) * radius;
@@ -324,77 +597,593 @@ export class AtomModel {
                 
                 // Add slight wobble
                 const wobble = 0.01;
-                electron.position.x += Math.sin(this.time * 5 + index) * wobble;
-                electron.position.y += Math.cos(this.time * 3 + index) * wobble;
+                electron.position.x += Math.sin(time * 5 + index) * wobble;
+                electron.position.y += Math.cos(time * 3 + index) * wobble;
+
+                // Glide from the previous spot after a shell rebalance
+                if (userData.blend) {
+                    const blend = userData.blend;
+                    blend.elapsed += deltaTime;
+                    const t = Math.min(1, blend.elapsed / blend.duration);
+                    electron.position.lerpVectors(blend.from, electron.position, easeInOut(t));
+                    if (t >= 1) userData.blend = null;
+                }
                 
                 // Update electron trail
-                this.updateElectronTrail(electron);
+                if (deltaTime > 0) this.updateElectronTrail(electron);
             }
         });
 
+        // Slowly turn the probability clouds so their 3D shape reads on a flat screen
+        if (this.orbitalCloudGroup) {
+            this.orbitalCloudGroup.rotation.y = time * 0.12;
+        }
+
         // Rotate orbitals slowly
-        this.orbits.forEach((orbital, index) => {
-            orbital.mesh.rotation.y += orbital.rotationSpeed;
-            orbital.mesh.rotation.z += orbital.rotationSpeed * 0.5;
+        this.orbits.forEach((orbital) => {
+            orbital.mesh.rotation.y = orbital.rotationSpeed * time;
+            orbital.mesh.rotation.z = orbital.baseRotationZ + orbital.rotationSpeed * 0.5 * time;
         });
 
         // Rotate entire nucleus group slowly
-        this.nucleusGroup.rotation.y += 0.005;
-        this.nucleusGroup.rotation.x += 0.003;
+        this.nucleusGroup.rotation.y = time * 0.3;
+        this.nucleusGroup.rotation.x = time * 0.18;
 
-        // Animate fade transitions if active
-        if (this._fadeIsAnimating && this._fadeTargets.length > 0) {
-            this._fadeElapsed += deltaTime;
-            const t = Math.min(1, this._fadeElapsed / this._fadeDuration);
-            // Ease in-out (S-curve)
-            const eased = t * t * (3 - 2 * t);
-            this._fadeTargets.forEach((ft) => {
-                const newOpacity = ft.from + (ft.to - ft.from) * eased;
-                ft.material.opacity = newOpacity;
-                // Ensure transparency remains enabled during tween
-                ft.material.transparent = true;
+        // Pulse the highlight on selected parts
+        if (this._selection.size > 0) {
+            const wave = Math.sin(time * 6);
+            this._selection.forEach((entry) => entry.highlight.update(wave));
+        }
+    }
+
+    updateElectronTrail(electron) {
+        const trail = electron.userData.trail;
+        if (trail.line.visible) trail.push(electron.position, this.time);
+    }
+
+    // Electron transitions and photon emission
+
+    // Outermost electron that is not already excited
+    getValenceElectron() {
+        for (let i = this.electrons.length - 1; i >= 0; i--) {
+            if (!this.electrons[i].userData.excitation) return this.electrons[i];
+        }
+        return null;
+    }
+
+    getElectronLevel(electron) {
+        const userData = electron.userData;
+        if (userData.excitation) return userData.excitation.n;
+        const shell = this.shellLayout[userData.orbitalIndex];
+        return shell ? shell.n : 1;
+    }
+
+    // Lifts an electron to a higher level; it later falls back, emitting a photon per step.
+    // Without a target level it jumps one to four levels up.
+    exciteElectron(electron = this.getValenceElectron(), targetLevel) {
+        if (!electron || electron.userData.excitation) return false;
+        const groundLevel = this.getElectronLevel(electron);
+        const level = targetLevel !== undefined
+            ? targetLevel
+            : groundLevel + 1 + Math.floor(Math.random() * 4);
+        const clampedLevel = Math.min(MAX_EXCITED_LEVEL, level);
+        if (clampedLevel <= groundLevel) return false;
+
+        electron.userData.excitation = { groundLevel, n: clampedLevel, remaining: EXCITED_LIFETIME };
+        electron.userData.blend = { from: electron.position.clone(), elapsed: 0, duration: REBALANCE_DURATION };
+        this.dispatchEvent({ type: 'electronexcited', electron, fromN: groundLevel, toN: clampedLevel });
+        return true;
+    }
+
+    updateExcitations(deltaTime) {
+        this.electrons.forEach((electron) => {
+            const excitation = electron.userData.excitation;
+            if (!excitation) return;
+            excitation.remaining -= deltaTime;
+            if (excitation.remaining > 0) return;
+
+            // Drop to a random lower level (possibly straight to the ground level), emitting the difference
+            const fromN = excitation.n;
+            const toN = excitation.groundLevel + Math.floor(Math.random() * (fromN - excitation.groundLevel));
+            this.emitPhoton(electron, fromN, toN, excitation.groundLevel);
+            electron.userData.blend = { from: electron.position.clone(), elapsed: 0, duration: REBALANCE_DURATION };
+            if (toN === excitation.groundLevel) {
+                electron.userData.excitation = null;
+            } else {
+                excitation.n = toN;
+                excitation.remaining = EXCITED_LIFETIME * 0.6;
+            }
+        });
+    }
+
+    emitPhoton(electron, fromN, toN, groundLevel) {
+        const line = getEmissionLine(this.element, this.electronCount, fromN, toN, groundLevel);
+        const { r, g, b } = wavelengthToRGB(line.wavelength);
+        const color = new THREE.Color(r, g, b);
+
+        const from = electron.position.clone();
+        const direction = from.clone().normalize().add(this.randomDirection().multiplyScalar(0.6)).normalize();
+        this.launchPhoton(from, direction, color);
+
+        this.dispatchEvent({
+            type: 'photonemitted',
+            wavelength: line.wavelength,
+            series: line.series,
+            source: line.source,
+            fromN,
+            toN,
+            color: color.getHex()
+        });
+    }
+
+    // A bright packet trailing a short sine wave; shorter wavelengths get a tighter wave
+    launchPhoton(from, direction, color, waveFrequency = 0.9) {
+        const photon = new THREE.Group();
+        const material = new THREE.MeshBasicMaterial({ color, transparent: true });
+        photon.add(new THREE.Mesh(new THREE.SphereGeometry(0.018, 10, 10), material));
+        const wavePoints = [];
+        for (let i = 0; i <= 24; i++) {
+            const z = -i * 0.008;
+            wavePoints.push(new THREE.Vector3(Math.sin(i * waveFrequency) * 0.015, 0, z));
+        }
+        const waveMaterial = new THREE.LineBasicMaterial({ color, transparent: true });
+        photon.add(new THREE.Line(new THREE.BufferGeometry().setFromPoints(wavePoints), waveMaterial));
+
+        const to = from.clone().addScaledVector(direction, 1.2);
+        photon.position.copy(from);
+        // Wave trails along local -Z, so point local +Z along the flight direction
+        photon.quaternion.setFromUnitVectors(new THREE.Vector3(0, 0, 1), direction);
+        this.group.add(photon);
+
+        this.startTween(PHOTON_DURATION, (t) => {
+            photon.position.lerpVectors(from, to, t);
+            material.opacity = 1 - t * t;
+            waveMaterial.opacity = material.opacity;
+        }, () => this.disposeObject(photon));
+    }
+
+    // Composition: ions and isotopes, changed in place with animation
+
+    getCharge() {
+        return this.protonCount - this.electronCount;
+    }
+
+    getMassNumber() {
+        return this.protonCount + this.neutronCount;
+    }
+
+    // e.g. "C-14"
+    getIsotopeLabel() {
+        return `${this.element.symbol}-${this.getMassNumber()}`;
+    }
+
+    // e.g. "Na⁺", "O²⁻", or just "C" when neutral
+    getIonLabel() {
+        const charge = this.getCharge();
+        if (charge === 0) return this.element.symbol;
+        const magnitude = Math.abs(charge);
+        const digits = magnitude === 1 ? '' : String(magnitude).split('').map((d) => SUPERSCRIPT_DIGITS[d]).join('');
+        return `${this.element.symbol}${digits}${charge > 0 ? '⁺' : '⁻'}`;
+    }
+
+    addElectron() {
+        if (this.electronCount >= MAX_ELECTRONS) return false;
+        this.electronCount++;
+        this.computeShellLayout();
+
+        // Fly in from outside the outermost shell
+        const electron = this.createElectron();
+        const outerRadius = this.shellLayout[this.shellLayout.length - 1].radius;
+        electron.position.copy(this.randomDirection().multiplyScalar(outerRadius * 2 + 0.5));
+        this.applyShellChange();
+        this.dispatchCompositionChange('addElectron');
+        return true;
+    }
+
+    removeElectron() {
+        if (this.electronCount === 0) return false;
+        this.electronCount--;
+        this.computeShellLayout();
+
+        // Electrons are ordered by shell, so the last one sits in the outermost shell
+        const electron = this.electrons.pop();
+        this.ejectElectron(electron);
+        this.applyShellChange();
+        this.dispatchCompositionChange('removeElectron');
+        return true;
+    }
+
+    addNeutron() {
+        if (this.getMassNumber() >= MAX_MASS_NUMBER) return false;
+        this.neutronCount++;
+        this.repackNucleus();
+        this.dispatchCompositionChange('addNeutron');
+        return true;
+    }
+
+    removeNeutron() {
+        if (this.neutronCount === 0) return false;
+        this.neutronCount--;
+        this.repackNucleus();
+        this.dispatchCompositionChange('removeNeutron');
+        return true;
+    }
+
+    // Changing the proton count changes the element; electrons stay, so the charge shifts
+    addProton() {
+        if (this.protonCount >= MAX_ATOMIC_NUMBER || this.getMassNumber() >= MAX_MASS_NUMBER) return false;
+        this.setProtonCount(this.protonCount + 1);
+        this.dispatchCompositionChange('addProton');
+        return true;
+    }
+
+    removeProton() {
+        if (this.protonCount <= 1) return false;
+        this.setProtonCount(this.protonCount - 1);
+        this.dispatchCompositionChange('removeProton');
+        return true;
+    }
+
+    setProtonCount(protonCount) {
+        this.protonCount = protonCount;
+        this.atomicNumber = protonCount;
+        this.element = getElement(protonCount);
+        this.applyGlowColors();
+        this.repackNucleus();
+    }
+
+    dispatchCompositionChange(change) {
+        this.massNumber = this.getMassNumber();
+        this.dispatchEvent({
+            type: 'compositionchange',
+            change,
+            element: this.element,
+            charge: this.getCharge(),
+            massNumber: this.massNumber
+        });
+    }
+
+    randomDirection() {
+        return new THREE.Vector3(Math.random() - 0.5, Math.random() - 0.5, Math.random() - 0.5)
+            .normalize();
+    }
+
+    // Grow, shrink, add or drop orbit rings to match the new layout, then move electrons onto them
+    applyShellChange() {
+        this.shellLayout.forEach((shell, index) => {
+            const config = this.buildOrbitConfig(shell, index);
+            let orbital = this.orbits[index];
+            if (!orbital) {
+                orbital = this.createOrbit(config, index);
+                orbital.mesh.scale.setScalar(0.001);
+            }
+            orbital.config = config;
+            const fromScale = orbital.mesh.scale.x;
+            const toScale = config.radius / orbital.geometryRadius;
+            this.startTween(REBALANCE_DURATION, (t) => {
+                orbital.mesh.scale.setScalar(fromScale + (toScale - fromScale) * t);
             });
-            if (t >= 1) {
-                this._fadeIsAnimating = false;
-                this._fadeTargets = [];
+        });
+
+        const emptied = this.orbits.splice(this.shellLayout.length);
+        emptied.forEach((orbital) => {
+            this.deselect(orbital.mesh);
+            const fromScale = orbital.mesh.scale.x;
+            this.startTween(REBALANCE_DURATION, (t) => {
+                orbital.mesh.scale.setScalar(Math.max(0.001, fromScale * (1 - t)));
+            }, () => this.disposeObject(orbital.mesh));
+        });
+
+        this.assignElectronsToShells(true);
+        this.refreshOrbitalClouds();
+    }
+
+    ejectElectron(electron) {
+        electron.userData.trail.dispose();
+        this.deselect(electron);
+        this.releaseInstancing(electron);
+
+        // Fade a private copy of the shared material while flying away
+        electron.material = electron.material.clone();
+        electron.material.transparent = true;
+        const from = electron.position.clone();
+        const to = from.clone().add(this.randomDirection().add(from.clone().normalize()).normalize().multiplyScalar(1.5));
+        this.startTween(FLIGHT_DURATION, (t) => {
+            electron.position.lerpVectors(from, to, t);
+            electron.material.opacity = 1 - t;
+        }, () => {
+            electron.material.dispose();
+            this.group.remove(electron);
+        });
+    }
+
+    // Repack for the new nucleon counts, reusing existing meshes so each one glides to its nearest new site
+    repackNucleus() {
+        const { particles, radius } = packNucleus(this.protonCount, this.neutronCount);
+        this.nucleusRadius = radius + 0.04;
+
+        ['proton', 'neutron'].forEach((type) => {
+            const targets = particles.filter((particle) => particle.type === type)
+                .map((particle) => new THREE.Vector3(...particle.position));
+            const meshes = this.nucleus.filter((mesh) => mesh.userData.nucleusType === type);
+
+            // Surplus nucleons leave from the surface
+            meshes.sort((a, b) => b.userData.originalPosition.length() - a.userData.originalPosition.length());
+            while (meshes.length > targets.length) {
+                this.ejectNucleon(meshes.shift());
             }
+            // Missing nucleons fly in from outside the nucleus
+            while (meshes.length < targets.length) {
+                const mesh = this.createNucleon(type, this.randomDirection().multiplyScalar(this.nucleusRadius + 0.8));
+                meshes.push(mesh);
+            }
+
+            // Greedy nearest-site matching
+            const remaining = targets.slice();
+            meshes.forEach((mesh) => {
+                let best = 0;
+                remaining.forEach((target, index) => {
+                    if (target.distanceToSquared(mesh.userData.originalPosition) <
+                        remaining[best].distanceToSquared(mesh.userData.originalPosition)) {
+                        best = index;
+                    }
+                });
+                const from = mesh.userData.originalPosition.clone();
+                const to = remaining.splice(best, 1)[0];
+                const duration = from.distanceTo(to) > 0.3 ? FLIGHT_DURATION : REBALANCE_DURATION;
+                this.startTween(duration, (t) => {
+                    mesh.userData.originalPosition.lerpVectors(from, to, t);
+                });
+            });
+        });
+
+        // Resize the glow and push the shells out (or in) to fit the new nucleus
+        const glowScale = Math.max(0.12, this.nucleusRadius + 0.03) / this._glowGeometryRadius;
+        const fromGlowScale = this.innerGlow.scale.x;
+        this.startTween(REBALANCE_DURATION, (t) => {
+            const scale = fromGlowScale + (glowScale - fromGlowScale) * t;
+            this.innerGlow.scale.setScalar(scale);
+            this.outerGlow.scale.setScalar(scale);
+        });
+        this.computeShellLayout();
+        this.applyShellChange();
+    }
+
+    ejectNucleon(mesh) {
+        this.nucleus.splice(this.nucleus.indexOf(mesh), 1);
+        this.deselect(mesh);
+        this.releaseInstancing(mesh);
+        mesh.material = mesh.material.clone();
+        mesh.material.transparent = true;
+        const from = mesh.userData.originalPosition.clone();
+        const to = this.randomDirection().add(from.clone().normalize()).normalize().multiplyScalar(1.2);
+        this.startTween(FLIGHT_DURATION, (t) => {
+            mesh.position.lerpVectors(from, to, t);
+            mesh.material.opacity = 1 - t;
+        }, () => {
+            mesh.material.dispose();
+            this.nucleusGroup.remove(mesh);
+        });
+    }
+
+    // Radioactive decay
+
+    getDecayInfo() {
+        return getDecayInfo(this.protonCount, this.neutronCount);
+    }
+
+    // Runs one decay event now. Without a mode the isotope's own decay mode is used,
+    // so stable isotopes only decay when a mode is forced.
+    decay(mode) {
+        const info = this.getDecayInfo();
+        const decayMode = mode || (info && info.mode);
+        if (!decayMode || !canDecay(this.protonCount, this.neutronCount, decayMode)) return false;
+
+        const parent = this.getIsotopeLabel();
+        if (decayMode === 'alpha') {
+            this.emitAlphaParticle();
+        } else if (decayMode === 'beta-minus' || decayMode === 'beta-plus') {
+            this.emitBetaParticle(decayMode);
+        } else {
+            this.launchPhoton(new THREE.Vector3(), this.randomDirection(), new THREE.Color(this.theme.gamma), 2.4);
         }
 
-        // Pulse highlight on selected nucleus particles
-        if (this._highlighted.size > 0) {
-            const pulse = 1 + Math.sin(this.time * 6) * 0.12; // scale pulse
-            const emissivePulse = 0.6 + (Math.sin(this.time * 6) * 0.4 + 0.4); // 0.2..1.0
-            this._highlighted.forEach((mesh) => {
-                // Scale pulse
-                mesh.scale.setScalar(pulse);
-                // Emissive pulse
-                const mat = mesh.material;
-                if (mat && mat.isMeshStandardMaterial) {
-                    mat.emissiveIntensity = (mesh.userData._origEmissive && mesh.userData._origEmissive.intensity !== undefined)
-                        ? mesh.userData._origEmissive.intensity * emissivePulse
-                        : emissivePulse;
-                }
+        // Like addProton, the electrons stay put, so alpha and beta decays leave an ion behind
+        if (decayMode !== 'gamma') {
+            const daughter = getDaughter(this.protonCount, this.neutronCount, decayMode);
+            this.neutronCount = daughter.neutronCount;
+            this.setProtonCount(daughter.protonCount);
+            this.dispatchCompositionChange(decayMode);
+        }
+        this.dispatchEvent({
+            type: 'decay',
+            mode: decayMode,
+            parent,
+            daughter: this.getIsotopeLabel(),
+            element: this.element
+        });
+
+        // Daughters left in an excited state settle by emitting a gamma photon
+        if (decayMode !== 'gamma' && info && info.gamma) {
+            this.startTween(GAMMA_DELAY, () => {}, () => this.decay('gamma'));
+        }
+        return true;
+    }
+
+    // Alpha decay: the two protons and two neutrons nearest a random point on the surface leave together
+    emitAlphaParticle() {
+        const direction = this.randomDirection();
+        const surfacePoint = direction.clone().multiplyScalar(this.nucleusRadius);
+        const cluster = new THREE.Group();
+        ['proton', 'neutron'].forEach((type) => {
+            this.nucleus
+                .filter((mesh) => mesh.userData.nucleusType === type)
+                .sort((a, b) => a.userData.originalPosition.distanceToSquared(surfacePoint) -
+                    b.userData.originalPosition.distanceToSquared(surfacePoint))
+                .slice(0, 2)
+                .forEach((mesh) => {
+                    this.nucleus.splice(this.nucleus.indexOf(mesh), 1);
+                    this.deselect(mesh);
+                    this.releaseInstancing(mesh);
+                    mesh.material = mesh.material.clone();
+                    mesh.material.transparent = true;
+                    mesh.position.copy(mesh.userData.originalPosition);
+                    cluster.add(mesh);
+                });
+        });
+        this.nucleusGroup.add(cluster);
+
+        const to = direction.multiplyScalar(1.2);
+        this.startTween(FLIGHT_DURATION * 1.5, (t) => {
+            cluster.position.lerpVectors(surfacePoint, to, t);
+            cluster.children.forEach((mesh) => { mesh.material.opacity = 1 - t; });
+        }, () => {
+            // Geometries are shared with the remaining nucleons, so only the cloned materials go
+            cluster.children.forEach((mesh) => mesh.material.dispose());
+            this.nucleusGroup.remove(cluster);
+        });
+    }
+
+    // Beta decay: a neutron turns into a proton and emits an electron (beta-minus),
+    // or a proton turns into a neutron and emits a positron (beta-plus)
+    emitBetaParticle(mode) {
+        const fromType = mode === 'beta-minus' ? 'neutron' : 'proton';
+        const toType = mode === 'beta-minus' ? 'proton' : 'neutron';
+        const candidates = this.nucleus.filter((mesh) => mesh.userData.nucleusType === fromType);
+        const nucleon = candidates[Math.floor(Math.random() * candidates.length)];
+        // It is a different particle now, so it leaves the selection
+        this.deselect(nucleon);
+        nucleon.userData.nucleusType = toType;
+        nucleon.geometry = toType === 'proton' ? this._protonGeometry : this._neutronGeometry;
+        nucleon.material = toType === 'proton' ? this._protonMaterial : this._neutronMaterial;
+
+        const material = mode === 'beta-minus'
+            ? this._electronMaterial.clone()
+            : new THREE.MeshBasicMaterial({ color: this.theme.positron });
+        material.transparent = true;
+        const particle = new THREE.Mesh(this._electronGeometry, material);
+        const from = nucleon.userData.originalPosition.clone();
+        const to = from.clone().normalize().add(this.randomDirection()).normalize().multiplyScalar(1.5);
+        particle.position.copy(from);
+        this.nucleusGroup.add(particle);
+        this.startTween(FLIGHT_DURATION, (t) => {
+            particle.position.lerpVectors(from, to, t);
+            material.opacity = 1 - t;
+        }, () => {
+            material.dispose();
+            this.nucleusGroup.remove(particle);
+        });
+    }
+
+    // Runs decays automatically on an accelerated clock until the isotope is stable.
+    // options.halfLife fixes the on-screen half-life in seconds; by default each isotope's real
+    // half-life is compressed with acceleratedHalfLife. options.chain (a list of isotope labels,
+    // e.g. U238_DECAY_CHAIN) stops the run once the atom leaves the chain.
+    startDecay(options = {}) {
+        const { halfLife = null, chain = null } = options;
+        this._decay = { halfLife, chain, currentHalfLife: 0, elapsed: 0, nextEvent: 0, total: 0 };
+        return this.scheduleNextDecay();
+    }
+
+    stopDecay(reason = 'stopped') {
+        if (!this._decay) return;
+        this._decay = null;
+        this.dispatchEvent({ type: 'decayend', reason, isotope: this.getIsotopeLabel() });
+    }
+
+    isDecaying() {
+        return this._decay !== null;
+    }
+
+    scheduleNextDecay() {
+        const info = this.getDecayInfo();
+        const { chain } = this._decay;
+        if (!info || (chain && (chain.indexOf(this.getIsotopeLabel()) === -1 ||
+            chain[chain.length - 1] === this.getIsotopeLabel()))) {
+            this.stopDecay('stable');
+            return false;
+        }
+        const halfLife = this._decay.halfLife || acceleratedHalfLife(info.halfLife);
+        this._decay.currentHalfLife = halfLife;
+        this._decay.elapsed = 0;
+        // Leave time for the previous event's particles to clear the nucleus
+        this._decay.nextEvent = Math.max(FLIGHT_DURATION, sampleDecayTime(halfLife));
+        return true;
+    }
+
+    updateDecay(deltaTime) {
+        if (!this._decay) return;
+        this._decay.elapsed += deltaTime;
+        this._decay.total += deltaTime;
+        if (this._decay.elapsed < this._decay.nextEvent) return;
+        this.decay();
+        if (this._decay) this.scheduleNextDecay();
+    }
+
+    // Half-life clock: on-screen half-life, the real one it stands for, and time since the last decay
+    getDecayClock() {
+        if (!this._decay) return null;
+        const info = this.getDecayInfo();
+        return {
+            halfLife: this._decay.currentHalfLife,
+            realHalfLife: info ? info.halfLife : null,
+            elapsed: this._decay.elapsed,
+            total: this._decay.total
+        };
+    }
+
+    refreshOrbitalClouds() {
+        if (!this.orbitalCloudGroup) return;
+        this.deselect(this.getOrbitalClouds());
+        this.disposeObject(this.orbitalCloudGroup);
+        this.orbitalCloudGroup = null;
+        // Rebuilt lazily by setRenderMode when next shown
+        if (this.renderMode === 'quantum') this.setRenderMode('quantum');
+    }
+
+    startTween(duration, update, complete) {
+        this._tweens.push({ elapsed: 0, duration, update, complete });
+    }
+
+    // Jumps every running tween to its end. Completions may start new tweens (a decay's gamma
+    // photon, say), so keep going until none are left.
+    finishTweens() {
+        for (let pass = 0; pass < 10 && this._tweens.length > 0; pass++) {
+            const tweens = this._tweens;
+            this._tweens = [];
+            tweens.forEach((tween) => {
+                tween.update(1);
+                if (tween.complete) tween.complete();
             });
         }
     }
 
-    updateElectronTrail(electron) {
-        const userData = electron.userData;
-        const trail = userData.trail;
-        const positions = userData.trailPositions;
-        
-        // Add current position to trail
-        const currentPos = electron.position;
-        const index = userData.trailIndex * 3;
-        
-        positions[index] = currentPos.x;
-        positions[index + 1] = currentPos.y;
-        positions[index + 2] = currentPos.z;
-        
-        userData.trailIndex = (userData.trailIndex + 1) % 20;
-        
-        // Update trail geometry
-        trail.geometry.attributes.position.needsUpdate = true;
+    // Tweens started by a completion (a decay's gamma photon, say) first step next frame
+    updateTweens(deltaTime) {
+        if (this._tweens.length === 0) return;
+        const tweens = this._tweens;
+        this._tweens = [];
+        const running = tweens.filter((tween) => {
+            tween.elapsed += deltaTime;
+            const t = Math.min(1, tween.elapsed / tween.duration);
+            tween.update(easeInOut(t));
+            if (t < 1) return true;
+            if (tween.complete) tween.complete();
+            return false;
+        });
+        this._tweens = running.concat(this._tweens);
+    }
+
+    // Removes an object from its parent and frees its own geometry and material(s)
+    disposeObject(object) {
+        if (object.parent) object.parent.remove(object);
+        object.traverse((child) => {
+            if (child.geometry) child.geometry.dispose();
+            if (child.material) {
+                const materials = Array.isArray(child.material) ? child.material : [child.material];
+                materials.forEach((material) => material.dispose());
+            }
+        });
     }
 
     setScale(scale) {
@@ -422,7 +1211,213 @@ export class AtomModel {
         return this.group.rotation.y;
     }
 
+    // Themes: recolor the existing materials in place, so nothing is rebuilt
+
+    setTheme(theme) {
+        this.theme = getTheme(theme);
+        // Highlights hold on to theme colors (and private material copies), so redo them afterwards
+        this._selection.forEach((entry) => entry.highlight.restore());
+
+        const applyMaterial = (material, params) => {
+            Object.entries(params).forEach(([key, value]) => {
+                if (material[key] && material[key].isColor) {
+                    material[key].set(value);
+                } else {
+                    material[key] = value;
+                }
+            });
+            material.needsUpdate = true;
+        };
+        applyMaterial(this._protonMaterial, this.theme.proton);
+        applyMaterial(this._neutronMaterial, this.theme.neutron);
+        applyMaterial(this._electronMaterial, this.theme.electron);
+
+        this.orbits.forEach((orbital, index) => {
+            orbital.config.color = getShellColor(this.theme, index);
+            orbital.config.opacity = index === 0 ? this.theme.shellOpacity.inner : this.theme.shellOpacity.outer;
+            orbital.mesh.material.color.set(orbital.config.color);
+            this.setBaseOpacity(orbital.mesh.material, orbital.config.opacity);
+        });
+        this.setBaseOpacity(this.innerGlow.material, this.theme.glow.innerOpacity);
+        this.setBaseOpacity(this.outerGlow.material, this.theme.glow.outerOpacity);
+        this.applyGlowColors();
+        this.setTrailOptions({ color: this.theme.electron.color, opacity: this.theme.trail.opacity });
+
+        this._selection.forEach((entry) => { entry.highlight = this.createHighlight(entry); });
+        this.dispatchEvent({ type: 'themechange', theme: this.theme });
+    }
+
+    getTheme() {
+        return this.theme;
+    }
+
+    applyGlowColors() {
+        const glowColors = getGlowColors(this.theme, this.element);
+        this.innerGlow.material.color.set(glowColors.inner);
+        this.outerGlow.material.color.set(glowColors.outer);
+    }
+
+    // Sets a material's resting opacity; a faded material keeps its faded opacity until restored
+    setBaseOpacity(material, opacity) {
+        if (material.userData._origOpacity !== undefined) {
+            material.userData._origOpacity = opacity;
+            if (this._isFaded) return;
+        }
+        material.opacity = opacity;
+    }
+
+    getElement() {
+        return this.element;
+    }
+
+    // Describes a tapped part for an info card: { title, charge, mass, role }, or null when
+    // the object is not part of this atom
+    getPartInfo(object) {
+        const electronMass = PARTICLE_PROPERTIES.electron.mass;
+        let part = object;
+        while (part && part !== this.group) {
+            const userData = part.userData;
+            if (userData.isNucleus) {
+                const particle = PARTICLE_PROPERTIES[userData.nucleusType];
+                return {
+                    title: particle.name,
+                    charge: formatCharge(particle.charge),
+                    mass: `${particle.mass} u`,
+                    role: userData.nucleusType === 'proton'
+                        ? `Sets the element: ${this.protonCount} protons make ${this.element.name.toLowerCase()}.`
+                        : `Binds the nucleus without adding charge; ${this.neutronCount} neutrons make this ${this.getIsotopeLabel()}.`
+                };
+            }
+            if (this.electrons.includes(part)) {
+                const level = this.getElectronLevel(part);
+                return {
+                    title: PARTICLE_PROPERTIES.electron.name,
+                    charge: formatCharge(PARTICLE_PROPERTIES.electron.charge),
+                    mass: `${electronMass} u`,
+                    role: userData.excitation
+                        ? `Excited to n=${level}; it will drop back and emit a photon.`
+                        : `Orbits in shell n=${level}; the outermost electrons take part in bonding.`
+                };
+            }
+            const orbitIndex = this.orbits.findIndex((orbital) => orbital.mesh === part);
+            if (orbitIndex !== -1 && this.shellLayout[orbitIndex]) {
+                const shell = this.shellLayout[orbitIndex];
+                return {
+                    title: `Shell n=${shell.n}`,
+                    charge: formatCharge(-shell.electronCount),
+                    mass: `${(shell.electronCount * electronMass).toPrecision(3)} u`,
+                    role: `Holds ${shell.electronCount} of up to ${shell.capacity} electrons (${shell.subshells.map((subshell) => subshell.label).join(', ')}).`
+                };
+            }
+            if (userData.isOrbitalCloud) {
+                const orbital = userData.orbital;
+                return {
+                    title: `${orbital.label} orbital`,
+                    charge: formatCharge(-orbital.electrons),
+                    mass: `${(orbital.electrons * electronMass).toPrecision(3)} u`,
+                    role: 'Probability cloud: dots are densest where its electrons are most likely to be found.'
+                };
+            }
+            if (part === this.nucleusGroup) {
+                const mass = this.protonCount * PARTICLE_PROPERTIES.proton.mass +
+                    this.neutronCount * PARTICLE_PROPERTIES.neutron.mass;
+                return {
+                    title: `${this.getIsotopeLabel()} nucleus`,
+                    charge: formatCharge(this.protonCount),
+                    mass: `≈ ${mass.toFixed(2)} u`,
+                    role: 'Holds almost all of the mass in a tiny fraction of the volume.'
+                };
+            }
+            part = part.parent;
+        }
+        return null;
+    }
+
+    // Serialization: a plain object that fromJSON turns back into an equivalent atom. Selected
+    // parts are stored by reference ({ type, index } or { type, n } ...), not by object.
+
+    toJSON() {
+        return {
+            kind: 'atom',
+            atomicNumber: this.protonCount,
+            massNumber: this.getMassNumber(),
+            charge: this.getCharge(),
+            renderMode: this.renderMode,
+            theme: this.theme.name,
+            time: this.time,
+            scale: this.baseScale,
+            rotationY: this.getRotationY(),
+            decay: this._decay ? { halfLife: this._decay.halfLife, chain: this._decay.chain } : null,
+            selection: this.getSelection().map((entry) => this.getPartReference(entry))
+        };
+    }
+
+    static fromJSON(state, options = {}) {
+        const { atomicNumber, massNumber, charge = 0 } = state;
+        const atom = new AtomModel({
+            ...options,
+            atomicNumber,
+            massNumber,
+            electronCount: atomicNumber - charge,
+            renderMode: state.renderMode,
+            theme: state.theme
+        });
+        if (state.scale !== undefined) atom.setScale(state.scale);
+        if (state.rotationY !== undefined) atom.setRotationY(state.rotationY);
+        if (state.time) atom.seek(state.time);
+        if (state.decay) atom.startDecay(state.decay);
+        if (state.selection) atom.select(state.selection.map((reference) => atom.findPart(reference)).filter(Boolean));
+        return atom;
+    }
+
+    // A serializable reference to a selected part (see getSelection)
+    getPartReference({ type, object, n }) {
+        switch (type) {
+        case 'proton':
+        case 'neutron':
+            return { type, index: this.getPartsOfType(type).indexOf(object) };
+        case 'electron':
+            return { type, index: this.electrons.indexOf(object) };
+        case 'orbit':
+            return { type, n };
+        case 'orbital':
+            return { type, label: object.userData.orbital.label };
+        default:
+            return { type };
+        }
+    }
+
+    // The part a reference points to, or null when this atom has no such part
+    findPart(reference) {
+        const { type, index, n, label } = reference;
+        switch (type) {
+        case 'proton':
+        case 'neutron':
+            return this.getPartsOfType(type)[index] || null;
+        case 'electron':
+            return this.electrons[index] || null;
+        case 'orbit': {
+            const orbitIndex = this.shellLayout.findIndex((shell) => shell.n === n);
+            return orbitIndex === -1 ? null : this.orbits[orbitIndex].mesh;
+        }
+        case 'orbital':
+            return this.getOrbitalClouds().find((cloud) => cloud.userData.orbital.label === label) || null;
+        case 'nucleus':
+            return this.nucleusGroup;
+        default:
+            return null;
+        }
+    }
+
+    getConfigurationString(options) {
+        return formatConfiguration(this.configuration, options);
+    }
+
     dispose() {
+        if (this._instances) {
+            Object.values(this._instances).forEach((parts) => parts.dispose());
+        }
+        this._sphereGeometries.forEach((geometry) => geometry.dispose());
         // Clean up geometries and materials
         this.group.traverse((child) => {
             if (child.geometry) {
@@ -439,20 +1434,29 @@ export class AtomModel {
     }
 
     // Selection / fading helpers
+
+    // What fades with obj: its material(s), or for an instanced part its per-instance style.
+    // Labels stay readable while the rest of the atom fades.
+    getFadeMaterials(obj) {
+        if (obj.userData.isLabel || obj.isInstancedMesh) return [];
+        if (obj.userData.instanceStyle) return [obj.userData.instanceStyle];
+        if (!obj.material) return [];
+        return Array.isArray(obj.material) ? obj.material : [obj.material];
+    }
+
     fadeExcept(targetObject, fadeOpacity = 0.1) {
         if (!targetObject) return;
 
-        // Build a set containing target and all of its descendants to keep at full opacity
+        // Build a set containing the target(s) and all of their descendants to keep at full opacity
         const keepSet = new Set();
-        targetObject.traverse((obj) => keepSet.add(obj));
+        (Array.isArray(targetObject) ? targetObject : [targetObject])
+            .forEach((target) => target.traverse((obj) => keepSet.add(obj)));
         this._selectionKeepSet = keepSet;
 
         // Traverse all renderable objects in the atom and adjust opacity
         const tweenTargets = [];
         this.group.traverse((obj) => {
-            const material = obj.material;
-            if (!material) return;
-            const materials = Array.isArray(material) ? material : [material];
+            const materials = this.getFadeMaterials(obj);
             const shouldKeep = keepSet.has(obj);
             materials.forEach((mat) => {
                 if (mat.userData._origTransparent === undefined) {
@@ -486,10 +1490,7 @@ export class AtomModel {
         if (!this._isFaded) return;
         const tweenTargets = [];
         this.group.traverse((obj) => {
-            const material = obj.material;
-            if (!material) return;
-            const materials = Array.isArray(material) ? material : [material];
-            materials.forEach((mat) => {
+            this.getFadeMaterials(obj).forEach((mat) => {
                 const origOpacity = (mat.userData && mat.userData._origOpacity !== undefined)
                     ? mat.userData._origOpacity
                     : 1.0;
@@ -515,55 +1516,216 @@ export class AtomModel {
         this._isFaded = false;
     }
 
-    // Nucleus highlighting
-    applyHighlight(targetObject) {
-        if (!targetObject) return;
-        // Find the nucleus mesh that was clicked (itself if mesh, or parent if not nucleus)
-        let mesh = targetObject;
-        // Traverse up until we find an object flagged as nucleus or reach group
-        while (mesh && mesh !== this.group && !mesh.userData.isNucleus) {
-            mesh = mesh.parent;
-        }
-        if (!mesh || !mesh.userData.isNucleus) return;
-
-        // Clear previous highlights before applying new
-        this.clearHighlight();
-
-        // Store original emissive settings if first time
-        const mat = mesh.material;
-        if (mat && mat.isMeshStandardMaterial) {
-            if (!mesh.userData._origEmissive) {
-                mesh.userData._origEmissive = {
-                    color: mat.emissive ? mat.emissive.clone() : null,
-                    intensity: mat.emissiveIntensity !== undefined ? mat.emissiveIntensity : 1
-                };
+    // Selection: any part (proton, neutron, electron, orbit ring, orbital cloud or the whole
+    // nucleus) can be selected, alone or added to the current selection. Selected parts pulse,
+    // and every change dispatches 'selectionchange' with the new selection and what was added
+    // and removed (entries of { type, object, n }, n being the shell for electrons and orbits).
+
+    // The selectable part an object belongs to (itself or its nearest selectable parent), or null
+    resolvePart(object) {
+        let part = object;
+        while (part && part !== this.group) {
+            if (this.nucleus.includes(part)) return { type: part.userData.nucleusType, object: part };
+            if (part.userData.isOrbitalCloud) return { type: 'orbital', object: part };
+            if (this.electrons.includes(part)) return { type: 'electron', object: part };
+            if (this.orbits.some((orbital) => orbital.mesh === part)) return { type: 'orbit', object: part };
+            // The glows (and anything else hanging off the nucleus group) stand for the whole nucleus
+            if (part === this.nucleusGroup) return { type: 'nucleus', object: part };
+            part = part.parent;
+        }
+        return null;
+    }
+
+    // Selects the part(s) behind target (an object or an array of objects). Unless
+    // options.additive is set, whatever was selected before is deselected.
+    // Returns true when target held at least one selectable part.
+    select(target, options = {}) {
+        const { additive = false } = options;
+        const parts = new Map();
+        (Array.isArray(target) ? target : [target]).forEach((object) => {
+            const part = object ? this.resolvePart(object) : null;
+            if (part) parts.set(part.object, part);
+        });
+
+        const removed = [];
+        if (!additive) {
+            this._selection.forEach((entry, object) => {
+                if (!parts.has(object)) removed.push(entry);
+            });
+        }
+        const added = Array.from(parts.values()).filter((part) => !this._selection.has(part.object));
+        removed.forEach((entry) => {
+            entry.highlight.restore();
+            this._selection.delete(entry.object);
+        });
+        added.forEach((part) => {
+            part.highlight = this.createHighlight(part);
+            this._selection.set(part.object, part);
+        });
+        this.dispatchSelectionChange(added, removed);
+        return parts.size > 0;
+    }
+
+    deselect(target) {
+        const removed = [];
+        (Array.isArray(target) ? target : [target]).forEach((object) => {
+            // Parts already taken out of the atom (an ejected electron, an emptied orbit) no longer resolve
+            const part = object && !this._selection.has(object) ? this.resolvePart(object) : null;
+            const entry = this._selection.get(part ? part.object : object);
+            if (!entry) return;
+            entry.highlight.restore();
+            this._selection.delete(entry.object);
+            removed.push(entry);
+        });
+        this.dispatchSelectionChange([], removed);
+    }
+
+    clearSelection() {
+        this.select([]);
+    }
+
+    isSelected(object) {
+        const part = this.resolvePart(object);
+        return Boolean(part && this._selection.has(part.object));
+    }
+
+    getSelection() {
+        return Array.from(this._selection.values()).map((entry) => this.describeSelection(entry));
+    }
+
+    describeSelection(entry) {
+        const { type, object } = entry;
+        let n = null;
+        if (type === 'electron') {
+            n = this.getElectronLevel(object);
+        } else if (type === 'orbit') {
+            const shell = this.shellLayout[this.orbits.findIndex((orbital) => orbital.mesh === object)];
+            n = shell ? shell.n : null;
+        }
+        return { type, object, n };
+    }
+
+    dispatchSelectionChange(added, removed) {
+        if (added.length === 0 && removed.length === 0) return;
+        this.dispatchEvent({
+            type: 'selectionchange',
+            selection: this.getSelection(),
+            added: added.map((entry) => this.describeSelection(entry)),
+            removed: removed.map((entry) => this.describeSelection(entry))
+        });
+    }
+
+    // Every part of a type: 'proton', 'neutron', 'electron', 'orbit', 'orbital' or 'nucleus'
+    getPartsOfType(type) {
+        switch (type) {
+        case 'proton':
+        case 'neutron':
+            return this.nucleus.filter((mesh) => mesh.userData.nucleusType === type);
+        case 'electron':
+            return this.electrons.slice();
+        case 'orbit':
+            return this.orbits.map((orbital) => orbital.mesh);
+        case 'orbital':
+            return this.getOrbitalClouds().slice();
+        case 'nucleus':
+            return [this.nucleusGroup];
+        default:
+            throw new Error(`Unknown part type: ${type}`);
+        }
+    }
+
+    // e.g. selectAll('proton')
+    selectAll(type, options) {
+        return this.select(this.getPartsOfType(type), options);
+    }
+
+    // Selects the orbit ring of shell n and, unless options.electrons is false, the electrons in it
+    selectShell(n, options = {}) {
+        const { electrons = true, additive = false } = options;
+        const index = this.shellLayout.findIndex((shell) => shell.n === n);
+        if (index === -1) return false;
+        const parts = [this.orbits[index].mesh];
+        if (electrons) {
+            parts.push(...this.electrons.filter((electron) => electron.userData.orbitalIndex === index));
+        }
+        return this.select(parts, { additive });
+    }
+
+    // What stands for energy level n in 3D: its orbit ring, its orbital clouds in quantum mode,
+    // or, for a level above the ground-state shells, the electrons excited to it
+    getLevelParts(n) {
+        const index = this.shellLayout.findIndex((shell) => shell.n === n);
+        if (index === -1) {
+            return this.electrons.filter((electron) => this.getElectronLevel(electron) === n);
+        }
+        if (this.renderMode === 'quantum') {
+            return this.getOrbitalClouds().filter((cloud) => cloud.userData.orbital.n === n);
+        }
+        return [this.orbits[index].mesh];
+    }
+
+    // Builds the pulsing highlight for a selected part: update(wave) runs every frame with wave
+    // in -1..1, restore() puts the part back as it was
+    createHighlight(part) {
+        const { type, object } = part;
+        if (type === 'proton' || type === 'neutron' || type === 'electron') {
+            const glowColor = new THREE.Color(this.theme.highlight[type]);
+            const style = object.userData.instanceStyle;
+            const sharedMaterial = object.material;
+            let material = null;
+            if (style) {
+                style.emissive.copy(glowColor);
+            } else {
+                // The material is shared with every other part of this type, so glow through a private copy
+                material = sharedMaterial.clone();
+                material.emissive.copy(glowColor);
+                object.material = material;
             }
-            // Boost emissive color slightly towards white for glow
-            mat.emissive = mat.emissive || new THREE.Color(0x000000);
-            const glowColor = mesh.userData.nucleusType === 'proton' ? new THREE.Color(0xff6666) : new THREE.Color(0x88aaff);
-            mat.emissive.copy(glowColor);
-            mat.emissiveIntensity = 1.0;
+            return {
+                update: (wave) => {
+                    object.scale.setScalar(1 + wave * 0.12);
+                    const intensity = 1 + wave * 0.4;
+                    if (style) {
+                        style.emissiveIntensity = intensity;
+                    } else {
+                        material.emissiveIntensity = intensity;
+                    }
+                },
+                restore: () => {
+                    object.scale.setScalar(1);
+                    if (style) style.emissiveIntensity = 0;
+                    if (material) {
+                        if (object.material === material) object.material = sharedMaterial;
+                        material.dispose();
+                    }
+                }
+            };
+        }
+        if (type === 'orbit') {
+            // Ring scale carries the shell radius, so rings pulse their color towards white instead
+            const orbital = this.orbits.find((candidate) => candidate.mesh === object);
+            return {
+                update: (wave) => {
+                    object.material.color.set(orbital.config.color).lerp(HIGHLIGHT_WHITE, 0.4 + wave * 0.3);
+                },
+                restore: () => object.material.color.set(orbital.config.color)
+            };
         }
+        // Orbital clouds and the nucleus as a whole breathe in size
+        const amplitude = type === 'nucleus' ? 0.06 : 0.12;
+        return {
+            update: (wave) => object.scale.setScalar(1 + wave * amplitude),
+            restore: () => object.scale.setScalar(1)
+        };
+    }
 
-        // Add to highlighted set
-        this._highlighted.add(mesh);
+    // Single-part selection, as used by taps
+    applyHighlight(targetObject) {
+        if (!targetObject) return;
+        this.select(targetObject);
     }
 
     clearHighlight() {
-        if (this._highlighted.size === 0) return;
-        this._highlighted.forEach((mesh) => {
-            // Restore scale
-            mesh.scale.setScalar(1);
-            // Restore emissive
-            const mat = mesh.material;
-            if (mat && mat.isMeshStandardMaterial) {
-                const orig = mesh.userData._origEmissive;
-                if (orig) {
-                    if (orig.color) mat.emissive.copy(orig.color);
-                    if (orig.intensity !== undefined) mat.emissiveIntensity = orig.intensity;
-                }
-            }
-        });
-        this._highlighted.clear();
+        this.clearSelection();
     }
-}
\ No newline at end of file
+}
@@ -0,0 +1,224 @@
+import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.158.0/build/three.module.js';
+import { MoleculeModel } from './molecule.js';
+import { getElement, getElementBySymbol, getElementProperties, DEFAULT_COVALENT_RADIUS } from './elements.js';
+import { createTextTexture } from './labels.js';
+
+// Periodic-trend comparison: two to eight atoms standing in a row on a labeled axis, each drawn
+// at its covalent radius relative to the others, with bars for radius, electronegativity and
+// ionization energy under each one. The row is a molecule without bonds, so selection, fading
+// and themes work as they do for molecules.
+
+export const MIN_COMPARISON_ATOMS = 2;
+export const MAX_COMPARISON_ATOMS = 8;
+
+export const COMPARISON_PRESETS = {
+    group1: { name: 'Group 1 (alkali metals)', elements: ['Li', 'Na', 'K', 'Rb', 'Cs'] },
+    group17: { name: 'Group 17 (halogens)', elements: ['F', 'Cl', 'Br', 'I'] },
+    period2: { name: 'Period 2', elements: ['Li', 'Be', 'B', 'C', 'N', 'O', 'F', 'Ne'] },
+    period3: { name: 'Period 3', elements: ['Na', 'Mg', 'Al', 'Si', 'P', 'S', 'Cl', 'Ar'] }
+};
+
+// Bars are measured against fixed maxima, so a value has the same height in every comparison
+export const COMPARISON_METRICS = {
+    radius: {
+        label: 'Radius',
+        max: 2.6,
+        color: 0x4ecdc4,
+        format: (value) => `${Math.round(value * 100)} pm`,
+        role: (element) => `Half the distance between two bonded ${element.name.toLowerCase()} atoms. Atoms grow down a group and shrink across a period.`
+    },
+    electronegativity: {
+        label: 'Electronegativity',
+        max: 4,
+        color: 0xffd166,
+        format: (value) => value.toFixed(2),
+        role: (element) => `How strongly ${element.symbol} pulls on shared electrons. It rises across a period and falls down a group.`
+    },
+    ionizationEnergy: {
+        label: 'Ionization energy',
+        max: 25,
+        color: 0xef476f,
+        format: (value) => `${value.toFixed(2)} eV`,
+        role: (element) => `Energy to remove the outermost electron from ${element.symbol}. It rises across a period and falls down a group.`
+    }
+};
+
+// Scene units per angstrom of covalent radius
+const RADIUS_SCALE = 0.04;
+const ATOM_GAP = 0.04;
+const BAR_WIDTH = 0.016;
+const BAR_SPACING = 0.02;
+const BAR_HEIGHT = 0.2;
+const MISSING_BAR_HEIGHT = 0.004; // stub standing in for a value that isn't known
+const SYMBOL_LABEL_HEIGHT = 0.03;
+const LEGEND_LABEL_HEIGHT = 0.02;
+const AXIS_Y = BAR_HEIGHT + 0.07;
+
+function resolveElement(entry) {
+    if (typeof entry === 'number') return getElement(entry);
+    const element = getElementBySymbol(entry);
+    if (!element) throw new Error(`Unknown element symbol: ${entry}`);
+    return element;
+}
+
+function toCSS(hex) {
+    return `#${hex.toString(16).padStart(6, '0')}`;
+}
+
+export class ComparisonModel extends MoleculeModel {
+    // definition: { name, elements: [symbol | atomicNumber], preset? }
+    // options: { theme, instanced }
+    constructor(definition, options = {}) {
+        const elements = definition.elements.map(resolveElement);
+        if (elements.length < MIN_COMPARISON_ATOMS || elements.length > MAX_COMPARISON_ATOMS) {
+            throw new RangeError(`A comparison needs ${MIN_COMPARISON_ATOMS} to ${MAX_COMPARISON_ATOMS} elements, got ${elements.length}`);
+        }
+        super({
+            name: definition.name || elements.map((element) => element.symbol).join(', '),
+            atoms: elements.map((element) => ({ atomicNumber: element.atomicNumber, position: [0, 0, 0] })),
+            bonds: []
+        }, options);
+        this.preset = definition.preset || null;
+        this.elements = elements;
+        this.properties = elements.map((element) => getElementProperties(element.atomicNumber));
+
+        this.axis = new THREE.Group();
+        this.bars = [];
+        this._textures = [];
+        this._barGeometry = new THREE.BoxGeometry(1, 1, 1);
+        this._barMaterials = {};
+        Object.entries(COMPARISON_METRICS).forEach(([metric, { color }]) => {
+            this._barMaterials[metric] = new THREE.MeshStandardMaterial({ color, metalness: 0.1, roughness: 0.6 });
+        });
+        this._missingMaterial = new THREE.MeshStandardMaterial({ color: 0x666666 });
+        this.group.add(this.axis);
+        this.layoutRow();
+    }
+
+    static fromPreset(key, options) {
+        const preset = COMPARISON_PRESETS[key];
+        if (!preset) {
+            throw new Error(`Unknown comparison preset: ${key}`);
+        }
+        return new ComparisonModel({ ...preset, preset: key }, options);
+    }
+
+    // Lines the atoms up left to right, resting on the axis, with their bars below it.
+    // The group's origin sits under the middle of the row, at the foot of the bars.
+    layoutRow() {
+        const radii = this.properties.map(({ radius }) => (radius || DEFAULT_COVALENT_RADIUS) * RADIUS_SCALE);
+        // Each atom gets a slot wide enough for its three bars
+        const slots = radii.map((radius) => Math.max(radius * 2, BAR_SPACING * 3));
+        const width = slots.reduce((sum, slot) => sum + slot, 0) + ATOM_GAP * (slots.length - 1);
+        let left = -width / 2;
+
+        this.atoms.forEach((atom, index) => {
+            const x = left + slots[index] / 2;
+            const radius = radii[index];
+            atom.setScale(radius / atom.getOuterRadius());
+            atom.setPosition(x, AXIS_Y + 0.01 + radius, 0);
+            this.createBars(index, x);
+            this.createLabel(this.elements[index].symbol, SYMBOL_LABEL_HEIGHT,
+                new THREE.Vector3(x, AXIS_Y - SYMBOL_LABEL_HEIGHT * 0.9, 0));
+            left += slots[index] + ATOM_GAP;
+        });
+
+        const axisGeometry = new THREE.BufferGeometry().setFromPoints([
+            new THREE.Vector3(-width / 2 - ATOM_GAP, AXIS_Y, 0),
+            new THREE.Vector3(width / 2 + ATOM_GAP, AXIS_Y, 0)
+        ]);
+        const axisLine = new THREE.Line(axisGeometry, new THREE.LineBasicMaterial({ color: 0xffffff }));
+        axisLine.raycast = () => {};
+        this.axis.add(axisLine);
+
+        // Legend to the left of the bars, one line per metric in its bar color
+        Object.values(COMPARISON_METRICS).forEach(({ label, color }, index) => {
+            const sprite = this.createLabel(label, LEGEND_LABEL_HEIGHT, new THREE.Vector3(), toCSS(color));
+            const y = BAR_HEIGHT * (0.8 - index * 0.3);
+            sprite.position.set(-width / 2 - ATOM_GAP - sprite.scale.x / 2, y, 0);
+        });
+    }
+
+    createBars(atomIndex, x) {
+        Object.entries(COMPARISON_METRICS).forEach(([metric, { max }], index) => {
+            const value = this.properties[atomIndex][metric];
+            const height = value === null ? MISSING_BAR_HEIGHT : Math.min(1, value / max) * BAR_HEIGHT;
+            const bar = new THREE.Mesh(this._barGeometry, value === null ? this._missingMaterial : this._barMaterials[metric]);
+            bar.scale.set(BAR_WIDTH, height, BAR_WIDTH);
+            bar.position.set(x + (index - 1) * BAR_SPACING, height / 2, 0);
+            bar.userData.isComparisonBar = true;
+            bar.userData.metric = metric;
+            bar.userData.atomIndex = atomIndex;
+            this.axis.add(bar);
+            this.bars.push(bar);
+        });
+    }
+
+    createLabel(text, height, position, color) {
+        const texture = createTextTexture(text, color ? { color } : {});
+        this._textures.push(texture);
+        const sprite = new THREE.Sprite(new THREE.SpriteMaterial({ map: texture, transparent: true, depthWrite: false }));
+        sprite.userData.isLabel = true;
+        sprite.scale.set(height * texture.image.width / texture.image.height, height, 1);
+        sprite.position.copy(position);
+        sprite.raycast = () => {};
+        this.axis.add(sprite);
+        return sprite;
+    }
+
+    // Panel header: the ends of the row, e.g. "Li → Cs"
+    getFormula() {
+        return `${this.elements[0].symbol} → ${this.elements[this.elements.length - 1].symbol}`;
+    }
+
+    getPartInfo(object) {
+        if (!object.userData.isComparisonBar) return super.getPartInfo(object);
+        const { metric, atomIndex } = object.userData;
+        const element = this.elements[atomIndex];
+        const value = this.properties[atomIndex][metric];
+        const { label, format, role } = COMPARISON_METRICS[metric];
+        return {
+            title: `${element.symbol}: ${label.toLowerCase()}`,
+            charge: '0',
+            mass: `${element.atomicMass} u`,
+            role: value === null ? `No ${label.toLowerCase()} value is known for ${element.name.toLowerCase()}.` : `${format(value)}. ${role(element)}`
+        };
+    }
+
+    // Serialization: presets are stored by key, other rows as their element symbols
+
+    toJSON() {
+        const { theme, time, scale, rotationY, selection } = super.toJSON();
+        return {
+            kind: 'comparison',
+            preset: this.preset,
+            elements: this.preset ? null : this.elements.map((element) => element.symbol),
+            theme,
+            time,
+            scale,
+            rotationY,
+            selection
+        };
+    }
+
+    static fromJSON(state, options = {}) {
+        const comparisonOptions = { ...options, theme: state.theme };
+        const comparison = state.preset
+            ? ComparisonModel.fromPreset(state.preset, comparisonOptions)
+            : new ComparisonModel({ elements: state.elements }, comparisonOptions);
+        comparison.applyState(state);
+        return comparison;
+    }
+
+    dispose() {
+        super.dispose();
+        this.axis.children.forEach((child) => {
+            if (child.isLine) child.geometry.dispose();
+            if (child.material && !child.isMesh) child.material.dispose();
+        });
+        this._barGeometry.dispose();
+        Object.values(this._barMaterials).forEach((material) => material.dispose());
+        this._missingMaterial.dispose();
+        this._textures.forEach((texture) => texture.dispose());
+    }
+}
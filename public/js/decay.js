@@ -0,0 +1,142 @@
+import { getElement, MAX_ATOMIC_NUMBER } from './elements.js';
+
+// Radioactive decay data: modes and real half-lives for common unstable isotopes, a rough
+// estimate for everything else, and the conversion to the accelerated on-screen clock.
+
+export const DECAY_MODES = ['alpha', 'beta-minus', 'beta-plus', 'gamma'];
+
+const MINUTE = 60;
+const HOUR = 3600;
+const DAY = 86400;
+const YEAR = 3.15576e7;
+
+// Primary decay mode and half-life (seconds) by isotope label.
+// `gamma` marks daughters that are usually left excited and shed a gamma photon.
+export const DECAY_DATA = {
+    'H-3': { mode: 'beta-minus', halfLife: 12.32 * YEAR },
+    'C-11': { mode: 'beta-plus', halfLife: 20.36 * MINUTE },
+    'C-14': { mode: 'beta-minus', halfLife: 5730 * YEAR },
+    'N-13': { mode: 'beta-plus', halfLife: 9.965 * MINUTE },
+    'O-15': { mode: 'beta-plus', halfLife: 122.2 },
+    'F-18': { mode: 'beta-plus', halfLife: 109.77 * MINUTE },
+    'Na-22': { mode: 'beta-plus', halfLife: 2.602 * YEAR, gamma: true },
+    'Na-24': { mode: 'beta-minus', halfLife: 14.96 * HOUR, gamma: true },
+    'P-32': { mode: 'beta-minus', halfLife: 14.27 * DAY },
+    'K-40': { mode: 'beta-minus', halfLife: 1.248e9 * YEAR },
+    'Co-60': { mode: 'beta-minus', halfLife: 5.271 * YEAR, gamma: true },
+    'Sr-90': { mode: 'beta-minus', halfLife: 28.79 * YEAR },
+    'Y-90': { mode: 'beta-minus', halfLife: 64.0 * HOUR },
+    'Tc-99': { mode: 'beta-minus', halfLife: 2.111e5 * YEAR },
+    'I-131': { mode: 'beta-minus', halfLife: 8.02 * DAY, gamma: true },
+    'Cs-137': { mode: 'beta-minus', halfLife: 30.17 * YEAR, gamma: true },
+    'Pm-145': { mode: 'beta-plus', halfLife: 17.7 * YEAR },
+    'Th-232': { mode: 'alpha', halfLife: 1.405e10 * YEAR },
+    'U-235': { mode: 'alpha', halfLife: 7.04e8 * YEAR, gamma: true },
+    'Pu-239': { mode: 'alpha', halfLife: 2.411e4 * YEAR },
+    'Am-241': { mode: 'alpha', halfLife: 432.2 * YEAR, gamma: true },
+
+    // Uranium series (Pa-234 stands in for its short-lived isomer Pa-234m, the main branch)
+    'U-238': { mode: 'alpha', halfLife: 4.468e9 * YEAR },
+    'Th-234': { mode: 'beta-minus', halfLife: 24.1 * DAY, gamma: true },
+    'Pa-234': { mode: 'beta-minus', halfLife: 1.17 * MINUTE },
+    'U-234': { mode: 'alpha', halfLife: 2.455e5 * YEAR },
+    'Th-230': { mode: 'alpha', halfLife: 7.538e4 * YEAR },
+    'Ra-226': { mode: 'alpha', halfLife: 1600 * YEAR, gamma: true },
+    'Rn-222': { mode: 'alpha', halfLife: 3.8235 * DAY },
+    'Po-218': { mode: 'alpha', halfLife: 3.098 * MINUTE },
+    'Pb-214': { mode: 'beta-minus', halfLife: 26.8 * MINUTE, gamma: true },
+    'Bi-214': { mode: 'beta-minus', halfLife: 19.9 * MINUTE, gamma: true },
+    'Po-214': { mode: 'alpha', halfLife: 164.3e-6 },
+    'Pb-210': { mode: 'beta-minus', halfLife: 22.2 * YEAR },
+    'Bi-210': { mode: 'beta-minus', halfLife: 5.012 * DAY },
+    'Po-210': { mode: 'alpha', halfLife: 138.376 * DAY }
+};
+
+// U-238 down to stable Pb-206: 8 alpha and 6 beta-minus decays
+export const U238_DECAY_CHAIN = [
+    'U-238', 'Th-234', 'Pa-234', 'U-234', 'Th-230', 'Ra-226', 'Rn-222', 'Po-218',
+    'Pb-214', 'Bi-214', 'Po-214', 'Pb-210', 'Bi-210', 'Po-210', 'Pb-206'
+];
+
+// Elements with no stable isotope below bismuth
+const UNSTABLE_ELEMENTS = new Set([43, 61]);
+
+export function isotopeLabel(protonCount, neutronCount) {
+    return `${getElement(protonCount).symbol}-${protonCount + neutronCount}`;
+}
+
+// Most stable proton count for a mass number (semi-empirical valley of stability)
+function stableProtonCount(massNumber) {
+    return massNumber / (1.98 + 0.0155 * Math.pow(massNumber, 2 / 3));
+}
+
+// Returns { mode, halfLife, gamma, estimated } for an unstable isotope, or null if it is treated as stable.
+// Untabulated isotopes are classed by their distance from the valley of stability and have no known half-life.
+export function getDecayInfo(protonCount, neutronCount) {
+    const data = DECAY_DATA[isotopeLabel(protonCount, neutronCount)];
+    if (data) return { gamma: false, ...data, estimated: false };
+
+    const massNumber = protonCount + neutronCount;
+    const heavy = protonCount > 83;
+    if (!heavy && !UNSTABLE_ELEMENTS.has(protonCount) && massNumber === getElement(protonCount).commonMassNumber) {
+        return null;
+    }
+    const excess = protonCount - stableProtonCount(massNumber);
+    let mode = null;
+    if (excess <= -1) mode = 'beta-minus';
+    else if (heavy && protonCount > 2 && neutronCount > 2) mode = 'alpha';
+    else if (excess >= 1 || UNSTABLE_ELEMENTS.has(protonCount)) mode = excess < 0 ? 'beta-minus' : 'beta-plus';
+    if (!mode || !canDecay(protonCount, neutronCount, mode)) return null;
+    return { mode, halfLife: null, gamma: false, estimated: true };
+}
+
+export function canDecay(protonCount, neutronCount, mode) {
+    switch (mode) {
+        case 'alpha': return protonCount > 2 && neutronCount >= 2;
+        case 'beta-minus': return neutronCount > 0 && protonCount < MAX_ATOMIC_NUMBER;
+        case 'beta-plus': return protonCount > 1;
+        case 'gamma': return true;
+        default: return false;
+    }
+}
+
+// Nucleon counts after a decay
+export function getDaughter(protonCount, neutronCount, mode) {
+    switch (mode) {
+        case 'alpha': return { protonCount: protonCount - 2, neutronCount: neutronCount - 2 };
+        case 'beta-minus': return { protonCount: protonCount + 1, neutronCount: neutronCount - 1 };
+        case 'beta-plus': return { protonCount: protonCount - 1, neutronCount: neutronCount + 1 };
+        case 'gamma': return { protonCount, neutronCount };
+        default: throw new RangeError(`Unknown decay mode '${mode}', expected one of: ${DECAY_MODES.join(', ')}`);
+    }
+}
+
+// Real half-lives span microseconds to billions of years, so they are compressed logarithmically
+// into 0.5-8 on-screen seconds. Longer-lived isotopes still decay visibly slower.
+export function acceleratedHalfLife(realHalfLife) {
+    if (!realHalfLife) return 3;
+    return Math.min(8, Math.max(0.5, 1.5 + 0.4 * Math.log10(realHalfLife)));
+}
+
+// Waiting time until the next decay, sampled from the exponential distribution
+export function sampleDecayTime(halfLife, random = Math.random) {
+    return -halfLife / Math.LN2 * Math.log(1 - random());
+}
+
+// e.g. "4.47 billion years", "26.8 minutes", "164 µs"
+export function formatHalfLife(seconds) {
+    if (!seconds) return 'unknown';
+    const units = [
+        [1e9 * YEAR, 'billion years'],
+        [1e6 * YEAR, 'million years'],
+        [YEAR, 'years'],
+        [DAY, 'days'],
+        [HOUR, 'hours'],
+        [MINUTE, 'minutes'],
+        [1, 's'],
+        [1e-3, 'ms'],
+        [1e-6, 'µs']
+    ];
+    const [size, name] = units.find(([unitSize]) => seconds >= unitSize) || units[units.length - 1];
+    return `${Number((seconds / size).toPrecision(3))} ${name}`;
+}
@@ -0,0 +1,165 @@
+// Electron configuration engine: fills subshells in Aufbau/Madelung order and
+// turns the result into the ring layout AtomModel draws.
+
+const SUBSHELL_LETTERS = ['s', 'p', 'd', 'f'];
+const SUBSHELL_CAPACITY = [2, 6, 10, 14];
+const NOBLE_GASES = [
+    { atomicNumber: 2, symbol: 'He' },
+    { atomicNumber: 10, symbol: 'Ne' },
+    { atomicNumber: 18, symbol: 'Ar' },
+    { atomicNumber: 36, symbol: 'Kr' },
+    { atomicNumber: 54, symbol: 'Xe' },
+    { atomicNumber: 86, symbol: 'Rn' }
+];
+
+// Subshells sorted by n + l, ties broken by lower n (1s, 2s, 2p, 3s, 3p, 4s, 3d, ...)
+export const MADELUNG_ORDER = (() => {
+    const subshells = [];
+    for (let n = 1; n <= 7; n++) {
+        for (let l = 0; l < Math.min(n, SUBSHELL_LETTERS.length); l++) {
+            subshells.push({ n, l });
+        }
+    }
+    return subshells
+        .sort((a, b) => (a.n + a.l) - (b.n + b.l) || a.n - b.n)
+        .map(({ n, l }) => ({ n, l, label: `${n}${SUBSHELL_LETTERS[l]}`, capacity: SUBSHELL_CAPACITY[l] }));
+})();
+
+// Ground-state exceptions to the Madelung rule, as electrons moved between subshells
+const CONFIGURATION_EXCEPTIONS = {
+    24: { '4s': -1, '3d': 1 },  // Cr
+    29: { '4s': -1, '3d': 1 },  // Cu
+    41: { '5s': -1, '4d': 1 },  // Nb
+    42: { '5s': -1, '4d': 1 },  // Mo
+    44: { '5s': -1, '4d': 1 },  // Ru
+    45: { '5s': -1, '4d': 1 },  // Rh
+    46: { '5s': -2, '4d': 2 },  // Pd
+    47: { '5s': -1, '4d': 1 },  // Ag
+    57: { '4f': -1, '5d': 1 },  // La
+    58: { '4f': -1, '5d': 1 },  // Ce
+    64: { '4f': -1, '5d': 1 },  // Gd
+    78: { '6s': -1, '5d': 1 },  // Pt
+    79: { '6s': -1, '5d': 1 },  // Au
+    89: { '5f': -1, '6d': 1 },  // Ac
+    90: { '5f': -2, '6d': 2 },  // Th
+    91: { '5f': -1, '6d': 1 },  // Pa
+    92: { '5f': -1, '6d': 1 },  // U
+    93: { '5f': -1, '6d': 1 },  // Np
+    96: { '5f': -1, '6d': 1 },  // Cm
+    103: { '6d': -1, '7p': 1 }  // Lr
+};
+
+function fillMadelung(electronCount) {
+    const occupancy = new Map();
+    let remaining = electronCount;
+    for (const subshell of MADELUNG_ORDER) {
+        if (remaining <= 0) break;
+        const count = Math.min(remaining, subshell.capacity);
+        occupancy.set(subshell.label, count);
+        remaining -= count;
+    }
+    if (remaining > 0) {
+        throw new RangeError(`Cannot place ${electronCount} electrons in subshells up to 7p`);
+    }
+    return occupancy;
+}
+
+function toSubshellList(occupancy) {
+    return MADELUNG_ORDER
+        .filter((subshell) => occupancy.get(subshell.label) > 0)
+        .map((subshell) => ({ ...subshell, electrons: occupancy.get(subshell.label) }));
+}
+
+// Returns the occupied subshells (in filling order) for an atom or ion.
+// Cations lose electrons from the highest n first (4s before 3d), anions keep filling in Madelung order.
+export function getElectronConfiguration(atomicNumber, electronCount = atomicNumber) {
+    if (!Number.isInteger(electronCount) || electronCount < 0) {
+        throw new RangeError(`Electron count must be a non-negative integer, got ${electronCount}`);
+    }
+    if (electronCount > atomicNumber) {
+        return toSubshellList(fillMadelung(electronCount));
+    }
+
+    const occupancy = fillMadelung(atomicNumber);
+    const exception = CONFIGURATION_EXCEPTIONS[atomicNumber];
+    if (exception) {
+        Object.entries(exception).forEach(([label, delta]) => {
+            occupancy.set(label, (occupancy.get(label) || 0) + delta);
+        });
+    }
+
+    let toRemove = atomicNumber - electronCount;
+    const removalOrder = MADELUNG_ORDER.slice().sort((a, b) => b.n - a.n || b.l - a.l);
+    for (const subshell of removalOrder) {
+        if (toRemove <= 0) break;
+        const present = occupancy.get(subshell.label) || 0;
+        const removed = Math.min(present, toRemove);
+        occupancy.set(subshell.label, present - removed);
+        toRemove -= removed;
+    }
+    return toSubshellList(occupancy);
+}
+
+// Formats a configuration with a noble-gas core, e.g. "[Ne] 3s2 3p4"
+export function formatConfiguration(subshells, options = {}) {
+    const { useNobleGasCore = true } = options;
+    if (subshells.length === 0) return '';
+
+    const remaining = new Map(subshells.map((subshell) => [subshell.label, subshell.electrons]));
+    const total = subshells.reduce((sum, subshell) => sum + subshell.electrons, 0);
+    let core = null;
+    if (useNobleGasCore) {
+        // Largest noble gas whose configuration is fully contained in this one
+        for (const gas of NOBLE_GASES) {
+            if (gas.atomicNumber >= total) break;
+            const gasOccupancy = fillMadelung(gas.atomicNumber);
+            const contained = Array.from(gasOccupancy).every(([label, count]) => (remaining.get(label) || 0) >= count);
+            if (contained) core = { gas, occupancy: gasOccupancy };
+        }
+        if (core) {
+            core.occupancy.forEach((count, label) => remaining.set(label, remaining.get(label) - count));
+        }
+    }
+
+    const terms = subshells
+        .slice()
+        .sort((a, b) => a.n - b.n || a.l - b.l)
+        .filter((subshell) => remaining.get(subshell.label) > 0)
+        .map((subshell) => `${subshell.label}${remaining.get(subshell.label)}`);
+    return [core ? `[${core.gas.symbol}]` : null, ...terms].filter(Boolean).join(' ');
+}
+
+// Real Bohr radii grow as n^2; they are compressed to n^0.75 so outer shells stay on screen.
+export function getShellRadius(n, baseRadius = 0.25) {
+    return baseRadius * Math.pow(n, 0.75);
+}
+
+// Groups subshells into one Bohr ring per principal quantum number.
+// Speeds are angular velocities in radians per simulated second.
+export function getShellLayout(subshells, options = {}) {
+    const { baseRadius = 0.25, baseSpeed = 1.8 } = options;
+    const shells = new Map();
+    subshells.forEach((subshell) => {
+        if (!shells.has(subshell.n)) shells.set(subshell.n, []);
+        shells.get(subshell.n).push(subshell);
+    });
+
+    return Array.from(shells.keys())
+        .sort((a, b) => a - b)
+        .map((n) => {
+            const shellSubshells = shells.get(n);
+            const electronCount = shellSubshells.reduce((sum, subshell) => sum + subshell.electrons, 0);
+            const phaseStep = electronCount > 0 ? (Math.PI * 2) / electronCount : 0;
+            return {
+                n,
+                radius: getShellRadius(n, baseRadius),
+                capacity: 2 * n * n,
+                electronCount,
+                phaseStep,
+                // Stagger neighbouring shells so their electrons don't line up
+                phaseOffset: (n - 1) * phaseStep * 0.5,
+                speed: baseSpeed / Math.sqrt(n),
+                subshells: shellSubshells
+            };
+        });
+}
@@ -0,0 +1,272 @@
+// Periodic table dataset used to build atoms for any element.
+// Each row is [symbol, name, standard atomic mass, mass number of the most
+// common (or, for synthetic elements, longest-lived) isotope], indexed by Z - 1.
+const ELEMENT_ROWS = [
+    // Period 1
+    ['H', 'Hydrogen', 1.008, 1],
+    ['He', 'Helium', 4.0026, 4],
+
+    // Period 2
+    ['Li', 'Lithium', 6.94, 7],
+    ['Be', 'Beryllium', 9.0122, 9],
+    ['B', 'Boron', 10.81, 11],
+    ['C', 'Carbon', 12.011, 12],
+    ['N', 'Nitrogen', 14.007, 14],
+    ['O', 'Oxygen', 15.999, 16],
+    ['F', 'Fluorine', 18.998, 19],
+    ['Ne', 'Neon', 20.180, 20],
+
+    // Period 3
+    ['Na', 'Sodium', 22.990, 23],
+    ['Mg', 'Magnesium', 24.305, 24],
+    ['Al', 'Aluminium', 26.982, 27],
+    ['Si', 'Silicon', 28.085, 28],
+    ['P', 'Phosphorus', 30.974, 31],
+    ['S', 'Sulfur', 32.06, 32],
+    ['Cl', 'Chlorine', 35.45, 35],
+    ['Ar', 'Argon', 39.95, 40],
+
+    // Period 4
+    ['K', 'Potassium', 39.098, 39],
+    ['Ca', 'Calcium', 40.078, 40],
+    ['Sc', 'Scandium', 44.956, 45],
+    ['Ti', 'Titanium', 47.867, 48],
+    ['V', 'Vanadium', 50.942, 51],
+    ['Cr', 'Chromium', 51.996, 52],
+    ['Mn', 'Manganese', 54.938, 55],
+    ['Fe', 'Iron', 55.845, 56],
+    ['Co', 'Cobalt', 58.933, 59],
+    ['Ni', 'Nickel', 58.693, 58],
+    ['Cu', 'Copper', 63.546, 63],
+    ['Zn', 'Zinc', 65.38, 64],
+    ['Ga', 'Gallium', 69.723, 69],
+    ['Ge', 'Germanium', 72.630, 74],
+    ['As', 'Arsenic', 74.922, 75],
+    ['Se', 'Selenium', 78.971, 80],
+    ['Br', 'Bromine', 79.904, 79],
+    ['Kr', 'Krypton', 83.798, 84],
+
+    // Period 5
+    ['Rb', 'Rubidium', 85.468, 85],
+    ['Sr', 'Strontium', 87.62, 88],
+    ['Y', 'Yttrium', 88.906, 89],
+    ['Zr', 'Zirconium', 91.224, 90],
+    ['Nb', 'Niobium', 92.906, 93],
+    ['Mo', 'Molybdenum', 95.95, 98],
+    ['Tc', 'Technetium', 98, 98],
+    ['Ru', 'Ruthenium', 101.07, 102],
+    ['Rh', 'Rhodium', 102.91, 103],
+    ['Pd', 'Palladium', 106.42, 106],
+    ['Ag', 'Silver', 107.87, 107],
+    ['Cd', 'Cadmium', 112.41, 114],
+    ['In', 'Indium', 114.82, 115],
+    ['Sn', 'Tin', 118.71, 120],
+    ['Sb', 'Antimony', 121.76, 121],
+    ['Te', 'Tellurium', 127.60, 130],
+    ['I', 'Iodine', 126.90, 127],
+    ['Xe', 'Xenon', 131.29, 132],
+
+    // Period 6
+    ['Cs', 'Caesium', 132.91, 133],
+    ['Ba', 'Barium', 137.33, 138],
+    ['La', 'Lanthanum', 138.91, 139],
+    ['Ce', 'Cerium', 140.12, 140],
+    ['Pr', 'Praseodymium', 140.91, 141],
+    ['Nd', 'Neodymium', 144.24, 142],
+    ['Pm', 'Promethium', 145, 145],
+    ['Sm', 'Samarium', 150.36, 152],
+    ['Eu', 'Europium', 151.96, 153],
+    ['Gd', 'Gadolinium', 157.25, 158],
+    ['Tb', 'Terbium', 158.93, 159],
+    ['Dy', 'Dysprosium', 162.50, 164],
+    ['Ho', 'Holmium', 164.93, 165],
+    ['Er', 'Erbium', 167.26, 166],
+    ['Tm', 'Thulium', 168.93, 169],
+    ['Yb', 'Ytterbium', 173.05, 174],
+    ['Lu', 'Lutetium', 174.97, 175],
+    ['Hf', 'Hafnium', 178.49, 180],
+    ['Ta', 'Tantalum', 180.95, 181],
+    ['W', 'Tungsten', 183.84, 184],
+    ['Re', 'Rhenium', 186.21, 187],
+    ['Os', 'Osmium', 190.23, 192],
+    ['Ir', 'Iridium', 192.22, 193],
+    ['Pt', 'Platinum', 195.08, 195],
+    ['Au', 'Gold', 196.97, 197],
+    ['Hg', 'Mercury', 200.59, 202],
+    ['Tl', 'Thallium', 204.38, 205],
+    ['Pb', 'Lead', 207.2, 208],
+    ['Bi', 'Bismuth', 208.98, 209],
+    ['Po', 'Polonium', 209, 209],
+    ['At', 'Astatine', 210, 210],
+    ['Rn', 'Radon', 222, 222],
+
+    // Period 7
+    ['Fr', 'Francium', 223, 223],
+    ['Ra', 'Radium', 226, 226],
+    ['Ac', 'Actinium', 227, 227],
+    ['Th', 'Thorium', 232.04, 232],
+    ['Pa', 'Protactinium', 231.04, 231],
+    ['U', 'Uranium', 238.03, 238],
+    ['Np', 'Neptunium', 237, 237],
+    ['Pu', 'Plutonium', 244, 244],
+    ['Am', 'Americium', 243, 243],
+    ['Cm', 'Curium', 247, 247],
+    ['Bk', 'Berkelium', 247, 247],
+    ['Cf', 'Californium', 251, 251],
+    ['Es', 'Einsteinium', 252, 252],
+    ['Fm', 'Fermium', 257, 257],
+    ['Md', 'Mendelevium', 258, 258],
+    ['No', 'Nobelium', 259, 259],
+    ['Lr', 'Lawrencium', 266, 266],
+    ['Rf', 'Rutherfordium', 267, 267],
+    ['Db', 'Dubnium', 268, 268],
+    ['Sg', 'Seaborgium', 269, 269],
+    ['Bh', 'Bohrium', 270, 270],
+    ['Hs', 'Hassium', 269, 269],
+    ['Mt', 'Meitnerium', 278, 278],
+    ['Ds', 'Darmstadtium', 281, 281],
+    ['Rg', 'Roentgenium', 282, 282],
+    ['Cn', 'Copernicium', 285, 285],
+    ['Nh', 'Nihonium', 286, 286],
+    ['Fl', 'Flerovium', 289, 289],
+    ['Mc', 'Moscovium', 290, 290],
+    ['Lv', 'Livermorium', 293, 293],
+    ['Ts', 'Tennessine', 294, 294],
+    ['Og', 'Oganesson', 294, 294]
+];
+
+export const ELEMENTS = ELEMENT_ROWS.map(([symbol, name, atomicMass, commonMassNumber], index) => ({
+    atomicNumber: index + 1,
+    symbol,
+    name,
+    atomicMass,
+    commonMassNumber
+}));
+
+export const MAX_ATOMIC_NUMBER = ELEMENTS.length;
+
+export function getElement(atomicNumber) {
+    if (!Number.isInteger(atomicNumber) || atomicNumber < 1 || atomicNumber > MAX_ATOMIC_NUMBER) {
+        throw new RangeError(`Atomic number must be an integer between 1 and ${MAX_ATOMIC_NUMBER}, got ${atomicNumber}`);
+    }
+    return ELEMENTS[atomicNumber - 1];
+}
+
+export function getElementBySymbol(symbol) {
+    const normalized = String(symbol).trim().toLowerCase();
+    return ELEMENTS.find((element) => element.symbol.toLowerCase() === normalized) || null;
+}
+
+// Single-bond covalent radii in angstroms (Cordero et al., 2008), indexed by Z - 1.
+// Elements past curium have no measured value and fall back to DEFAULT_COVALENT_RADIUS.
+const COVALENT_RADII = [
+    0.31, 0.28,
+    1.28, 0.96, 0.84, 0.76, 0.71, 0.66, 0.57, 0.58,
+    1.66, 1.41, 1.21, 1.11, 1.07, 1.05, 1.02, 1.06,
+    2.03, 1.76, 1.70, 1.60, 1.53, 1.39, 1.39, 1.32, 1.26, 1.24, 1.32, 1.22, 1.22, 1.20, 1.19, 1.20, 1.20, 1.16,
+    2.20, 1.95, 1.90, 1.75, 1.64, 1.54, 1.47, 1.46, 1.42, 1.39, 1.45, 1.44, 1.42, 1.39, 1.39, 1.38, 1.39, 1.40,
+    2.44, 2.15, 2.07, 2.04, 2.03, 2.01, 1.99, 1.98, 1.98, 1.96, 1.94, 1.92, 1.92, 1.89, 1.90, 1.87, 1.87,
+    1.75, 1.70, 1.62, 1.51, 1.44, 1.41, 1.36, 1.36, 1.32, 1.45, 1.46, 1.48, 1.40, 1.50, 1.50,
+    2.60, 2.21, 2.15, 2.06, 2.00, 1.96, 1.90, 1.87, 1.80, 1.69
+];
+
+export const DEFAULT_COVALENT_RADIUS = 1.5;
+
+export function getCovalentRadius(atomicNumber) {
+    return COVALENT_RADII[atomicNumber - 1] || DEFAULT_COVALENT_RADIUS;
+}
+
+// Pauling electronegativities, indexed by Z - 1. null where none is defined
+// (the lighter noble gases) or none has been measured.
+const ELECTRONEGATIVITIES = [
+    2.20, null,
+    0.98, 1.57, 2.04, 2.55, 3.04, 3.44, 3.98, null,
+    0.93, 1.31, 1.61, 1.90, 2.19, 2.58, 3.16, null,
+    0.82, 1.00, 1.36, 1.54, 1.63, 1.66, 1.55, 1.83, 1.88, 1.91, 1.90, 1.65, 1.81, 2.01, 2.18, 2.55, 2.96, 3.00,
+    0.82, 0.95, 1.22, 1.33, 1.60, 2.16, 1.90, 2.20, 2.28, 2.20, 1.93, 1.69, 1.78, 1.96, 2.05, 2.10, 2.66, 2.60,
+    0.79, 0.89, 1.10, 1.12, 1.13, 1.14, 1.13, 1.17, 1.20, 1.20, 1.10, 1.22, 1.23, 1.24, 1.25, 1.10, 1.27,
+    1.30, 1.50, 2.36, 1.90, 2.20, 2.20, 2.28, 2.54, 2.00, 1.62, 2.33, 2.02, 2.00, 2.20, 2.20,
+    0.79, 0.90, 1.10, 1.30, 1.50, 1.38, 1.36, 1.28, 1.13, 1.28, 1.30, 1.30, 1.30, 1.30, 1.30, 1.30
+];
+
+// First ionization energies in eV (NIST), indexed by Z - 1. Elements past lawrencium
+// have no measured value.
+const IONIZATION_ENERGIES = [
+    13.598, 24.587,
+    5.392, 9.323, 8.298, 11.260, 14.534, 13.618, 17.423, 21.565,
+    5.139, 7.646, 5.986, 8.152, 10.487, 10.360, 12.968, 15.760,
+    4.341, 6.113, 6.561, 6.828, 6.746, 6.767, 7.434, 7.902, 7.881, 7.640, 7.726, 9.394, 5.999, 7.899, 9.789, 9.752, 11.814, 14.000,
+    4.177, 5.695, 6.217, 6.634, 6.759, 7.092, 7.119, 7.361, 7.459, 8.337, 7.576, 8.994, 5.786, 7.344, 8.608, 9.010, 10.451, 12.130,
+    3.894, 5.212, 5.577, 5.539, 5.473, 5.525, 5.582, 5.644, 5.670, 6.150, 5.864, 5.939, 6.022, 6.108, 6.184, 6.254, 5.426,
+    6.825, 7.550, 7.864, 7.834, 8.438, 8.967, 8.959, 9.226, 10.438, 6.108, 7.417, 7.286, 8.414, 9.318, 10.749,
+    4.073, 5.278, 5.380, 6.307, 5.890, 6.194, 6.266, 6.026, 5.974, 5.991, 6.198, 6.282, 6.368, 6.500, 6.580, 6.626, 4.960
+];
+
+// Periodic-trend data for an element; values that aren't known are null.
+// radius is the covalent radius in angstroms (see COVALENT_RADII).
+export function getElementProperties(atomicNumber) {
+    getElement(atomicNumber);
+    const index = atomicNumber - 1;
+    return {
+        radius: COVALENT_RADII[index] || null,
+        electronegativity: ELECTRONEGATIVITIES[index] ?? null,
+        ionizationEnergy: IONIZATION_ENERGIES[index] ?? null
+    };
+}
+
+// Element categories for periodic-table coloring, keyed by the name getElementCategory returns
+export const ELEMENT_CATEGORIES = {
+    'alkali-metal': 'Alkali metal',
+    'alkaline-earth-metal': 'Alkaline earth metal',
+    'transition-metal': 'Transition metal',
+    'post-transition-metal': 'Post-transition metal',
+    metalloid: 'Metalloid',
+    nonmetal: 'Reactive nonmetal',
+    halogen: 'Halogen',
+    'noble-gas': 'Noble gas',
+    lanthanide: 'Lanthanide',
+    actinide: 'Actinide'
+};
+
+const CATEGORY_MEMBERS = {
+    'alkali-metal': [3, 11, 19, 37, 55, 87],
+    'alkaline-earth-metal': [4, 12, 20, 38, 56, 88],
+    'post-transition-metal': [13, 31, 49, 50, 81, 82, 83, 84, 113, 114, 115, 116],
+    metalloid: [5, 14, 32, 33, 51, 52],
+    nonmetal: [1, 6, 7, 8, 15, 16, 34],
+    halogen: [9, 17, 35, 53, 85, 117],
+    'noble-gas': [2, 10, 18, 36, 54, 86, 118]
+};
+
+export function getElementCategory(atomicNumber) {
+    getElement(atomicNumber);
+    if (atomicNumber >= 57 && atomicNumber <= 71) return 'lanthanide';
+    if (atomicNumber >= 89 && atomicNumber <= 103) return 'actinide';
+    const category = Object.keys(CATEGORY_MEMBERS).find((key) => CATEGORY_MEMBERS[key].includes(atomicNumber));
+    return category || 'transition-metal';
+}
+
+// Last atomic number of each period
+const PERIOD_ENDS = [2, 10, 18, 36, 54, 86, 118];
+
+// Period (1-7) and group (1-18) of an element. Lutetium and lawrencium take group 3 under
+// Sc and Y (the IUPAC layout); group is null for the other 14 lanthanides and actinides.
+export function getPeriodicPosition(atomicNumber) {
+    getElement(atomicNumber);
+    const period = PERIOD_ENDS.findIndex((end) => atomicNumber <= end) + 1;
+    const index = atomicNumber - (period === 1 ? 1 : PERIOD_ENDS[period - 2] + 1);
+    let group;
+    if (period === 1) {
+        group = index === 0 ? 1 : 18;
+    } else if (period <= 3) {
+        group = index < 2 ? index + 1 : index + 11;
+    } else if (period <= 5) {
+        group = index + 1;
+    } else if (index < 2) {
+        group = index + 1;
+    } else {
+        // Periods 6 and 7 hold 14 f-block elements (La-Yb, Ac-No) before group 3
+        group = index < 16 ? null : index - 13;
+    }
+    return { period, group };
+}
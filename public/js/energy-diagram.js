@@ -0,0 +1,173 @@
+import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.158.0/build/three.module.js';
+import { getShellColor } from './themes.js';
+
+// Energy-level ladder in the DOM overlay, kept in step with the attached AtomModel: one rung per
+// level, electrons as dots on the level they occupy (excited ones on their raised level), and
+// selected levels and electrons drawn highlighted. Tapping a rung dispatches 'leveltap' with n.
+
+const TOP = 24; // px above the ionization line, room for its label
+const BOTTOM = 12; // px below level n=1
+const LINE_START = 34; // px left of the rungs, room for the n labels
+const DOT_RADIUS = 3;
+const TAP_TOLERANCE = 10; // px a tap may land from a rung
+
+function toCSS(hex) {
+    return `#${hex.toString(16).padStart(6, '0')}`;
+}
+
+export class EnergyLevelDiagram extends THREE.EventDispatcher {
+    constructor(parent) {
+        super();
+        this.atom = null;
+        this._needsDraw = false;
+        this._onChange = () => { this._needsDraw = true; };
+        this._events = ['electronexcited', 'photonemitted', 'compositionchange', 'decay', 'selectionchange', 'themechange'];
+
+        this.element = document.createElement('div');
+        this.element.className = 'energy-panel hidden';
+        this.element.innerHTML = `
+            <div class="energy-header">Energy levels</div>
+            <canvas class="energy-canvas" width="150" height="180"></canvas>
+        `;
+        this.canvas = this.element.querySelector('canvas');
+        this.context = this.canvas.getContext('2d');
+        this.canvas.addEventListener('click', (event) => this.onClick(event));
+        this.element.addEventListener('beforexrselect', (event) => event.preventDefault());
+        parent.appendChild(this.element);
+    }
+
+    attach(atom) {
+        this.detach();
+        this.atom = atom;
+        this._events.forEach((type) => atom.addEventListener(type, this._onChange));
+        this.element.classList.remove('hidden');
+        this.draw();
+    }
+
+    detach() {
+        if (this.atom) {
+            this._events.forEach((type) => this.atom.removeEventListener(type, this._onChange));
+            this.atom = null;
+        }
+        this.element.classList.add('hidden');
+    }
+
+    // Called every frame; redraws once after the atom reported a change. Events can fire just
+    // before the electron they describe moves (photonemitted), so drawing waits for the frame.
+    update() {
+        if (!this._needsDraw || !this.atom) return;
+        this._needsDraw = false;
+        this.draw();
+    }
+
+    // Levels from n=1 up to one above the outermost shell, or the highest excited electron
+    getLevels() {
+        const atom = this.atom;
+        const layout = atom.shellLayout;
+        let top = layout.length > 0 ? layout[layout.length - 1].n + 1 : 1;
+        atom.electrons.forEach((electron) => { top = Math.max(top, atom.getElectronLevel(electron)); });
+
+        const levels = [];
+        for (let n = 1; n <= top; n++) {
+            const index = layout.findIndex((shell) => shell.n === n);
+            levels.push({
+                n,
+                color: index === -1 ? '#777' : toCSS(getShellColor(atom.theme, index)),
+                electrons: [],
+                selected: false
+            });
+        }
+        atom.electrons.forEach((electron) => {
+            levels[atom.getElectronLevel(electron) - 1].electrons.push(electron);
+        });
+        atom.getSelection().forEach(({ type, object, n }) => {
+            const level = type === 'orbital' ? object.userData.orbital.n : n;
+            if (level) levels[level - 1].selected = true;
+        });
+        return levels;
+    }
+
+    // Real levels sit at -13.6 Z²/n² eV; spacing them as 1/n keeps the upper rungs apart
+    levelToY(n) {
+        const { height } = this.canvas;
+        return TOP + (height - TOP - BOTTOM) / n;
+    }
+
+    draw() {
+        const ctx = this.context;
+        const { width, height } = this.canvas;
+        ctx.clearRect(0, 0, width, height);
+        if (!this.atom) return;
+
+        // Ionization limit: an electron lifted past it leaves the atom
+        ctx.strokeStyle = '#aaa';
+        ctx.setLineDash([3, 3]);
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(LINE_START, TOP);
+        ctx.lineTo(width - 4, TOP);
+        ctx.stroke();
+        ctx.setLineDash([]);
+        ctx.fillStyle = '#aaa';
+        ctx.font = '10px sans-serif';
+        ctx.textAlign = 'right';
+        ctx.fillText('ionized', width - 4, TOP - 4);
+
+        const selected = new Set(this.atom.getSelection().map((entry) => entry.object));
+        const electronColor = toCSS(this.atom.theme.electron.color);
+        const highlightColor = toCSS(this.atom.theme.highlight.electron);
+        const lineWidth = width - 4 - LINE_START;
+
+        this.getLevels().forEach((level) => {
+            const y = this.levelToY(level.n);
+            ctx.strokeStyle = level.selected ? '#fff' : level.color;
+            ctx.lineWidth = level.selected ? 3 : 1.5;
+            ctx.beginPath();
+            ctx.moveTo(LINE_START, y);
+            ctx.lineTo(width - 4, y);
+            ctx.stroke();
+
+            ctx.fillStyle = level.selected ? '#fff' : '#ccc';
+            ctx.textAlign = 'left';
+            ctx.fillText(`n=${level.n}`, 4, y + 3);
+
+            // Dots spread along the rung, squeezed together when a big shell doesn't fit
+            const count = level.electrons.length;
+            const spacing = Math.min(DOT_RADIUS * 3, lineWidth / Math.max(count, 1));
+            const start = LINE_START + (lineWidth - spacing * (count - 1)) / 2;
+            level.electrons.forEach((electron, index) => {
+                const isSelected = selected.has(electron);
+                ctx.fillStyle = isSelected ? highlightColor : electronColor;
+                ctx.beginPath();
+                ctx.arc(start + index * spacing, y - DOT_RADIUS - 1, isSelected ? DOT_RADIUS + 1.5 : DOT_RADIUS, 0, Math.PI * 2);
+                ctx.fill();
+                if (isSelected) {
+                    ctx.strokeStyle = '#fff';
+                    ctx.lineWidth = 1;
+                    ctx.stroke();
+                }
+            });
+        });
+    }
+
+    onClick(event) {
+        if (!this.atom) return;
+        const rect = this.canvas.getBoundingClientRect();
+        const y = (event.clientY - rect.top) * (this.canvas.height / rect.height);
+        let nearest = null;
+        let nearestDistance = TAP_TOLERANCE;
+        this.getLevels().forEach((level) => {
+            const distance = Math.abs(this.levelToY(level.n) - y);
+            if (distance <= nearestDistance) {
+                nearest = level;
+                nearestDistance = distance;
+            }
+        });
+        if (nearest) this.dispatchEvent({ type: 'leveltap', n: nearest.n, additive: event.shiftKey });
+    }
+
+    dispose() {
+        this.detach();
+        this.element.remove();
+    }
+}
@@ -0,0 +1,140 @@
+import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.158.0/build/three.module.js';
+import { GLTFExporter } from 'https://cdn.jsdelivr.net/npm/three@0.158.0/examples/jsm/exporters/GLTFExporter.js';
+import { USDZExporter } from 'https://cdn.jsdelivr.net/npm/three@0.158.0/examples/jsm/exporters/USDZExporter.js';
+
+// Export the placed model (with its current pose and materials) to binary glTF or USDZ.
+
+export const EXPORT_FORMATS = {
+    glb: { extension: 'glb', mimeType: 'model/gltf-binary' },
+    usdz: { extension: 'usdz', mimeType: 'model/vnd.usdz+zip' }
+};
+
+// Text labels and anything else drawn from a canvas are UI rather than model, and their
+// images can't be serialized outside a browser (the server export)
+function isOverlayHelper(child, userData) {
+    const materials = Array.isArray(child.material) ? child.material : [child.material];
+    return Boolean(userData.isLabel) || materials.some((material) => material && material.map && material.map.isCanvasTexture);
+}
+
+// userData holds runtime links (electron -> trail, bond -> group) that can't be serialized,
+// so exports work on a copy with userData stripped. Geometries and materials stay shared.
+// Instanced draws are left out: the part meshes they copy are exported in their place.
+// Labels are left out too (see isOverlayHelper).
+export function cloneForExport(object) {
+    const saved = [];
+    object.traverse((child) => {
+        saved.push([child, child.userData]);
+        child.userData = {};
+    });
+    let copy;
+    try {
+        copy = object.clone(true);
+    } finally {
+        saved.forEach(([child, userData]) => { child.userData = userData; });
+    }
+    // The copy traverses in the same order as the original
+    const dropped = [];
+    let index = 0;
+    copy.traverse((child) => {
+        const [original, userData] = saved[index++];
+        if (child.isInstancedMesh || isOverlayHelper(original, userData)) dropped.push(child);
+    });
+    dropped.forEach((child) => {
+        if (child.parent) child.parent.remove(child);
+    });
+    return copy;
+}
+
+export async function exportGLB(object) {
+    const exporter = new GLTFExporter();
+    const arrayBuffer = await exporter.parseAsync(cloneForExport(object), { binary: true, onlyVisible: true });
+    return new Blob([arrayBuffer], { type: EXPORT_FORMATS.glb.mimeType });
+}
+
+// USDZ only carries meshes with MeshStandardMaterial, so unlit parts (rings, glows) are
+// converted to emissive standard materials and lines/points (trails, clouds) are left out.
+export function prepareForUSDZ(object) {
+    const copy = cloneForExport(object);
+    const converted = new Map();
+    const dropped = [];
+    copy.traverse((child) => {
+        if (child.isLine || child.isPoints) {
+            dropped.push(child);
+            return;
+        }
+        if (!child.isMesh || child.material.isMeshStandardMaterial) return;
+        const source = child.material;
+        if (!converted.has(source)) {
+            converted.set(source, new THREE.MeshStandardMaterial({
+                color: 0x000000,
+                emissive: source.color ? source.color.clone() : new THREE.Color(0xffffff),
+                transparent: source.transparent,
+                opacity: source.opacity,
+                side: THREE.FrontSide
+            }));
+        }
+        child.material = converted.get(source);
+    });
+    dropped.forEach((child) => child.parent.remove(child));
+    return { object: copy, dispose: () => converted.forEach((material) => material.dispose()) };
+}
+
+export async function exportUSDZ(object) {
+    const { object: prepared, dispose } = prepareForUSDZ(object);
+    try {
+        const exporter = new USDZExporter();
+        const bytes = await exporter.parse(prepared, { quickLookCompatible: true });
+        return new Blob([bytes], { type: EXPORT_FORMATS.usdz.mimeType });
+    } finally {
+        dispose();
+    }
+}
+
+export function exportModel(object, format) {
+    if (format === 'glb') return exportGLB(object);
+    if (format === 'usdz') return exportUSDZ(object);
+    return Promise.reject(new Error(`Unknown export format: ${format}`));
+}
+
+// Asks the server to build the file from a serialized scene (Object3D.toJSON())
+export async function exportOnServer(object, format, fileName) {
+    const scene = format === 'usdz' ? prepareForUSDZ(object) : { object: cloneForExport(object), dispose: () => {} };
+    let body;
+    try {
+        body = JSON.stringify({ format, fileName, scene: scene.object.toJSON() });
+    } finally {
+        scene.dispose();
+    }
+    const response = await fetch('/api/export', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body
+    });
+    if (!response.ok) {
+        const error = await response.json().catch(() => ({}));
+        throw new Error(error.error || `Export failed with status ${response.status}`);
+    }
+    return response.blob();
+}
+
+export function isARQuickLookSupported() {
+    const anchor = document.createElement('a');
+    return Boolean(anchor.relList && anchor.relList.supports && anchor.relList.supports('ar'));
+}
+
+// Saves the blob, or on iOS hands USDZ files to AR Quick Look (which needs rel="ar" and an <img> child)
+export function downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const anchor = document.createElement('a');
+    anchor.href = url;
+    if (fileName.endsWith('.usdz') && isARQuickLookSupported()) {
+        anchor.rel = 'ar';
+        anchor.appendChild(document.createElement('img'));
+    } else {
+        anchor.download = fileName;
+    }
+    document.body.appendChild(anchor);
+    anchor.click();
+    anchor.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 60000);
+}
@@ -0,0 +1,42 @@
+// DOM overlay card describing a tapped part of the placed model (see AtomModel.getPartInfo)
+
+export class InfoCard {
+    constructor(parent) {
+        this.element = document.createElement('div');
+        this.element.className = 'info-card hidden';
+        this.element.innerHTML = `
+            <div class="info-card-header">
+                <span class="info-card-title"></span>
+                <button class="info-card-close" title="Close">×</button>
+            </div>
+            <dl>
+                <dt>Charge</dt><dd class="info-card-charge"></dd>
+                <dt>Mass</dt><dd class="info-card-mass"></dd>
+            </dl>
+            <p class="info-card-role"></p>
+        `;
+        this.element.querySelector('.info-card-close').addEventListener('click', () => this.hide());
+        this.element.addEventListener('beforexrselect', (event) => event.preventDefault());
+        parent.appendChild(this.element);
+    }
+
+    show(info) {
+        if (!info) {
+            this.hide();
+            return;
+        }
+        this.element.querySelector('.info-card-title').textContent = info.title;
+        this.element.querySelector('.info-card-charge').textContent = info.charge;
+        this.element.querySelector('.info-card-mass').textContent = info.mass;
+        this.element.querySelector('.info-card-role').textContent = info.role;
+        this.element.classList.remove('hidden');
+    }
+
+    hide() {
+        this.element.classList.add('hidden');
+    }
+
+    dispose() {
+        this.element.remove();
+    }
+}
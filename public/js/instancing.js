@@ -0,0 +1,148 @@
+import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.158.0/build/three.module.js';
+
+// Instanced drawing for parts that come in large numbers (protons, neutrons, electrons).
+// The parts stay ordinary meshes: they carry userData, labels and raycast hits and are posed
+// as before, but they sit on PROXY_LAYER, which no camera renders. Each frame their matrices,
+// opacity and highlight glow are copied into one InstancedMesh per material.
+
+// Layers 1 and 2 are used by the WebXR per-eye cameras
+export const PROXY_LAYER = 31;
+
+// Per-instance stand-in for a material: fade tweens animate its opacity/transparent like a
+// material's, and highlights set its emissive glow
+export function createInstanceStyle() {
+    return {
+        opacity: 1,
+        transparent: false,
+        userData: {},
+        emissive: new THREE.Color(0x000000),
+        emissiveIntensity: 0
+    };
+}
+
+// Adds the instanceOpacity and instanceEmissive attributes to a MeshStandardMaterial's shader
+function applyInstanceAttributes(shader) {
+    shader.vertexShader = shader.vertexShader
+        .replace('#include <common>', `#include <common>
+attribute float instanceOpacity;
+attribute vec3 instanceEmissive;
+varying float vInstanceOpacity;
+varying vec3 vInstanceEmissive;`)
+        .replace('#include <begin_vertex>', `#include <begin_vertex>
+vInstanceOpacity = instanceOpacity;
+vInstanceEmissive = instanceEmissive;`);
+    shader.fragmentShader = shader.fragmentShader
+        .replace('#include <common>', `#include <common>
+varying float vInstanceOpacity;
+varying vec3 vInstanceEmissive;`)
+        .replace('#include <color_fragment>', `#include <color_fragment>
+diffuseColor.a *= vInstanceOpacity;`)
+        .replace('#include <emissivemap_fragment>', `#include <emissivemap_fragment>
+totalEmissiveRadiance += vInstanceEmissive;`);
+}
+
+export class InstancedParts {
+    // Draws every visible mesh whose material is `source`, using `geometry`, as a child of `parent`
+    constructor(source, geometry, parent, capacity = 16) {
+        this.source = source;
+        this.geometry = geometry;
+        this.parent = parent;
+        // A patched copy, so meshes drawn on their own (flying away with a cloned material) keep the stock shader
+        this.material = source.clone();
+        this.material.onBeforeCompile = applyInstanceAttributes;
+        this._sourceVersion = source.version;
+        this._emissive = new THREE.Color();
+        this.mesh = null;
+        this.allocate(capacity);
+    }
+
+    allocate(capacity) {
+        if (this.mesh) {
+            this.parent.remove(this.mesh);
+            this.mesh.dispose();
+        }
+        const mesh = new THREE.InstancedMesh(this.geometry, this.material, capacity);
+        mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+        const opacity = new THREE.InstancedBufferAttribute(new Float32Array(capacity).fill(1), 1);
+        const emissive = new THREE.InstancedBufferAttribute(new Float32Array(capacity * 3), 3);
+        opacity.setUsage(THREE.DynamicDrawUsage);
+        emissive.setUsage(THREE.DynamicDrawUsage);
+        // Instance attributes live on the mesh's own geometry copy, so the shared geometry stays plain
+        mesh.geometry = this.geometry.clone();
+        mesh.geometry.setAttribute('instanceOpacity', opacity);
+        mesh.geometry.setAttribute('instanceEmissive', emissive);
+        mesh.count = 0;
+        // The bounding sphere ignores instance offsets, so culling would drop visible parts
+        mesh.frustumCulled = false;
+        // Taps hit the part meshes themselves
+        mesh.raycast = () => {};
+        this.parent.add(mesh);
+        this.mesh = mesh;
+        this.capacity = capacity;
+    }
+
+    // Swaps in a geometry with a different level of detail
+    setGeometry(geometry) {
+        if (geometry === this.geometry) return;
+        this.geometry = geometry;
+        const { instanceOpacity, instanceEmissive } = this.mesh.geometry.attributes;
+        this.mesh.geometry.dispose();
+        this.mesh.geometry = geometry.clone();
+        this.mesh.geometry.setAttribute('instanceOpacity', instanceOpacity);
+        this.mesh.geometry.setAttribute('instanceEmissive', instanceEmissive);
+    }
+
+    // Copies pose, opacity and glow from each visible mesh drawn with the source material
+    update(meshes) {
+        let needed = 0;
+        meshes.forEach((mesh) => {
+            if (mesh.material === this.source && mesh.visible) needed++;
+        });
+        if (needed > this.capacity) {
+            this.allocate(Math.max(needed, this.capacity * 2));
+        }
+        this.syncMaterial();
+
+        const instancedMesh = this.mesh;
+        const opacities = instancedMesh.geometry.attributes.instanceOpacity;
+        const emissives = instancedMesh.geometry.attributes.instanceEmissive;
+        let count = 0;
+        let translucent = false;
+        meshes.forEach((mesh) => {
+            if (mesh.material !== this.source || !mesh.visible) return;
+            mesh.updateMatrix();
+            instancedMesh.setMatrixAt(count, mesh.matrix);
+            const style = mesh.userData.instanceStyle;
+            const opacity = style ? style.opacity : 1;
+            opacities.setX(count, opacity);
+            if (style) {
+                this._emissive.copy(style.emissive).multiplyScalar(style.emissiveIntensity);
+            } else {
+                this._emissive.setRGB(0, 0, 0);
+            }
+            emissives.setXYZ(count, this._emissive.r, this._emissive.g, this._emissive.b);
+            if (opacity < 1) translucent = true;
+            count++;
+        });
+        instancedMesh.count = count;
+        instancedMesh.instanceMatrix.needsUpdate = true;
+        opacities.needsUpdate = true;
+        emissives.needsUpdate = true;
+        this.material.transparent = translucent || this.source.transparent;
+    }
+
+    // Follows theme changes made to the source material
+    syncMaterial() {
+        if (this.source.version === this._sourceVersion) return;
+        this._sourceVersion = this.source.version;
+        this.material.copy(this.source);
+        this.material.needsUpdate = true;
+    }
+
+    dispose() {
+        this.parent.remove(this.mesh);
+        this.mesh.geometry.dispose();
+        this.mesh.dispose();
+        this.material.dispose();
+    }
+}
@@ -1,11 +1,24 @@
 import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.158.0/build/three.module.js';
 
-export class InteractionManager {
+const _viewDirection = new THREE.Vector3();
+
+// Dispatches 'parttap' ({ object }) when a tap lands on the atom and 'emptytap' when it misses.
+// A gesture that starts on the atom is bracketed by 'gesturestart' and 'gestureend'. Taps and
+// grabs on another of the placed models (see setTargets) first dispatch 'targettap' ({ model }),
+// so the listener can make that model the atom the gesture goes on with.
+export class InteractionManager extends THREE.EventDispatcher {
     constructor(renderer, scene, camera) {
+        super();
         this.renderer = renderer;
         this.scene = scene;
         this.camera = camera;
         this.atom = null;
+        this.targets = []; // every placed model, the atom among them
+        // When set (or with Shift held), taps add parts to the selection or take them out again
+        this.additiveSelection = false;
+        // In the inline 3D view drags that miss the atom orbit the camera instead (see app.js),
+        // so pinches only act on the atom when they start on it
+        this.inline = false;
         
         // Controllers
         this.controllers = [];
@@ -28,13 +41,19 @@ export class InteractionManager {
         this.isTouchGrabbing = false;
         this.dragPlane = new THREE.Plane();
         this.raycaster = new THREE.Raycaster();
+        this.raycaster.params.Points.threshold = 0.01; // orbital clouds in quantum render mode
+        // Instanced parts are hit through meshes on a layer cameras skip (see instancing.js)
+        this.raycaster.layers.enableAll();
         this.ndc = new THREE.Vector2();
         this.initialTouchDistance = 0;
         this.initialTouchAngle = 0;
         this.initialRotationY = 0;
 
+        this.isPartGesture = false; // the first pointer landed on the atom
+
         // Smooth dragging
         this.touchTargetPosition = new THREE.Vector3();
+        this.dragOffset = new THREE.Vector3(); // atom position minus the grabbed point
         this.hasTouchTarget = false;
         this.dragLerpFactor = 0.2; // 0..1 per frame
 
@@ -114,6 +133,8 @@ export class InteractionManager {
 
     onPointerDown(event) {
         if (!this.atom) return;
+        // Let overlay buttons and panels receive their own clicks
+        if (this.isOverlayControl(event.target)) return;
         // Record pointer
         event.preventDefault();
         this.activePointers.set(event.pointerId, { x: event.clientX, y: event.clientY });
@@ -124,22 +145,30 @@ export class InteractionManager {
             const intersections = this.raycastFromScreen(x, y);
             if (intersections.length > 0) {
                 const clickedObject = intersections[0].object;
-                // Apply nucleus-specific highlight if tapping a proton/neutron
-                if (clickedObject && clickedObject.userData && clickedObject.userData.isNucleus && this.atom.applyHighlight) {
-                    this.atom.applyHighlight(clickedObject);
+                this.focusTarget(clickedObject);
+                this.selectPart(clickedObject, this.additiveSelection || event.shiftKey);
+                this.dispatchEvent({ type: 'parttap', object: clickedObject });
+                this.isPartGesture = true;
+                this.dispatchEvent({ type: 'gesturestart' });
+                if (this.inline) {
+                    // Keep the drag when the mouse passes over a panel
+                    this._touchTarget.setPointerCapture(event.pointerId);
+                }
+                if (this.inline && event.altKey) {
+                    // Alt-drag moves the atom across the view, like grabbing it with a controller
+                    this.startTouchGrab(x, y);
+                } else {
+                    this.isTouchRotating = true;
+                    this.initialTouchX = x;
+                    this.initialRotationY = this.atom.getRotationY ? this.atom.getRotationY() : this.atom.getGroup().rotation.y;
+                    this.isTouchGrabbing = false; // disable move
                 }
-                // Fade all other parts except the clicked part's subtree
-                if (this.atom.fadeExcept) this.atom.fadeExcept(clickedObject, 0.1);
-                this.isTouchRotating = true;
-                this.initialTouchX = x;
-                this.initialRotationY = this.atom.getRotationY ? this.atom.getRotationY() : this.atom.getGroup().rotation.y;
-                this.isTouchGrabbing = false; // disable move
             } else {
                 // Tap empty space restores opacity
-                if (this.atom.clearHighlight) this.atom.clearHighlight();
-                if (this.atom.restoreOpacity) this.atom.restoreOpacity();
+                this.clearSelection();
+                this.dispatchEvent({ type: 'emptytap' });
             }
-        } else if (this.activePointers.size === 2) {
+        } else if (this.activePointers.size === 2 && (this.isPartGesture || !this.inline)) {
             // Start pinch scaling
             const points = Array.from(this.activePointers.values());
             this.initialTouchDistance = this.distance2(points[0], points[1]);
@@ -168,7 +197,15 @@ export class InteractionManager {
             } else {
                 this.atom.getGroup().rotation.y = newY;
             }
-        } else if (this.activePointers.size === 2) {
+        } else if (this.activePointers.size === 1 && this.isTouchGrabbing) {
+            event.preventDefault();
+            const { x, y } = this.activePointers.values().next().value;
+            const point = this.screenPointToPlaneIntersection(x, y, this.dragPlane);
+            if (point) {
+                this.touchTargetPosition.copy(point).add(this.dragOffset);
+                this.hasTouchTarget = true;
+            }
+        } else if (this.activePointers.size === 2 && (this.isPartGesture || !this.inline)) {
             event.preventDefault();
             // Pinch to scale
             const points = Array.from(this.activePointers.values());
@@ -203,10 +240,32 @@ export class InteractionManager {
             this.isTouchGrabbing = false;
             this.hasTouchTarget = false;
             this.isTouchRotating = false;
+            if (this.isPartGesture) {
+                this.isPartGesture = false;
+                this.dispatchEvent({ type: 'gestureend' });
+            }
         }
     }
 
+    // Drags the atom on the plane facing the camera through its center
+    startTouchGrab(x, y) {
+        const position = this.atom.getGroup().position;
+        this.camera.getWorldDirection(_viewDirection);
+        this.dragPlane.setFromNormalAndCoplanarPoint(_viewDirection.negate(), position);
+        const point = this.screenPointToPlaneIntersection(x, y, this.dragPlane);
+        this.dragOffset.copy(position).sub(point || position);
+        this.isTouchGrabbing = true;
+        this.isTouchRotating = false;
+        this.hasTouchTarget = false;
+    }
+
     // Helpers for touch interactions
+    isOverlayControl(target) {
+        return Boolean(target && target !== this._touchTarget && target.closest &&
+            target.closest('button, input, select, label, .atom-panel, .time-controls, .spectrum-panel, .info-card, ' +
+                '.energy-panel, .periodic-picker, .placement-picker, .instructions, .controls'));
+    }
+
     isTouchOnAtom(x, y) {
         const intersect = this.raycastFromScreen(x, y);
         return intersect.length > 0;
@@ -217,7 +276,39 @@ export class InteractionManager {
         this.ndc.x = ((x - rect.left) / rect.width) * 2 - 1;
         this.ndc.y = -((y - rect.top) / rect.height) * 2 + 1;
         this.raycaster.setFromCamera(this.ndc, this.camera);
-        return this.raycaster.intersectObject(this.atom.getGroup(), true);
+        return this.filterVisible(this.raycaster.intersectObjects(this.getTargetGroups(), true));
+    }
+
+    getTargetGroups() {
+        const targets = this.targets.length > 0 ? this.targets : [this.atom];
+        return targets.map((target) => target.getGroup());
+    }
+
+    // The placed model `object` belongs to
+    findTarget(object) {
+        for (let node = object; node; node = node.parent) {
+            const target = this.targets.find((model) => model.getGroup() === node);
+            if (target) return target;
+        }
+        return null;
+    }
+
+    // Hands the gesture on to the model `object` belongs to, when that isn't the atom already
+    focusTarget(object) {
+        const target = this.findTarget(object);
+        if (target && target !== this.atom) this.dispatchEvent({ type: 'targettap', model: target });
+    }
+
+    // Raycaster ignores `visible`, so drop hits on parts hidden by the current render mode
+    filterVisible(intersections) {
+        return intersections.filter((hit) => {
+            let obj = hit.object;
+            while (obj) {
+                if (!obj.visible) return false;
+                obj = obj.parent;
+            }
+            return true;
+        });
     }
 
     screenPointToPlaneIntersection(x, y, plane) {
@@ -246,6 +337,38 @@ export class InteractionManager {
         this.atom = atom;
     }
 
+    // Live list of the placed models; taps reach all of them
+    setTargets(targets) {
+        this.targets = targets;
+    }
+
+    // Selects the tapped part (or parts, e.g. a whole energy level) and fades everything outside
+    // the selection
+    selectPart(object, additive) {
+        const atom = this.atom;
+        const parts = Array.isArray(object) ? object : [object];
+        if (additive && parts.every((part) => atom.isSelected(part))) {
+            atom.deselect(object);
+        } else {
+            atom.select(object, { additive });
+        }
+        const selected = atom.getSelection().map((entry) => entry.object);
+        if (selected.length > 0) {
+            atom.fadeExcept(selected, 0.1);
+        } else if (additive) {
+            atom.restoreOpacity();
+        } else {
+            // Bonds and shared electrons aren't selectable but still stand out when tapped
+            atom.fadeExcept(object, 0.1);
+        }
+    }
+
+    clearSelection() {
+        if (!this.atom) return;
+        if (this.atom.clearHighlight) this.atom.clearHighlight();
+        if (this.atom.restoreOpacity) this.atom.restoreOpacity();
+    }
+
     // WebXR Controller Events - handles ALL input (touch, controllers, etc.)
     onControllerSelectStart(event) {
         if (!this.atom) return;
@@ -254,6 +377,7 @@ export class InteractionManager {
         const intersections = this.getIntersections(controller);
 
         if (intersections.length > 0) {
+            this.focusTarget(intersections[0].object);
             this.isGrabbing = true;
             this.grabController = controller;
             this.initialControllerPosition.copy(controller.position);
@@ -348,13 +472,14 @@ export class InteractionManager {
         if (!this.atom) return [];
 
         const raycaster = new THREE.Raycaster();
+        raycaster.layers.enableAll();
         const tempMatrix = new THREE.Matrix4();
         
         tempMatrix.identity().extractRotation(controller.matrixWorld);
         raycaster.ray.origin.setFromMatrixPosition(controller.matrixWorld);
         raycaster.ray.direction.set(0, 0, -1).applyMatrix4(tempMatrix);
 
-        return raycaster.intersectObject(this.atom.getGroup(), true);
+        return this.filterVisible(raycaster.intersectObjects(this.getTargetGroups(), true));
     }
 
     scaleAtom(factor) {
@@ -365,6 +490,24 @@ export class InteractionManager {
         this.atom.setScale(newScale);
     }
 
+    rotateAtom(angle) {
+        if (!this.atom) return;
+
+        const rotationY = this.atom.getRotationY ? this.atom.getRotationY() : this.atom.getGroup().rotation.y;
+        if (this.atom.setRotationY) {
+            this.atom.setRotationY(rotationY + angle);
+        } else {
+            this.atom.getGroup().rotation.y = rotationY + angle;
+        }
+    }
+
+    moveAtom(dx, dy, dz) {
+        if (!this.atom) return;
+
+        const position = this.atom.getGroup().position;
+        this.atom.setPosition(position.x + dx, position.y + dy, position.z + dz);
+    }
+
     resetAtom() {
         if (!this.atom) return;
         
@@ -0,0 +1,149 @@
+import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.158.0/build/three.module.js';
+
+// Camera-facing text labels on AtomModel parts: "p⁺"/"n⁰" on nucleons, "n=1"... on orbit
+// rings and the element symbol above the atom. Labels keep a fixed world size whatever the
+// atom's scale, and are rebuilt whenever the atom's composition changes.
+
+// Label heights in metres once placed in the room
+const LABEL_SIZES = {
+    nucleon: 0.008,
+    shell: 0.012,
+    element: 0.03
+};
+// Bigger nuclei would bury the atom in labels, so nucleon labels are skipped above this count
+const MAX_NUCLEON_LABELS = 40;
+
+export function createTextTexture(text, options = {}) {
+    const { color = '#ffffff', background = 'rgba(0, 0, 0, 0.55)', fontSize = 48 } = options;
+    const canvas = document.createElement('canvas');
+    const context = canvas.getContext('2d');
+    const font = `bold ${fontSize}px sans-serif`;
+    context.font = font;
+    const padding = fontSize * 0.3;
+    canvas.width = Math.ceil(context.measureText(text).width + padding * 2);
+    canvas.height = Math.ceil(fontSize * 1.3);
+
+    // Resizing the canvas resets the context state
+    context.font = font;
+    context.fillStyle = background;
+    const radius = canvas.height / 2;
+    context.beginPath();
+    context.roundRect(0, 0, canvas.width, canvas.height, radius);
+    context.fill();
+    context.fillStyle = color;
+    context.textAlign = 'center';
+    context.textBaseline = 'middle';
+    context.fillText(text, canvas.width / 2, canvas.height / 2);
+
+    const texture = new THREE.CanvasTexture(canvas);
+    texture.colorSpace = THREE.SRGBColorSpace;
+    return texture;
+}
+
+export class AtomLabels {
+    constructor(atom, options = {}) {
+        const { nucleons = true, shells = true, element = true } = options;
+        this.atom = atom;
+        this.show = { nucleons, shells, element };
+        this.visible = true;
+        this.labels = []; // sprites, each with userData.labelSize
+        this._textures = new Map(); // text -> CanvasTexture, shared between labels
+        this._worldScale = new THREE.Vector3();
+        this._onCompositionChange = () => this.rebuild();
+        atom.addEventListener('compositionchange', this._onCompositionChange);
+        this.rebuild();
+    }
+
+    getTexture(text) {
+        if (!this._textures.has(text)) {
+            this._textures.set(text, createTextTexture(text));
+        }
+        return this._textures.get(text);
+    }
+
+    createLabel(text, size, parent, position) {
+        const texture = this.getTexture(text);
+        const sprite = new THREE.Sprite(new THREE.SpriteMaterial({
+            map: texture,
+            transparent: true,
+            depthTest: false,
+            depthWrite: false
+        }));
+        sprite.userData.isLabel = true;
+        sprite.userData.labelSize = size;
+        sprite.userData.aspect = texture.image.width / texture.image.height;
+        sprite.position.copy(position);
+        sprite.renderOrder = 10;
+        sprite.visible = this.visible;
+        // Labels should never swallow taps meant for the part underneath
+        sprite.raycast = () => {};
+        parent.add(sprite);
+        this.labels.push(sprite);
+        return sprite;
+    }
+
+    rebuild() {
+        this.clear();
+        const atom = this.atom;
+
+        if (this.show.nucleons && atom.nucleus.length <= MAX_NUCLEON_LABELS) {
+            atom.nucleus.forEach((mesh) => {
+                const text = mesh.userData.nucleusType === 'proton' ? 'p⁺' : 'n⁰';
+                // Centred on the spinning nucleon; depthTest is off, so it draws on top of the sphere
+                this.createLabel(text, LABEL_SIZES.nucleon, mesh, new THREE.Vector3());
+            });
+        }
+
+        if (this.show.shells) {
+            atom.orbits.forEach((orbital, index) => {
+                const shell = atom.shellLayout[index];
+                if (!shell) return;
+                // Rings are built in their local XY plane at geometryRadius; the mesh scale tracks the current radius
+                this.createLabel(`n=${shell.n}`, LABEL_SIZES.shell, orbital.mesh,
+                    new THREE.Vector3(orbital.geometryRadius, 0, 0));
+            });
+        }
+
+        if (this.show.element) {
+            const outerShell = atom.shellLayout[atom.shellLayout.length - 1];
+            const top = (outerShell ? outerShell.radius : atom.nucleusRadius) + 0.15;
+            this.createLabel(atom.getElement().symbol, LABEL_SIZES.element, atom.getGroup(), new THREE.Vector3(0, top, 0));
+        }
+    }
+
+    setVisible(visible) {
+        this.visible = visible;
+        this.labels.forEach((sprite) => { sprite.visible = visible; });
+    }
+
+    // Turns a label category ('nucleons', 'shells' or 'element') on or off
+    setCategoryVisible(category, visible) {
+        this.show[category] = visible;
+        this.rebuild();
+    }
+
+    // Called every frame: undo the world scale of each label's parent so labels keep their size
+    update() {
+        if (!this.visible) return;
+        this.labels.forEach((sprite) => {
+            sprite.parent.getWorldScale(this._worldScale);
+            const scale = sprite.userData.labelSize / Math.max(1e-6, this._worldScale.x);
+            sprite.scale.set(scale * sprite.userData.aspect, scale, 1);
+        });
+    }
+
+    clear() {
+        this.labels.forEach((sprite) => {
+            if (sprite.parent) sprite.parent.remove(sprite);
+            sprite.material.dispose();
+        });
+        this.labels = [];
+    }
+
+    dispose() {
+        this.atom.removeEventListener('compositionchange', this._onCompositionChange);
+        this.clear();
+        this._textures.forEach((texture) => texture.dispose());
+        this._textures.clear();
+    }
+}
@@ -0,0 +1,109 @@
+import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.158.0/build/three.module.js';
+
+// Room lighting from WebXR light estimation. In a session granted 'light-estimation', the first
+// estimate from an XRLightProbe swaps the fixed light rig for a LightProbe (the estimate's
+// spherical harmonics) and a DirectionalLight (the room's primary light), plus the runtime's
+// reflection cube map as scene.environment where it has one. Sessions without the feature, or
+// whose runtime refuses a probe, keep the fixed rig.
+
+export class LightEstimation {
+    // defaultLighting: the fixed rig, already in the scene
+    constructor(renderer, scene, defaultLighting) {
+        this.renderer = renderer;
+        this.scene = scene;
+        this.defaultLighting = defaultLighting;
+        this.probe = null; // XRLightProbe of the current session
+        this.active = false; // true once an estimate has replaced the fixed rig
+        this._binding = null;
+        this._reflection = null; // cube render target whose texture the runtime's cube map stands in for
+        this._onReflectionChange = () => this.updateReflection();
+
+        this.group = new THREE.Group();
+        this.lightProbe = new THREE.LightProbe();
+        this.group.add(this.lightProbe);
+        this.directionalLight = new THREE.DirectionalLight();
+        this.directionalLight.castShadow = true;
+        this.directionalLight.shadow.mapSize.width = 1024;
+        this.directionalLight.shadow.mapSize.height = 1024;
+        this.group.add(this.directionalLight);
+    }
+
+    // Asks the session for a light probe. Browsers without enabledFeatures get a guarded request.
+    async start(session) {
+        const { enabledFeatures } = session;
+        if (enabledFeatures && !enabledFeatures.includes('light-estimation')) return;
+        if (typeof session.requestLightProbe !== 'function') return;
+
+        let probe;
+        try {
+            probe = await session.requestLightProbe({ reflectionFormat: session.preferredReflectionFormat });
+        } catch (error) {
+            console.warn('Light estimation unavailable, keeping the default lights:', error);
+            return;
+        }
+        // The session ended while the probe was requested
+        if (session !== this.renderer.xr.getSession()) return;
+        this.probe = probe;
+
+        if (typeof XRWebGLBinding !== 'undefined') {
+            const gl = this.renderer.getContext();
+            // The cube map format the runtime prefers needs its extension enabled
+            if (session.preferredReflectionFormat === 'srgba8') gl.getExtension('EXT_sRGB');
+            if (session.preferredReflectionFormat === 'rgba16f') gl.getExtension('OES_texture_half_float');
+            this._binding = new XRWebGLBinding(session, gl);
+            this._reflection = new THREE.WebGLCubeRenderTarget(16);
+            probe.addEventListener('reflectionchange', this._onReflectionChange);
+        }
+    }
+
+    // Called every frame of an AR session
+    update(frame) {
+        if (!this.probe) return;
+        const estimate = frame.getLightEstimate(this.probe);
+        if (!estimate) return;
+
+        this.lightProbe.sh.fromArray(estimate.sphericalHarmonicsCoefficients);
+        this.lightProbe.intensity = 1;
+
+        // The primary light's color can exceed 1; its largest channel becomes the intensity
+        const { x, y, z } = estimate.primaryLightIntensity;
+        const intensity = Math.max(1, x, y, z);
+        this.directionalLight.color.setRGB(x / intensity, y / intensity, z / intensity);
+        this.directionalLight.intensity = intensity;
+        this.directionalLight.position.copy(estimate.primaryLightDirection);
+
+        if (!this.active) {
+            this.active = true;
+            this.scene.remove(this.defaultLighting);
+            this.scene.add(this.group);
+            if (this._reflection) this.scene.environment = this._reflection.texture;
+        }
+    }
+
+    // Points the environment texture at the runtime's latest reflection cube map
+    updateReflection() {
+        const cubeMap = this._binding.getReflectionCubeMap(this.probe);
+        if (!cubeMap) return;
+        this.renderer.properties.get(this._reflection.texture).__webglTexture = cubeMap;
+        this._reflection.texture.needsPMREMUpdate = true;
+    }
+
+    // Back to the fixed rig when the session ends
+    end() {
+        if (this.probe) this.probe.removeEventListener('reflectionchange', this._onReflectionChange);
+        this.probe = null;
+        this._binding = null;
+        if (this.active) {
+            this.active = false;
+            this.scene.remove(this.group);
+            this.scene.add(this.defaultLighting);
+            this.scene.environment = null;
+        }
+        // Not disposed: its WebGL texture is the runtime's cube map, which the session owns
+        this._reflection = null;
+    }
+
+    dispose() {
+        this.end();
+    }
+}
@@ -0,0 +1,554 @@
+import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.158.0/build/three.module.js';
+import { AtomModel, PARTICLE_PROPERTIES, formatCharge } from './atom.js';
+import { getElementBySymbol } from './elements.js';
+import { getTheme } from './themes.js';
+
+// Scene units per angstrom, and the scale each AtomModel is drawn at inside a molecule
+const ANGSTROM = 0.3;
+const ATOM_SCALE = 0.35;
+const BOND_RADIUS = 0.012;
+const BOND_SPACING = 0.025;
+
+// Every atom is a full AtomModel, so cap imported structures at what phones can draw
+export const MAX_MOLECULE_ATOMS = 200;
+
+const TETRAHEDRAL = 1.09 / Math.sqrt(3);
+
+// Atom positions are in angstroms; bond type is 'covalent' (shared pairs) or 'ionic' (electron transfer)
+export const MOLECULE_PRESETS = {
+    H2O: {
+        name: 'Water',
+        atoms: [
+            { symbol: 'O', position: [0, 0, 0] },
+            { symbol: 'H', position: [0.757, 0.586, 0] },
+            { symbol: 'H', position: [-0.757, 0.586, 0] }
+        ],
+        bonds: [
+            { from: 0, to: 1, order: 1, type: 'covalent' },
+            { from: 0, to: 2, order: 1, type: 'covalent' }
+        ]
+    },
+    CO2: {
+        name: 'Carbon dioxide',
+        atoms: [
+            { symbol: 'C', position: [0, 0, 0] },
+            { symbol: 'O', position: [1.16, 0, 0] },
+            { symbol: 'O', position: [-1.16, 0, 0] }
+        ],
+        bonds: [
+            { from: 0, to: 1, order: 2, type: 'covalent' },
+            { from: 0, to: 2, order: 2, type: 'covalent' }
+        ]
+    },
+    CH4: {
+        name: 'Methane',
+        atoms: [
+            { symbol: 'C', position: [0, 0, 0] },
+            { symbol: 'H', position: [TETRAHEDRAL, TETRAHEDRAL, TETRAHEDRAL] },
+            { symbol: 'H', position: [-TETRAHEDRAL, -TETRAHEDRAL, TETRAHEDRAL] },
+            { symbol: 'H', position: [-TETRAHEDRAL, TETRAHEDRAL, -TETRAHEDRAL] },
+            { symbol: 'H', position: [TETRAHEDRAL, -TETRAHEDRAL, -TETRAHEDRAL] }
+        ],
+        bonds: [
+            { from: 0, to: 1, order: 1, type: 'covalent' },
+            { from: 0, to: 2, order: 1, type: 'covalent' },
+            { from: 0, to: 3, order: 1, type: 'covalent' },
+            { from: 0, to: 4, order: 1, type: 'covalent' }
+        ]
+    },
+    NaCl: {
+        name: 'Sodium chloride',
+        atoms: [
+            { symbol: 'Na', position: [-1.18, 0, 0] },
+            { symbol: 'Cl', position: [1.18, 0, 0] }
+        ],
+        bonds: [
+            { from: 0, to: 1, order: 1, type: 'ionic' }
+        ]
+    },
+    O2: {
+        name: 'Oxygen',
+        atoms: [
+            { symbol: 'O', position: [-0.604, 0, 0] },
+            { symbol: 'O', position: [0.604, 0, 0] }
+        ],
+        bonds: [
+            { from: 0, to: 1, order: 2, type: 'covalent' }
+        ]
+    }
+};
+
+export class MoleculeModel extends THREE.EventDispatcher {
+    // definition: { name, atoms: [{ symbol | atomicNumber, massNumber?, position }], bonds: [{ from, to, order, type }] }
+    // options: { theme }
+    constructor(definition, options = {}) {
+        super();
+        if (definition.atoms.length > MAX_MOLECULE_ATOMS) {
+            throw new Error(`${definition.name || 'This structure'} has ${definition.atoms.length} atoms; at most ${MAX_MOLECULE_ATOMS} can be shown`);
+        }
+        this.definition = definition;
+        this.name = definition.name || 'Molecule';
+        this.theme = getTheme(options.theme);
+        this.instanced = options.instanced !== false;
+
+        this.group = new THREE.Group();
+        this.atoms = [];
+        this.bonds = [];
+        this.sharedElectrons = [];
+
+        this.baseScale = 1;
+        this.time = 0;
+        // Bond fading state (atoms fade themselves)
+        this._fadeTargets = [];
+        this._fadeDuration = 0.25; // seconds
+        this._fadeElapsed = 0;
+
+        this.createAtoms();
+        this.createBonds();
+    }
+
+    static fromPreset(key, options) {
+        const preset = MOLECULE_PRESETS[key];
+        if (!preset) {
+            throw new Error(`Unknown molecule preset: ${key}`);
+        }
+        return new MoleculeModel({ ...preset, preset: key }, options);
+    }
+
+    createAtoms() {
+        const atomDefs = this.definition.atoms.map((atomDef) => {
+            const atomicNumber = atomDef.atomicNumber !== undefined
+                ? atomDef.atomicNumber
+                : (getElementBySymbol(atomDef.symbol) || {}).atomicNumber;
+            if (!atomicNumber) {
+                throw new Error(`Unknown element symbol: ${atomDef.symbol}`);
+            }
+            return { ...atomDef, atomicNumber, electronCount: atomicNumber };
+        });
+
+        // Ionic bonds transfer one electron per order from the first atom to the second. Covalently
+        // bonded atoms stay neutral: the shared pairs drawn on the bond are their valence electrons.
+        this.definition.bonds.forEach((bond) => {
+            if (bond.type !== 'ionic') return;
+            const order = bond.order || 1;
+            atomDefs[bond.from].electronCount -= order;
+            atomDefs[bond.to].electronCount += order;
+        });
+
+        // Centre the molecule on its centroid
+        const centroid = new THREE.Vector3();
+        atomDefs.forEach((atomDef) => centroid.add(new THREE.Vector3(...atomDef.position)));
+        centroid.divideScalar(Math.max(1, atomDefs.length));
+
+        atomDefs.forEach((atomDef) => {
+            const atom = new AtomModel({
+                atomicNumber: atomDef.atomicNumber,
+                massNumber: atomDef.massNumber,
+                electronCount: Math.max(0, atomDef.electronCount),
+                theme: this.theme,
+                instanced: this.instanced
+            });
+            atom.setScale(ATOM_SCALE);
+            atom.addEventListener('selectionchange', (event) => {
+                this.dispatchEvent({
+                    type: 'selectionchange',
+                    atom,
+                    selection: this.getSelection(),
+                    added: event.added,
+                    removed: event.removed
+                });
+            });
+            const position = new THREE.Vector3(...atomDef.position).sub(centroid).multiplyScalar(ANGSTROM);
+            atom.setPosition(position.x, position.y, position.z);
+            this.group.add(atom.getGroup());
+            this.atoms.push(atom);
+        });
+    }
+
+    createBonds() {
+        const createBondMaterial = (isIonic) => (isIonic
+            ? new THREE.MeshBasicMaterial({
+                color: this.theme.bond.ionic,
+                transparent: true,
+                opacity: this.theme.bond.ionicOpacity
+            })
+            : new THREE.MeshStandardMaterial({
+                color: this.theme.bond.covalent,
+                metalness: 0.3,
+                roughness: 0.4
+            }));
+        const electronGeometry = new THREE.SphereGeometry(0.025 * ATOM_SCALE * 1.5, 12, 12);
+
+        const up = new THREE.Vector3(0, 1, 0);
+        this.definition.bonds.forEach((bond, bondIndex) => {
+            const order = bond.order || 1;
+            const start = this.atoms[bond.from].getGroup().position;
+            const end = this.atoms[bond.to].getGroup().position;
+            const axis = new THREE.Vector3().subVectors(end, start);
+            const length = axis.length();
+            axis.normalize();
+            const midpoint = new THREE.Vector3().addVectors(start, end).multiplyScalar(0.5);
+
+            // Bond frame: cylinders are built along +Y, so rotate +Y onto the bond axis
+            const bondGroup = new THREE.Group();
+            bondGroup.position.copy(midpoint);
+            bondGroup.quaternion.setFromUnitVectors(up, axis);
+            bondGroup.userData.isBond = true;
+            bondGroup.userData.bond = bond;
+
+            // Per-bond materials so one bond can stay opaque while the others fade
+            const isIonic = bond.type === 'ionic';
+            const cylinderCount = isIonic ? 1 : order;
+            const geometry = new THREE.CylinderGeometry(BOND_RADIUS, BOND_RADIUS, length, 12);
+            const bondMaterial = createBondMaterial(isIonic);
+            for (let i = 0; i < cylinderCount; i++) {
+                const cylinder = new THREE.Mesh(geometry, bondMaterial);
+                cylinder.position.x = (i - (cylinderCount - 1) / 2) * BOND_SPACING;
+                cylinder.userData.isBond = true;
+                bondGroup.add(cylinder);
+            }
+            this.group.add(bondGroup);
+            this.bonds.push(bondGroup);
+
+            if (isIonic) return;
+
+            const pairMaterial = new THREE.MeshStandardMaterial(this.theme.electron);
+            // Each shared pair circles both nuclei on an ellipse around the bond axis;
+            // pairs of a multiple bond sit in planes rotated about the axis
+            for (let pair = 0; pair < order; pair++) {
+                for (let e = 0; e < 2; e++) {
+                    const electron = new THREE.Mesh(electronGeometry, pairMaterial);
+                    electron.userData = {
+                        isSharedElectron: true,
+                        bondGroup,
+                        semiMajor: length * 0.55,
+                        semiMinor: 0.05,
+                        planeAngle: (pair / order) * Math.PI,
+                        phase: e * Math.PI + bondIndex,
+                        speed: 2.5
+                    };
+                    bondGroup.add(electron);
+                    this.sharedElectrons.push(electron);
+                }
+            }
+        });
+    }
+
+    getFormula() {
+        if (this.definition.preset) return this.definition.preset;
+        // Hill order: C first, then H, then the rest alphabetically
+        const counts = new Map();
+        this.atoms.forEach((atom) => {
+            const symbol = atom.getElement().symbol;
+            counts.set(symbol, (counts.get(symbol) || 0) + 1);
+        });
+        const symbols = Array.from(counts.keys()).sort();
+        if (counts.has('C')) {
+            symbols.splice(symbols.indexOf('C'), 1);
+            symbols.unshift('C');
+            if (counts.has('H')) {
+                symbols.splice(symbols.indexOf('H'), 1);
+                symbols.splice(1, 0, 'H');
+            }
+        }
+        return symbols.map((symbol) => `${symbol}${counts.get(symbol) > 1 ? counts.get(symbol) : ''}`).join('');
+    }
+
+    animate(deltaTime) {
+        if (deltaTime < 0) {
+            this.seek(this.time + deltaTime);
+            return;
+        }
+        this.time += deltaTime;
+        this.atoms.forEach((atom) => atom.animate(deltaTime));
+        this.updateSharedElectrons();
+
+        if (this._fadeTargets.length > 0) {
+            this._fadeElapsed += deltaTime;
+            const t = Math.min(1, this._fadeElapsed / this._fadeDuration);
+            const eased = t * t * (3 - 2 * t);
+            this._fadeTargets.forEach((ft) => {
+                ft.material.opacity = ft.from + (ft.to - ft.from) * eased;
+                ft.material.transparent = true;
+            });
+            if (t >= 1) this._fadeTargets = [];
+        }
+    }
+
+    // Same contract as AtomModel.seek: periodic motion jumps, running fades finish
+    seek(time) {
+        this.time = Math.max(0, time);
+        this.atoms.forEach((atom) => atom.seek(this.time));
+        this._fadeTargets.forEach((ft) => { ft.material.opacity = ft.to; });
+        this._fadeTargets = [];
+        this.updateSharedElectrons();
+    }
+
+    getTime() {
+        return this.time;
+    }
+
+    updateLevelOfDetail(camera) {
+        this.atoms.forEach((atom) => atom.updateLevelOfDetail(camera));
+    }
+
+    updateSharedElectrons() {
+        this.sharedElectrons.forEach((electron) => {
+            const userData = electron.userData;
+            const angle = userData.phase + this.time * userData.speed;
+            // Ellipse in the bond frame: long axis along Y (the bond), short axis swept around it
+            const radial = Math.sin(angle) * userData.semiMinor;
+            electron.position.set(
+                Math.cos(userData.planeAngle) * radial,
+                Math.cos(angle) * userData.semiMajor,
+                Math.sin(userData.planeAngle) * radial
+            );
+        });
+    }
+
+    setScale(scale) {
+        this.group.scale.setScalar(scale);
+        this.baseScale = scale;
+    }
+
+    getScale() {
+        return this.baseScale;
+    }
+
+    setPosition(x, y, z) {
+        this.group.position.set(x, y, z);
+    }
+
+    getGroup() {
+        return this.group;
+    }
+
+    setRotationY(angleRadians) {
+        this.group.rotation.y = angleRadians;
+    }
+
+    getRotationY() {
+        return this.group.rotation.y;
+    }
+
+    findAtom(object) {
+        let current = object;
+        while (current && current !== this.group) {
+            const atom = this.atoms.find((candidate) => candidate.getGroup() === current);
+            if (atom) return atom;
+            current = current.parent;
+        }
+        return null;
+    }
+
+    // Recolors atoms, bonds and shared electrons in place
+    setTheme(theme) {
+        this.theme = getTheme(theme);
+        this.atoms.forEach((atom) => atom.setTheme(this.theme));
+        this.bonds.forEach((bondGroup) => {
+            const isIonic = bondGroup.userData.bond.type === 'ionic';
+            bondGroup.children.forEach((child) => {
+                if (child.userData.isSharedElectron) {
+                    child.material.color.set(this.theme.electron.color);
+                    child.material.emissive.set(this.theme.electron.emissive);
+                } else {
+                    child.material.color.set(isIonic ? this.theme.bond.ionic : this.theme.bond.covalent);
+                    if (isIonic) this.setBaseOpacity(child.material, this.theme.bond.ionicOpacity);
+                }
+            });
+        });
+        this.dispatchEvent({ type: 'themechange', theme: this.theme });
+    }
+
+    getTheme() {
+        return this.theme;
+    }
+
+    setBaseOpacity(material, opacity) {
+        if (material.userData._origOpacity !== undefined) {
+            // Faded bonds return to the new opacity when restored
+            const isFaded = Math.abs(material.opacity - material.userData._origOpacity) > 1e-3;
+            material.userData._origOpacity = opacity;
+            if (isFaded) return;
+        }
+        material.opacity = opacity;
+    }
+
+    // Info card text for a tapped part: atom parts are described by their AtomModel
+    getPartInfo(object) {
+        const atom = this.findAtom(object);
+        if (atom) return atom.getPartInfo(object);
+
+        let part = object;
+        while (part && part !== this.group) {
+            if (part.userData.isSharedElectron) {
+                const electron = PARTICLE_PROPERTIES.electron;
+                return {
+                    title: 'Shared electron',
+                    charge: formatCharge(electron.charge),
+                    mass: `${electron.mass} u`,
+                    role: 'Half of a shared pair that holds the bonded atoms together.'
+                };
+            }
+            if (part.userData.bond && part.userData.isBond) {
+                const bond = part.userData.bond;
+                const symbols = [bond.from, bond.to].map((index) => this.definition.atoms[index].symbol);
+                const order = bond.order || 1;
+                const isIonic = bond.type === 'ionic';
+                return {
+                    title: `${symbols.join('–')} ${isIonic ? 'ionic' : ['single', 'double', 'triple'][order - 1] || `order-${order}`} bond`,
+                    charge: '0',
+                    mass: '—',
+                    role: isIonic
+                        ? `${symbols[0]} has given electrons to ${symbols[1]}; the opposite charges attract.`
+                        : `${symbols[0]} and ${symbols[1]} share ${order} electron pair${order > 1 ? 's' : ''}.`
+                };
+            }
+            part = part.parent;
+        }
+        return null;
+    }
+
+    // Selection / fading: atoms fade themselves, bonds and shared electrons are faded here
+    fadeExcept(targetObject, fadeOpacity = 0.1) {
+        if (!targetObject) return;
+        this.atoms.forEach((atom) => atom.fadeExcept(targetObject, fadeOpacity));
+
+        const keepSet = new Set();
+        (Array.isArray(targetObject) ? targetObject : [targetObject])
+            .forEach((target) => target.traverse((obj) => keepSet.add(obj)));
+        this.tweenBondOpacity((obj, mat) => {
+            if (mat.userData._origOpacity === undefined) {
+                mat.userData._origOpacity = mat.opacity;
+            }
+            return keepSet.has(obj) ? mat.userData._origOpacity : fadeOpacity;
+        });
+    }
+
+    restoreOpacity() {
+        this.atoms.forEach((atom) => atom.restoreOpacity());
+        this.tweenBondOpacity((obj, mat) => (mat.userData._origOpacity !== undefined ? mat.userData._origOpacity : mat.opacity));
+    }
+
+    tweenBondOpacity(getTargetOpacity) {
+        const tweenTargets = [];
+        const seen = new Set();
+        this.bonds.forEach((bondGroup) => {
+            bondGroup.traverse((obj) => {
+                if (!obj.material || seen.has(obj.material)) return;
+                seen.add(obj.material);
+                const to = getTargetOpacity(obj, obj.material);
+                tweenTargets.push({ material: obj.material, from: obj.material.opacity, to });
+                obj.material.transparent = true;
+            });
+        });
+        this._fadeTargets = tweenTargets;
+        this._fadeElapsed = 0;
+    }
+
+    // Selection: parts are selected on the atom they belong to (see AtomModel.select);
+    // bonds and shared electrons are not selectable. Entries carry the atom they came from.
+
+    select(target, options = {}) {
+        const { additive = false } = options;
+        const targets = Array.isArray(target) ? target : [target];
+        if (!additive) {
+            this.atoms.forEach((atom) => {
+                const kept = targets.filter((object) => this.findAtom(object) === atom);
+                if (kept.length === 0) atom.clearSelection();
+            });
+        }
+        let selected = false;
+        this.atoms.forEach((atom) => {
+            const own = targets.filter((object) => this.findAtom(object) === atom);
+            if (own.length > 0 && atom.select(own, { additive })) selected = true;
+        });
+        return selected;
+    }
+
+    deselect(target) {
+        this.atoms.forEach((atom) => atom.deselect(target));
+    }
+
+    clearSelection() {
+        this.atoms.forEach((atom) => atom.clearSelection());
+    }
+
+    isSelected(object) {
+        const atom = this.findAtom(object);
+        return Boolean(atom && atom.isSelected(object));
+    }
+
+    getSelection() {
+        return this.atoms.flatMap((atom) => atom.getSelection().map((entry) => ({ ...entry, atom })));
+    }
+
+    selectAll(type, options = {}) {
+        const { additive = false } = options;
+        if (!additive) this.clearSelection();
+        return this.atoms.map((atom) => atom.selectAll(type, { additive: true })).some(Boolean);
+    }
+
+    applyHighlight(targetObject) {
+        if (!targetObject) return;
+        this.select(targetObject);
+    }
+
+    clearHighlight() {
+        this.clearSelection();
+    }
+
+    // Serialization: presets are stored by key, structures from files in full.
+    // Selected parts are atom references (see AtomModel.getPartReference) plus the atom's index.
+
+    toJSON() {
+        const { preset } = this.definition;
+        return {
+            kind: 'molecule',
+            preset: preset || null,
+            definition: preset ? null : this.definition,
+            theme: this.theme.name,
+            time: this.time,
+            scale: this.baseScale,
+            rotationY: this.getRotationY(),
+            selection: this.getSelection().map((entry) => ({
+                atom: this.atoms.indexOf(entry.atom),
+                ...entry.atom.getPartReference(entry)
+            }))
+        };
+    }
+
+    static fromJSON(state, options = {}) {
+        const moleculeOptions = { ...options, theme: state.theme };
+        const molecule = state.preset
+            ? MoleculeModel.fromPreset(state.preset, moleculeOptions)
+            : new MoleculeModel(state.definition, moleculeOptions);
+        molecule.applyState(state);
+        return molecule;
+    }
+
+    // Scale, pose, time and selection from a toJSON state
+    applyState(state) {
+        if (state.scale !== undefined) this.setScale(state.scale);
+        if (state.rotationY !== undefined) this.setRotationY(state.rotationY);
+        if (state.time) this.seek(state.time);
+        if (state.selection) {
+            this.select(state.selection
+                .map((reference) => {
+                    const atom = this.atoms[reference.atom];
+                    return atom ? atom.findPart(reference) : null;
+                })
+                .filter(Boolean));
+        }
+    }
+
+    dispose() {
+        this.atoms.forEach((atom) => atom.dispose());
+        this.bonds.forEach((bondGroup) => {
+            bondGroup.traverse((child) => {
+                if (child.geometry) child.geometry.dispose();
+                if (child.material) child.material.dispose();
+            });
+        });
+    }
+}
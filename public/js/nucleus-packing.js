@@ -0,0 +1,118 @@
+// Deterministic nucleus packing: picks the face-centred-cubic lattice sites closest to a
+// seeded centre, so the cluster is tightly packed, roughly spherical and grows with A^(1/3).
+
+export const NUCLEON_SPACING = 0.06;
+
+// Small, fast seeded PRNG (mulberry32) returning floats in [0, 1)
+export function createSeededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+export function isotopeSeed(protonCount, neutronCount) {
+    return protonCount * 1000 + (protonCount + neutronCount);
+}
+
+// Expected cluster radius for A nucleons at FCC density (sites occupy d^3 / sqrt(2) each)
+export function estimateNucleusRadius(nucleonCount, spacing = NUCLEON_SPACING) {
+    if (nucleonCount <= 1) return 0;
+    return spacing * Math.cbrt((3 * nucleonCount) / (4 * Math.PI * Math.SQRT2));
+}
+
+function generateLatticeSites(nucleonCount, spacing, center) {
+    const step = spacing / Math.SQRT2;
+    const reach = estimateNucleusRadius(nucleonCount, spacing) + 2 * spacing;
+    const extent = Math.ceil(reach / step);
+    const sites = [];
+    for (let a = -extent; a <= extent; a++) {
+        for (let b = -extent; b <= extent; b++) {
+            for (let c = -extent; c <= extent; c++) {
+                if ((a + b + c) % 2 !== 0) continue;
+                const x = a * step;
+                const y = b * step;
+                const z = c * step;
+                sites.push({ x, y, z, distance: Math.hypot(x - center.x, y - center.y, z - center.z) });
+            }
+        }
+    }
+    return sites.sort((s1, s2) => s1.distance - s2.distance).slice(0, nucleonCount);
+}
+
+// Assigns proton/neutron types centre-out, preferring whichever type is under-represented
+// among already-placed neighbours relative to what is left to place, so the two stay mixed.
+function assignTypes(sites, protonCount, neutronCount, spacing, random) {
+    const neighbourDistance = spacing * 1.1;
+    let protonsLeft = protonCount;
+    let neutronsLeft = neutronCount;
+
+    sites.forEach((site, index) => {
+        let type;
+        if (protonsLeft === 0) {
+            type = 'neutron';
+        } else if (neutronsLeft === 0) {
+            type = 'proton';
+        } else {
+            let protonNeighbours = 0;
+            let neighbours = 0;
+            for (let i = 0; i < index; i++) {
+                const other = sites[i];
+                if (Math.hypot(site.x - other.x, site.y - other.y, site.z - other.z) <= neighbourDistance) {
+                    neighbours++;
+                    if (other.type === 'proton') protonNeighbours++;
+                }
+            }
+            const targetFraction = protonsLeft / (protonsLeft + neutronsLeft);
+            const localFraction = neighbours > 0 ? protonNeighbours / neighbours : targetFraction;
+            const difference = targetFraction - localFraction;
+            if (Math.abs(difference) < 1e-6) {
+                type = random() < targetFraction ? 'proton' : 'neutron';
+            } else {
+                type = difference > 0 ? 'proton' : 'neutron';
+            }
+        }
+        site.type = type;
+        if (type === 'proton') protonsLeft--; else neutronsLeft--;
+    });
+}
+
+// Returns { particles: [{ type, position: [x, y, z] }], radius } centred on the origin
+export function packNucleus(protonCount, neutronCount, options = {}) {
+    const {
+        spacing = NUCLEON_SPACING,
+        seed = isotopeSeed(protonCount, neutronCount)
+    } = options;
+    const nucleonCount = protonCount + neutronCount;
+    if (nucleonCount === 0) return { particles: [], radius: 0 };
+
+    const random = createSeededRandom(seed);
+    // Jitter the centre inside one lattice cell so each isotope gets its own surface shape
+    const center = {
+        x: (random() - 0.5) * spacing * 0.5,
+        y: (random() - 0.5) * spacing * 0.5,
+        z: (random() - 0.5) * spacing * 0.5
+    };
+    const sites = generateLatticeSites(nucleonCount, spacing, center);
+    assignTypes(sites, protonCount, neutronCount, spacing, random);
+
+    // Recentre on the centroid so the cluster spins about its middle
+    const centroid = sites.reduce((acc, site) => {
+        acc.x += site.x / nucleonCount;
+        acc.y += site.y / nucleonCount;
+        acc.z += site.z / nucleonCount;
+        return acc;
+    }, { x: 0, y: 0, z: 0 });
+
+    let radius = 0;
+    const particles = sites.map((site) => {
+        const position = [site.x - centroid.x, site.y - centroid.y, site.z - centroid.z];
+        radius = Math.max(radius, Math.hypot(...position));
+        return { type: site.type, position };
+    });
+    return { particles, radius };
+}
@@ -0,0 +1,182 @@
+import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.158.0/build/three.module.js';
+
+// Quantum render mode: probability-density point clouds sampled from hydrogen-like
+// wavefunctions psi(n, l, m) = R_nl(r) * Y_lm(theta, phi), using real spherical harmonics.
+
+// Real angular parts for l = 0..3 as functions of a unit direction (normalization is irrelevant for sampling)
+const ANGULAR_FUNCTIONS = [
+    [
+        { name: 's', fn: () => 1 }
+    ],
+    [
+        { name: 'px', fn: (x) => x },
+        { name: 'py', fn: (x, y) => y },
+        { name: 'pz', fn: (x, y, z) => z }
+    ],
+    [
+        { name: 'dxy', fn: (x, y) => x * y },
+        { name: 'dyz', fn: (x, y, z) => y * z },
+        { name: 'dz2', fn: (x, y, z) => 3 * z * z - 1 },
+        { name: 'dxz', fn: (x, y, z) => x * z },
+        { name: 'dx2-y2', fn: (x, y) => x * x - y * y }
+    ],
+    [
+        { name: 'fz3', fn: (x, y, z) => z * (5 * z * z - 3) },
+        { name: 'fxz2', fn: (x, y, z) => x * (5 * z * z - 1) },
+        { name: 'fyz2', fn: (x, y, z) => y * (5 * z * z - 1) },
+        { name: 'fz(x2-y2)', fn: (x, y, z) => z * (x * x - y * y) },
+        { name: 'fxyz', fn: (x, y, z) => x * y * z },
+        { name: 'fx(x2-3y2)', fn: (x, y) => x * (x * x - 3 * y * y) },
+        { name: 'fy(3x2-y2)', fn: (x, y) => y * (3 * x * x - y * y) }
+    ]
+];
+
+// Lobe colors by wavefunction sign
+const POSITIVE_PHASE_COLOR = new THREE.Color(0x44aaff);
+const NEGATIVE_PHASE_COLOR = new THREE.Color(0xff6644);
+
+const RADIAL_SAMPLES = 512;
+const MAX_TOTAL_POINTS = 24000;
+
+// Generalized Laguerre polynomial L_k^alpha(x) via the three-term recurrence
+function laguerre(k, alpha, x) {
+    if (k === 0) return 1;
+    let previous = 1;
+    let current = 1 + alpha - x;
+    for (let i = 1; i < k; i++) {
+        const next = ((2 * i + 1 + alpha - x) * current - (i + alpha) * previous) / (i + 1);
+        previous = current;
+        current = next;
+    }
+    return current;
+}
+
+// Unnormalized hydrogen radial function R_nl(r), r in Bohr radii (Z = 1)
+function radialWavefunction(n, l, r) {
+    const rho = (2 * r) / n;
+    return Math.exp(-rho / 2) * Math.pow(rho, l) * laguerre(n - l - 1, 2 * l + 1, rho);
+}
+
+// Tabulated inverse CDF of the radial probability r^2 |R_nl|^2
+function buildRadialSampler(n, l) {
+    const rMax = 3 * n * n + 5 * n;
+    const radii = new Float32Array(RADIAL_SAMPLES);
+    const cdf = new Float32Array(RADIAL_SAMPLES);
+    let total = 0;
+    for (let i = 0; i < RADIAL_SAMPLES; i++) {
+        const r = ((i + 0.5) / RADIAL_SAMPLES) * rMax;
+        const R = radialWavefunction(n, l, r);
+        total += r * r * R * R;
+        radii[i] = r;
+        cdf[i] = total;
+    }
+    return (u) => {
+        const target = u * total;
+        let lo = 0;
+        let hi = RADIAL_SAMPLES - 1;
+        while (lo < hi) {
+            const mid = (lo + hi) >> 1;
+            if (cdf[mid] < target) lo = mid + 1; else hi = mid;
+        }
+        const jitter = (Math.random() - 0.5) * (rMax / RADIAL_SAMPLES);
+        return Math.max(0, radii[lo] + jitter);
+    };
+}
+
+function maxAngularDensity(fn) {
+    // Sample a Fibonacci sphere to bound |Y|^2 for rejection sampling
+    let max = 0;
+    const count = 2000;
+    for (let i = 0; i < count; i++) {
+        const z = 1 - (2 * (i + 0.5)) / count;
+        const radius = Math.sqrt(1 - z * z);
+        const theta = i * Math.PI * (3 - Math.sqrt(5));
+        const value = fn(Math.cos(theta) * radius, Math.sin(theta) * radius, z);
+        max = Math.max(max, value * value);
+    }
+    return max * 1.05;
+}
+
+// Returns { positions, signs } for `count` points distributed as |psi_nlm|^2, in Bohr radii
+export function sampleOrbitalPoints(n, l, index, count) {
+    const { fn } = ANGULAR_FUNCTIONS[l][index];
+    const sampleRadius = buildRadialSampler(n, l);
+    const angularMax = maxAngularDensity(fn);
+    const positions = new Float32Array(count * 3);
+    const signs = new Int8Array(count);
+
+    for (let i = 0; i < count; i++) {
+        // Rejection-sample a direction from |Y|^2
+        let x, y, z, angular;
+        do {
+            z = Math.random() * 2 - 1;
+            const phi = Math.random() * Math.PI * 2;
+            const radius = Math.sqrt(1 - z * z);
+            x = Math.cos(phi) * radius;
+            y = Math.sin(phi) * radius;
+            angular = fn(x, y, z);
+        } while (Math.random() * angularMax > angular * angular);
+
+        const r = sampleRadius(Math.random());
+        positions[i * 3] = x * r;
+        positions[i * 3 + 1] = y * r;
+        positions[i * 3 + 2] = z * r;
+        signs[i] = Math.sign(radialWavefunction(n, l, r) * angular) >= 0 ? 1 : -1;
+    }
+    return { positions, signs };
+}
+
+// Builds one Points object per occupied orbital. Clouds are scaled so each shell's
+// most probable radius (n^2 Bohr radii for the outermost subshell) lands on its Bohr ring.
+export function createOrbitalCloudGroup(configuration, shellLayout) {
+    const group = new THREE.Group();
+    const orbitalCount = configuration.reduce((sum, subshell) => sum + (2 * subshell.l + 1), 0);
+    const pointsPerOrbital = Math.max(300, Math.min(2000, Math.floor(MAX_TOTAL_POINTS / Math.max(1, orbitalCount))));
+
+    configuration.forEach((subshell) => {
+        const shell = shellLayout.find((candidate) => candidate.n === subshell.n);
+        const scale = shell ? shell.radius / (subshell.n * subshell.n) : 0.25;
+        const orbitalsInSubshell = 2 * subshell.l + 1;
+
+        // Hund's rule: spread electrons over the subshell's orbitals before pairing
+        for (let index = 0; index < orbitalsInSubshell; index++) {
+            const electrons = (subshell.electrons > index ? 1 : 0) + (subshell.electrons > orbitalsInSubshell + index ? 1 : 0);
+            if (electrons === 0) continue;
+
+            const { positions, signs } = sampleOrbitalPoints(subshell.n, subshell.l, index, pointsPerOrbital);
+            const colors = new Float32Array(positions.length);
+            for (let i = 0; i < signs.length; i++) {
+                const color = signs[i] > 0 ? POSITIVE_PHASE_COLOR : NEGATIVE_PHASE_COLOR;
+                positions[i * 3] *= scale;
+                positions[i * 3 + 1] *= scale;
+                positions[i * 3 + 2] *= scale;
+                colors[i * 3] = color.r;
+                colors[i * 3 + 1] = color.g;
+                colors[i * 3 + 2] = color.b;
+            }
+
+            const geometry = new THREE.BufferGeometry();
+            geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+            geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+            const material = new THREE.PointsMaterial({
+                size: 0.012,
+                vertexColors: true,
+                transparent: true,
+                opacity: electrons === 2 ? 0.7 : 0.45,
+                depthWrite: false
+            });
+
+            const cloud = new THREE.Points(geometry, material);
+            cloud.userData.isOrbitalCloud = true;
+            cloud.userData.orbital = {
+                n: subshell.n,
+                l: subshell.l,
+                label: `${subshell.n}${ANGULAR_FUNCTIONS[subshell.l][index].name}`,
+                electrons
+            };
+            group.add(cloud);
+        }
+    });
+
+    return group;
+}
@@ -0,0 +1,173 @@
+import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.158.0/build/three.module.js';
+import { ELEMENTS, ELEMENT_CATEGORIES, getElement, getElementCategory, getPeriodicPosition } from './elements.js';
+import { DECAY_DATA, getDecayInfo, formatHalfLife } from './decay.js';
+import { MAX_MASS_NUMBER } from './atom.js';
+
+// Periodic table picker in the DOM overlay. Tapping an element opens its isotope list;
+// choosing an isotope dispatches 'elementchoose' with { atomicNumber, massNumber }.
+
+const ISOTOPE_SPREAD = 3; // mass numbers listed either side of the most common one
+
+// Grid rows: periods 1-7, a spacer, then the lanthanide and actinide rows
+const F_BLOCK_ROWS = { 6: 9, 7: 10 };
+const F_BLOCK_STARTS = { 6: 57, 7: 89 };
+
+function getGridCell(atomicNumber) {
+    const { period, group } = getPeriodicPosition(atomicNumber);
+    if (group !== null) return { row: period, column: group };
+    return { row: F_BLOCK_ROWS[period], column: 3 + atomicNumber - F_BLOCK_STARTS[period] };
+}
+
+// Mass numbers around the most common isotope, plus any tabulated radioactive ones. Light
+// nuclei with more than twice as many neutrons as protons (e.g. H-4) fall apart at once, so
+// they are left out.
+function listIsotopes(atomicNumber) {
+    const element = getElement(atomicNumber);
+    const massNumbers = new Set();
+    for (let offset = -ISOTOPE_SPREAD; offset <= ISOTOPE_SPREAD; offset++) {
+        const massNumber = element.commonMassNumber + offset;
+        const neutronCount = massNumber - atomicNumber;
+        if (neutronCount >= 0 && neutronCount <= 2 * atomicNumber && massNumber <= MAX_MASS_NUMBER) {
+            massNumbers.add(massNumber);
+        }
+    }
+    Object.keys(DECAY_DATA).forEach((label) => {
+        const [symbol, mass] = label.split('-');
+        if (symbol === element.symbol) massNumbers.add(Number(mass));
+    });
+    return Array.from(massNumbers).sort((a, b) => a - b).map((massNumber) => {
+        const decay = getDecayInfo(atomicNumber, massNumber - atomicNumber);
+        let stability = 'stable';
+        if (decay) stability = decay.halfLife ? `t½ ${formatHalfLife(decay.halfLife)}` : 'radioactive';
+        return { massNumber, label: `${element.symbol}-${massNumber}`, stability, common: massNumber === element.commonMassNumber };
+    });
+}
+
+// Case-insensitive match on the symbol, the start of the name or the atomic number
+function matchesQuery(element, query) {
+    if (!query) return true;
+    if (/^\d+$/.test(query)) return element.atomicNumber === Number(query);
+    return element.symbol.toLowerCase() === query || element.name.toLowerCase().startsWith(query);
+}
+
+export class PeriodicTablePicker extends THREE.EventDispatcher {
+    constructor(parent) {
+        super();
+        this.current = null; // { atomicNumber, massNumber } marked as in use
+        this.cells = new Map(); // atomicNumber -> button
+
+        this.element = document.createElement('div');
+        this.element.className = 'periodic-picker hidden';
+        this.element.innerHTML = `
+            <div class="periodic-header">
+                <input type="search" class="periodic-search" placeholder="Search name, symbol or number" aria-label="Search elements">
+                <button class="periodic-close" title="Close">×</button>
+            </div>
+            <div class="periodic-grid"></div>
+            <div class="periodic-legend"></div>
+            <div class="isotope-picker hidden">
+                <div class="isotope-title"></div>
+                <div class="isotope-list"></div>
+            </div>
+        `;
+        this.search = this.element.querySelector('.periodic-search');
+        this.isotopePicker = this.element.querySelector('.isotope-picker');
+        this.buildGrid();
+        this.buildLegend();
+
+        this.search.addEventListener('input', () => this.setFilter(this.search.value));
+        // Enter opens the first match, so typing "Na" + Enter is enough
+        this.search.addEventListener('keydown', (event) => {
+            if (event.key !== 'Enter') return;
+            const match = ELEMENTS.find((element) => !this.cells.get(element.atomicNumber).disabled);
+            if (match) this.showIsotopes(match.atomicNumber);
+        });
+        this.element.querySelector('.periodic-close').addEventListener('click', () => this.close());
+        this.element.addEventListener('beforexrselect', (event) => event.preventDefault());
+        parent.appendChild(this.element);
+    }
+
+    buildGrid() {
+        const grid = this.element.querySelector('.periodic-grid');
+        ELEMENTS.forEach((element) => {
+            const { row, column } = getGridCell(element.atomicNumber);
+            const cell = document.createElement('button');
+            cell.className = `periodic-cell category-${getElementCategory(element.atomicNumber)}`;
+            cell.style.gridRow = row;
+            cell.style.gridColumn = column;
+            cell.title = `${element.atomicNumber} ${element.name}`;
+            cell.innerHTML = `<span class="periodic-number">${element.atomicNumber}</span>${element.symbol}`;
+            cell.addEventListener('click', () => this.showIsotopes(element.atomicNumber));
+            grid.appendChild(cell);
+            this.cells.set(element.atomicNumber, cell);
+        });
+    }
+
+    buildLegend() {
+        const legend = this.element.querySelector('.periodic-legend');
+        Object.entries(ELEMENT_CATEGORIES).forEach(([category, label]) => {
+            const item = document.createElement('span');
+            item.className = `periodic-legend-item category-${category}`;
+            item.textContent = label;
+            legend.appendChild(item);
+        });
+    }
+
+    // Opens the table; `current` ({ atomicNumber, massNumber }) is marked as the element in use
+    open(current = null) {
+        this.current = current;
+        this.cells.forEach((cell, atomicNumber) => {
+            cell.classList.toggle('current', Boolean(current) && current.atomicNumber === atomicNumber);
+        });
+        this.search.value = '';
+        this.setFilter('');
+        this.isotopePicker.classList.add('hidden');
+        this.element.classList.remove('hidden');
+    }
+
+    close() {
+        this.element.classList.add('hidden');
+    }
+
+    isOpen() {
+        return !this.element.classList.contains('hidden');
+    }
+
+    // Dims and disables every element that doesn't match the query
+    setFilter(query) {
+        const normalized = query.trim().toLowerCase();
+        ELEMENTS.forEach((element) => {
+            const cell = this.cells.get(element.atomicNumber);
+            const matches = matchesQuery(element, normalized);
+            cell.disabled = !matches;
+            cell.classList.toggle('dimmed', !matches);
+        });
+    }
+
+    showIsotopes(atomicNumber) {
+        const element = getElement(atomicNumber);
+        this.isotopePicker.querySelector('.isotope-title').textContent = `${element.name} isotopes`;
+        const list = this.isotopePicker.querySelector('.isotope-list');
+        list.innerHTML = '';
+        listIsotopes(atomicNumber).forEach((isotope) => {
+            const button = document.createElement('button');
+            button.className = 'composition-btn isotope-btn';
+            const isCurrent = this.current && this.current.atomicNumber === atomicNumber && this.current.massNumber === isotope.massNumber;
+            button.classList.toggle('current', Boolean(isCurrent));
+            button.classList.toggle('common', isotope.common);
+            button.innerHTML = `${isotope.label}<span class="isotope-stability">${isotope.stability}</span>`;
+            button.addEventListener('click', () => this.choose(atomicNumber, isotope.massNumber));
+            list.appendChild(button);
+        });
+        this.isotopePicker.classList.remove('hidden');
+    }
+
+    choose(atomicNumber, massNumber) {
+        this.close();
+        this.dispatchEvent({ type: 'elementchoose', atomicNumber, massNumber });
+    }
+
+    dispose() {
+        this.element.remove();
+    }
+}
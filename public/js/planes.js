@@ -0,0 +1,154 @@
+import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.158.0/build/three.module.js';
+
+// Real-world surfaces for AR placement. A hit test pose (and a detected plane's pose) has its
+// Y axis along the surface normal, which sorts surfaces into floors (tables count too), walls
+// and ceilings, with or without the 'plane-detection' feature. Where the session has that
+// feature, PlaneVisualizer draws the detected planes as a faint grid while placing.
+
+export const SURFACE_FILTERS = {
+    any: 'Any surface',
+    floor: 'Floors and tables',
+    wall: 'Walls',
+    ceiling: 'Ceilings'
+};
+
+const FLOOR_MIN_UP = 0.7; // normals within ~45° of straight up are floors, of straight down ceilings
+const GRID_SIZE = 0.1; // meters between grid lines
+const PLANE_COLORS = { floor: 0x4ECDC4, wall: 0xFFD166, ceiling: 0xC792EA };
+
+const _normal = new THREE.Vector3();
+
+// 'floor', 'wall' or 'ceiling' for a surface pose matrix
+export function getSurfaceType(matrix) {
+    _normal.setFromMatrixColumn(matrix, 1).normalize();
+    if (_normal.y >= FLOOR_MIN_UP) return 'floor';
+    if (_normal.y <= -FLOOR_MIN_UP) return 'ceiling';
+    return 'wall';
+}
+
+export function matchesSurfaceFilter(type, filter) {
+    return filter === 'any' || type === filter;
+}
+
+// [x, z] rotation (in 'ZXY' order) that turns a model's up axis to a surface pose's normal. The
+// Y rotation is left out, so setRotationY still spins the model about the normal.
+export function getSurfaceTilt(matrix) {
+    _normal.setFromMatrixColumn(matrix, 1).normalize();
+    return [Math.asin(THREE.MathUtils.clamp(_normal.z, -1, 1)), Math.atan2(-_normal.x, _normal.y)];
+}
+
+// White grid lines on a transparent tile; the plane materials tint it by surface type
+function createGridTexture() {
+    const canvas = document.createElement('canvas');
+    canvas.width = 64;
+    canvas.height = 64;
+    const context = canvas.getContext('2d');
+    context.fillStyle = 'rgba(255, 255, 255, 0.08)';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    context.strokeStyle = 'rgba(255, 255, 255, 0.7)';
+    context.lineWidth = 2;
+    context.strokeRect(0, 0, canvas.width, canvas.height);
+
+    const texture = new THREE.CanvasTexture(canvas);
+    texture.colorSpace = THREE.SRGBColorSpace;
+    texture.wrapS = THREE.RepeatWrapping;
+    texture.wrapT = THREE.RepeatWrapping;
+    texture.repeat.setScalar(1 / GRID_SIZE);
+    return texture;
+}
+
+// Plane polygons lie in the plane space's XZ plane; ShapeGeometry builds in XY with UVs in
+// meters, so the shape is drawn with -z as y and turned flat
+function createPlaneGeometry(polygon) {
+    const shape = new THREE.Shape(polygon.map((point) => new THREE.Vector2(point.x, -point.z)));
+    return new THREE.ShapeGeometry(shape).rotateX(-Math.PI / 2);
+}
+
+export class PlaneVisualizer {
+    constructor(scene) {
+        this.scene = scene;
+        this.filter = 'any';
+        this.planes = new Map(); // XRPlane -> { mesh, lastChangedTime }
+
+        this.group = new THREE.Group();
+        this.scene.add(this.group);
+
+        this.texture = createGridTexture();
+        this.materials = {};
+        Object.entries(PLANE_COLORS).forEach(([type, color]) => {
+            this.materials[type] = new THREE.MeshBasicMaterial({
+                color,
+                map: this.texture,
+                transparent: true,
+                opacity: 0.5,
+                depthWrite: false,
+                side: THREE.DoubleSide
+            });
+        });
+    }
+
+    // Only planes of the filtered surface type are drawn
+    setFilter(filter) {
+        this.filter = filter;
+    }
+
+    setVisible(visible) {
+        this.group.visible = visible;
+    }
+
+    // Called every frame of an AR session; does nothing without plane detection
+    update(frame, referenceSpace) {
+        const detected = frame.detectedPlanes;
+        if (!detected) return;
+
+        this.planes.forEach((entry, plane) => {
+            if (!detected.has(plane)) this.removePlane(plane);
+        });
+        detected.forEach((plane) => {
+            let entry = this.planes.get(plane);
+            if (!entry) {
+                const mesh = new THREE.Mesh(createPlaneGeometry(plane.polygon), this.materials.floor);
+                mesh.matrixAutoUpdate = false;
+                mesh.raycast = () => {};
+                this.group.add(mesh);
+                entry = { mesh, lastChangedTime: plane.lastChangedTime };
+                this.planes.set(plane, entry);
+            } else if (plane.lastChangedTime > entry.lastChangedTime) {
+                // The runtime grew or reshaped the plane
+                entry.mesh.geometry.dispose();
+                entry.mesh.geometry = createPlaneGeometry(plane.polygon);
+                entry.lastChangedTime = plane.lastChangedTime;
+            }
+
+            const pose = frame.getPose(plane.planeSpace, referenceSpace);
+            if (!pose) {
+                entry.mesh.visible = false;
+                return;
+            }
+            const { mesh } = entry;
+            mesh.matrix.fromArray(pose.transform.matrix);
+            const type = getSurfaceType(mesh.matrix);
+            mesh.material = this.materials[type];
+            mesh.visible = matchesSurfaceFilter(type, this.filter);
+        });
+    }
+
+    removePlane(plane) {
+        const { mesh } = this.planes.get(plane);
+        this.group.remove(mesh);
+        mesh.geometry.dispose();
+        this.planes.delete(plane);
+    }
+
+    // Forgets every plane, e.g. when the session that detected them ends
+    clear() {
+        Array.from(this.planes.keys()).forEach((plane) => this.removePlane(plane));
+    }
+
+    dispose() {
+        this.clear();
+        this.scene.remove(this.group);
+        this.texture.dispose();
+        Object.values(this.materials).forEach((material) => material.dispose());
+    }
+}
@@ -0,0 +1,100 @@
+import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.158.0/build/three.module.js';
+
+// Every model placed in the scene, and which one is active: the one gestures, panels and labels
+// apply to. Dispatches 'activechange' ({ model, previous }) when that changes; model is null
+// once the last one is removed. Models are added and removed here but disposed by the caller.
+
+export const MAX_SCENE_OBJECTS = 6;
+
+const MARKER_GAP = 0.01; // meters between the marker and the bottom of the active model
+
+const _box = new THREE.Box3();
+const _sphere = new THREE.Sphere();
+
+export class SceneManager extends THREE.EventDispatcher {
+    constructor(scene) {
+        super();
+        this.scene = scene;
+        this.objects = [];
+        this.active = null;
+        this.anchors = new Map(); // model -> placement anchor its saved position is relative to
+
+        // Ring under the active model, shown once there is more than one to tell apart
+        this.marker = new THREE.Mesh(
+            new THREE.RingGeometry(0.9, 1, 48),
+            new THREE.MeshBasicMaterial({ color: 0x4ECDC4, transparent: true, opacity: 0.7, side: THREE.DoubleSide })
+        );
+        this.marker.rotation.x = -Math.PI / 2;
+        this.marker.raycast = () => {};
+        this.marker.visible = false;
+        this.scene.add(this.marker);
+    }
+
+    isFull() {
+        return this.objects.length >= MAX_SCENE_OBJECTS;
+    }
+
+    // Adds a model to the scene and makes it active
+    add(model, anchor = new THREE.Matrix4()) {
+        if (this.isFull()) {
+            throw new RangeError(`At most ${MAX_SCENE_OBJECTS} objects can be placed at once`);
+        }
+        this.objects.push(model);
+        this.anchors.set(model, anchor.clone());
+        this.scene.add(model.getGroup());
+        this.setActive(model);
+    }
+
+    // Takes a model out of the scene; if it was active, the most recently placed one left takes over
+    remove(model) {
+        const index = this.objects.indexOf(model);
+        if (index === -1) return;
+        this.objects.splice(index, 1);
+        this.anchors.delete(model);
+        this.scene.remove(model.getGroup());
+        if (this.active === model) {
+            this.setActive(this.objects.length > 0 ? this.objects[this.objects.length - 1] : null);
+        }
+    }
+
+    setActive(model) {
+        if (model === this.active) return;
+        if (model && !this.objects.includes(model)) {
+            throw new Error('Only a placed model can be made active');
+        }
+        const previous = this.active;
+        this.active = model;
+        this.dispatchEvent({ type: 'activechange', model, previous });
+    }
+
+    getAnchor(model) {
+        return this.anchors.get(model) || null;
+    }
+
+    setAnchor(model, anchor) {
+        const current = this.anchors.get(model);
+        if (current) current.copy(anchor);
+    }
+
+    // World-space box around every placed model
+    getBounds(target) {
+        target.makeEmpty();
+        this.objects.forEach((model) => target.union(_box.setFromObject(model.getGroup())));
+        return target;
+    }
+
+    // Called every frame to keep the marker under the active model as it moves and scales
+    update() {
+        this.marker.visible = Boolean(this.active) && this.objects.length > 1;
+        if (!this.marker.visible) return;
+        _box.setFromObject(this.active.getGroup()).getBoundingSphere(_sphere);
+        this.marker.position.set(_sphere.center.x, _box.min.y - MARKER_GAP, _sphere.center.z);
+        this.marker.scale.setScalar(Math.max(_sphere.radius, 0.01));
+    }
+
+    dispose() {
+        this.scene.remove(this.marker);
+        this.marker.geometry.dispose();
+        this.marker.material.dispose();
+    }
+}
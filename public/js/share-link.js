@@ -0,0 +1,180 @@
+import { DEFAULT_THEME, THEMES } from './themes.js';
+import { U238_DECAY_CHAIN } from './decay.js';
+import { MAX_MASS_NUMBER } from './atom.js';
+
+// Compact URL-hash form of the app state (see WebARAtomApp.toJSON), so a configuration can be
+// sent as a link, e.g. #v=1&z=8&a=16&q=-2&th=cpk&t=12.5&s=0.5&r=1.571&sel=p3.o2
+//
+// Selected parts are written as one token each, joined by '.': p<index>, n<index>, e<index>
+// for protons, neutrons and electrons, o<n> for the orbit of shell n, c<label> for an orbital
+// cloud and N for the whole nucleus. In a molecule or comparison each token starts with
+// a<atom index>. A comparison row is its preset key or its symbols, e.g. cmp=period3 or cmp=Li-Na-K.
+
+export const STATE_VERSION = 1;
+
+const PART_CODES = {
+    proton: 'p',
+    neutron: 'n',
+    electron: 'e',
+    orbit: 'o',
+    orbital: 'c',
+    nucleus: 'N'
+};
+const PART_TYPES = Object.fromEntries(Object.entries(PART_CODES).map(([type, code]) => [code, type]));
+
+function round(value) {
+    return String(Number(value.toFixed(3)));
+}
+
+function encodePart(reference) {
+    const prefix = reference.atom !== undefined ? `a${reference.atom}` : '';
+    const code = PART_CODES[reference.type];
+    switch (reference.type) {
+    case 'orbit':
+        return `${prefix}${code}${reference.n}`;
+    case 'orbital':
+        return `${prefix}${code}${reference.label}`;
+    case 'nucleus':
+        return `${prefix}${code}`;
+    default:
+        return `${prefix}${code}${reference.index}`;
+    }
+}
+
+function decodePart(token, isMolecule) {
+    const match = /^(?:a(\d+))?([pneocN])(.*)$/.exec(token);
+    if (!match) throw new RangeError(`Unknown selected part in link: ${token}`);
+    const [, atom, code, value] = match;
+    const type = PART_TYPES[code];
+    const reference = { type };
+    if (type === 'orbit') {
+        reference.n = parseInt(value, 10);
+    } else if (type === 'orbital') {
+        reference.label = value;
+    } else if (type !== 'nucleus') {
+        reference.index = parseInt(value, 10);
+    }
+    if (isMolecule) reference.atom = parseInt(atom || '0', 10);
+    return reference;
+}
+
+// Only the uranium series can travel in a link; other chains fall back to plain auto decay
+function encodeDecay(decay) {
+    const { chain } = decay;
+    const isU238 = chain && chain.length === U238_DECAY_CHAIN.length &&
+        chain.every((label, index) => label === U238_DECAY_CHAIN[index]);
+    return isU238 ? 'u238' : '1';
+}
+
+export function encodeStateHash(state) {
+    const params = new URLSearchParams();
+    params.set('v', STATE_VERSION);
+    const { model, clock, placement } = state;
+    if (model && model.kind === 'atom') {
+        params.set('z', model.atomicNumber);
+        params.set('a', model.massNumber);
+        if (model.charge !== 0) params.set('q', model.charge);
+        if (model.renderMode === 'quantum') params.set('rm', 'q');
+        if (model.decay) {
+            params.set('d', encodeDecay(model.decay));
+            if (model.decay.halfLife) params.set('dh', round(model.decay.halfLife));
+        }
+    } else if (model && model.kind === 'comparison') {
+        params.set('cmp', model.preset || model.elements.join('-'));
+    } else if (model) {
+        if (!model.preset) {
+            throw new Error('Structures loaded from a file are too large to share as a link');
+        }
+        params.set('m', model.preset);
+    }
+    if (state.theme !== DEFAULT_THEME) params.set('th', state.theme);
+    if (clock.time > 0) params.set('t', round(clock.time));
+    if (clock.timeScale !== 1) params.set('ts', round(clock.timeScale));
+    if (clock.paused) params.set('p', '1');
+    if (model) {
+        params.set('s', round(model.scale));
+        if (model.rotationY !== 0) params.set('r', round(model.rotationY));
+        if (model.selection.length > 0) params.set('sel', model.selection.map(encodePart).join('.'));
+    }
+    if (placement) params.set('o', placement.offset.map(round).join('_'));
+    if (placement && placement.tilt && placement.tilt.some((angle) => angle !== 0)) {
+        params.set('tl', placement.tilt.map(round).join('_'));
+    }
+    return `#${params.toString()}`;
+}
+
+// Returns the app state a hash describes, or null when the hash is not a state link
+export function decodeStateHash(hash) {
+    const params = new URLSearchParams(hash.replace(/^#/, ''));
+    if (!params.has('v')) return null;
+
+    const readNumber = (key, fallback) => {
+        if (!params.has(key)) return fallback;
+        const value = Number(params.get(key));
+        if (!Number.isFinite(value)) throw new RangeError(`Invalid ${key} in link: ${params.get(key)}`);
+        return value;
+    };
+
+    const version = readNumber('v');
+    if (version !== STATE_VERSION) throw new RangeError(`Unsupported link version: ${version}`);
+
+    const theme = params.get('th') || DEFAULT_THEME;
+    if (!Object.prototype.hasOwnProperty.call(THEMES, theme)) throw new RangeError(`Invalid th in link: ${theme}`);
+    const time = readNumber('t', 0);
+    const clock = { time, timeScale: readNumber('ts', 1), paused: params.get('p') === '1' };
+
+    let model = null;
+    const isMolecule = params.has('m');
+    const isComparison = params.has('cmp');
+    if (isMolecule || isComparison || params.has('z')) {
+        const hasAtoms = isMolecule || isComparison;
+        model = {
+            kind: isMolecule ? 'molecule' : isComparison ? 'comparison' : 'atom',
+            theme,
+            time,
+            scale: readNumber('s', 0.5),
+            rotationY: readNumber('r', 0),
+            selection: params.get('sel') ? params.get('sel').split('.').map((token) => decodePart(token, hasAtoms)) : []
+        };
+        if (isMolecule) {
+            model.preset = params.get('m');
+        } else if (isComparison) {
+            const row = params.get('cmp');
+            model.preset = row.includes('-') ? null : row;
+            model.elements = row.includes('-') ? row.split('-') : null;
+        } else {
+            const decay = params.get('d');
+            const atomicNumber = readNumber('z');
+            const massNumber = readNumber('a');
+            // Checked here as well as by AtomModel: a huge nucleus would hang the page while it packs
+            if (massNumber !== undefined && (!Number.isInteger(massNumber) || massNumber < atomicNumber || massNumber > MAX_MASS_NUMBER)) {
+                throw new RangeError(`Invalid a in link: ${params.get('a')}`);
+            }
+            Object.assign(model, {
+                atomicNumber,
+                massNumber,
+                charge: readNumber('q', 0),
+                renderMode: params.get('rm') === 'q' ? 'quantum' : 'bohr',
+                decay: decay ? { halfLife: readNumber('dh', null), chain: decay === 'u238' ? U238_DECAY_CHAIN : null } : null
+            });
+        }
+    }
+
+    let placement = null;
+    if (params.has('o')) {
+        const offset = params.get('o').split('_').map(Number);
+        if (offset.length !== 3 || !offset.every(Number.isFinite)) {
+            throw new RangeError(`Invalid o in link: ${params.get('o')}`);
+        }
+        placement = { offset };
+        if (params.has('tl')) {
+            const tilt = params.get('tl').split('_').map(Number);
+            if (tilt.length !== 2 || !tilt.every(Number.isFinite)) {
+                throw new RangeError(`Invalid tl in link: ${params.get('tl')}`);
+            }
+            placement.tilt = tilt;
+        }
+    }
+
+    return { version, theme, clock, model, placement };
+}
@@ -0,0 +1,75 @@
+import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.158.0/build/three.module.js';
+
+// Simulated time for the placed model: real frame time scaled by timeScale, frozen while paused.
+// Dispatches 'change' whenever the time, rate or paused state is changed by hand.
+
+export const MIN_TIME_SCALE = 0.1;
+export const MAX_TIME_SCALE = 5;
+// One frame-by-frame step, in simulated seconds
+export const FRAME_STEP = 1 / 60;
+
+export class SimulationClock extends THREE.EventDispatcher {
+    constructor(options = {}) {
+        super();
+        const { time = 0, timeScale = 1, paused = false } = options;
+        this.time = time;
+        this.timeScale = 1;
+        this.paused = paused;
+        this.setTimeScale(timeScale);
+    }
+
+    // Converts a real frame delta into the simulated delta to hand to animate()
+    tick(realDeltaTime) {
+        if (this.paused) return 0;
+        const deltaTime = realDeltaTime * this.timeScale;
+        this.time += deltaTime;
+        return deltaTime;
+    }
+
+    pause() {
+        if (this.paused) return;
+        this.paused = true;
+        this.dispatchChange();
+    }
+
+    resume() {
+        if (!this.paused) return;
+        this.paused = false;
+        this.dispatchChange();
+    }
+
+    togglePause() {
+        if (this.paused) {
+            this.resume();
+        } else {
+            this.pause();
+        }
+    }
+
+    setTimeScale(timeScale) {
+        if (!Number.isFinite(timeScale)) {
+            throw new RangeError(`Time scale must be a number, got ${timeScale}`);
+        }
+        this.timeScale = Math.min(MAX_TIME_SCALE, Math.max(MIN_TIME_SCALE, timeScale));
+        this.dispatchChange();
+    }
+
+    seek(time) {
+        this.time = Math.max(0, time);
+        this.dispatchChange();
+    }
+
+    // Pauses and moves one frame forwards (or backwards with a negative count).
+    // Returns the simulated delta covered, which may be negative.
+    step(frames = 1) {
+        this.paused = true;
+        const from = this.time;
+        this.time = Math.max(0, this.time + frames * FRAME_STEP);
+        this.dispatchChange();
+        return this.time - from;
+    }
+
+    dispatchChange() {
+        this.dispatchEvent({ type: 'change', time: this.time, timeScale: this.timeScale, paused: this.paused });
+    }
+}
@@ -0,0 +1,139 @@
+// Emission wavelengths for electron transitions, and wavelength -> display color.
+
+// Rydberg constant for hydrogen (reduced-mass corrected), per metre
+export const RYDBERG_HYDROGEN = 1.09677583e7;
+
+export const VISIBLE_MIN_NM = 380;
+export const VISIBLE_MAX_NM = 750;
+
+const SERIES_NAMES = ['Lyman', 'Balmer', 'Paschen', 'Brackett', 'Pfund', 'Humphreys'];
+const GREEK_LINE_LETTERS = ['α', 'β', 'γ', 'δ', 'ε', 'ζ'];
+
+// Strong emission lines (nm, in air) for elements that are not hydrogen-like, strongest first.
+// They are drawn as the element's measured spectrum and color its emitted photons (see getEmissionLine).
+export const EMISSION_LINES = {
+    He: [587.6, 447.1, 501.6, 667.8, 706.5, 492.2, 471.3, 388.9],
+    Li: [670.8, 610.4, 460.3],
+    C: [658.8, 538.0, 426.7],
+    N: [746.8, 868.0, 821.6],
+    O: [777.2, 844.6, 615.8],
+    Ne: [640.2, 585.2, 703.2, 614.3, 650.7, 603.0, 540.1],
+    Na: [589.0, 589.6, 568.8, 498.3],
+    Ar: [811.5, 763.5, 750.4, 696.5, 706.7],
+    K: [766.5, 769.9, 404.4],
+    Ca: [422.7, 393.4, 396.8],
+    Fe: [438.4, 440.5, 532.8, 527.0],
+    Cu: [324.8, 521.8, 515.3, 510.6],
+    Kr: [811.3, 760.2, 587.1, 557.0],
+    Sr: [460.7, 407.8, 421.6],
+    Xe: [823.2, 467.1, 462.4],
+    Cs: [852.1, 894.3, 455.5, 459.3],
+    Ba: [553.5, 455.4, 493.4],
+    Hg: [435.8, 546.1, 404.7, 577.0, 579.1]
+};
+
+function checkTransition(nUpper, nLower) {
+    if (!(nUpper > nLower && nLower >= 1)) {
+        throw new RangeError(`Emission needs nUpper > nLower >= 1, got ${nUpper} -> ${nLower}`);
+    }
+}
+
+// 1/lambda = R * Z^2 * (1/nLower^2 - 1/nUpper^2), returned in nanometres
+export function rydbergWavelength(nUpper, nLower, nuclearCharge = 1) {
+    checkTransition(nUpper, nLower);
+    const inverse = RYDBERG_HYDROGEN * nuclearCharge * nuclearCharge * (1 / (nLower * nLower) - 1 / (nUpper * nUpper));
+    return 1e9 / inverse;
+}
+
+export function seriesName(nUpper, nLower) {
+    const series = SERIES_NAMES[nLower - 1] || `n=${nLower}`;
+    const letter = GREEK_LINE_LETTERS[nUpper - nLower - 1];
+    return letter ? `${series} ${letter}` : `${series} ${nUpper}→${nLower}`;
+}
+
+// Hydrogen and hydrogen-like ions (one electron) follow the Rydberg formula exactly.
+// Many-electron atoms are not modelled level by level, so each jump is assigned one of the
+// element's measured lines (EMISSION_LINES): drops to the valence electron's ground level take
+// them strongest first (one level down gives the strongest), drops that end on an excited level
+// take them from the weakest up. Elements without a table get the hydrogen wavelength for the
+// same jump, labelled as an approximation.
+export function getEmissionLine(element, electronCount, nUpper, nLower, groundLevel = nLower) {
+    if (electronCount === 1) {
+        return {
+            wavelength: rydbergWavelength(nUpper, nLower, element.atomicNumber),
+            series: seriesName(nUpper, nLower),
+            source: 'rydberg'
+        };
+    }
+    const lines = EMISSION_LINES[element.symbol];
+    if (lines) {
+        checkTransition(nUpper, nLower);
+        const wavelength = lines[tableLineIndex(lines.length, nUpper, nLower, groundLevel)];
+        return { wavelength, series: `${element.symbol} line`, source: 'table' };
+    }
+    return {
+        wavelength: rydbergWavelength(nUpper, nLower),
+        series: `${seriesName(nUpper, nLower)} (H approx.)`,
+        source: 'rydberg'
+    };
+}
+
+// Position in an EMISSION_LINES table, see getEmissionLine
+function tableLineIndex(lineCount, nUpper, nLower, groundLevel) {
+    const jump = nUpper - nLower - 1;
+    const height = Math.max(0, nLower - groundLevel);
+    if (height === 0) return jump % lineCount;
+    return lineCount - 1 - (height - 1 + jump) % lineCount;
+}
+
+// Reference lines to mark on the spectrum strip before anything is emitted: the Balmer series
+// for one electron, otherwise the element's measured lines
+export function getReferenceLines(element, electronCount) {
+    if (electronCount === 1) {
+        const lines = [];
+        for (let nUpper = 3; nUpper <= 7; nUpper++) {
+            lines.push(rydbergWavelength(nUpper, 2, element.atomicNumber));
+        }
+        return lines;
+    }
+    return EMISSION_LINES[element.symbol] || [];
+}
+
+// Approximate sRGB color for a wavelength (after Dan Bruton), dimmed towards the edges of vision.
+// Ultraviolet and infrared photons get a faint violet or deep red so they stay visible.
+export function wavelengthToRGB(nm) {
+    let r = 0;
+    let g = 0;
+    let b = 0;
+    if (nm < VISIBLE_MIN_NM) return { r: 0.35, g: 0.2, b: 0.55 };
+    if (nm > VISIBLE_MAX_NM) return { r: 0.45, g: 0.08, b: 0.08 };
+
+    if (nm < 440) {
+        r = -(nm - 440) / (440 - 380);
+        b = 1;
+    } else if (nm < 490) {
+        g = (nm - 440) / (490 - 440);
+        b = 1;
+    } else if (nm < 510) {
+        g = 1;
+        b = -(nm - 510) / (510 - 490);
+    } else if (nm < 580) {
+        r = (nm - 510) / (580 - 510);
+        g = 1;
+    } else if (nm < 645) {
+        r = 1;
+        g = -(nm - 645) / (645 - 580);
+    } else {
+        r = 1;
+    }
+
+    let intensity = 1;
+    if (nm < 420) intensity = 0.3 + 0.7 * (nm - 380) / (420 - 380);
+    else if (nm > 700) intensity = 0.3 + 0.7 * (750 - nm) / (750 - 700);
+    return { r: r * intensity, g: g * intensity, b: b * intensity };
+}
+
+export function wavelengthToCSS(nm) {
+    const { r, g, b } = wavelengthToRGB(nm);
+    return `rgb(${Math.round(r * 255)}, ${Math.round(g * 255)}, ${Math.round(b * 255)})`;
+}
@@ -0,0 +1,142 @@
+import { VISIBLE_MIN_NM, VISIBLE_MAX_NM, wavelengthToCSS, getReferenceLines } from './spectra.js';
+
+// Emission-spectrum strip in the DOM overlay. Lines light up as the attached AtomModel emits photons.
+
+const EDGE_WIDTH = 26; // px reserved at each end for ultraviolet / infrared lines
+const FLASH_DECAY = 1.5; // flash intensity lost per second
+
+export class SpectrumPanel {
+    constructor(parent) {
+        this.atom = null;
+        this.lines = []; // { wavelength, series, flash }
+        this.referenceLines = [];
+        this._onPhoton = (event) => this.addLine(event);
+        this._onCompositionChange = () => this.updateReferenceLines();
+
+        this.element = document.createElement('div');
+        this.element.className = 'spectrum-panel hidden';
+        this.element.innerHTML = `
+            <div class="spectrum-header">
+                <span>Emission spectrum</span>
+                <button class="spectrum-clear" title="Clear lines">Clear</button>
+            </div>
+            <canvas class="spectrum-canvas" width="320" height="56"></canvas>
+            <div class="spectrum-caption">Excite an electron to see its emission lines</div>
+        `;
+        this.canvas = this.element.querySelector('canvas');
+        this.context = this.canvas.getContext('2d');
+        this.caption = this.element.querySelector('.spectrum-caption');
+        this.element.querySelector('.spectrum-clear').addEventListener('click', () => this.clear());
+        this.element.addEventListener('beforexrselect', (event) => event.preventDefault());
+        parent.appendChild(this.element);
+    }
+
+    attach(atom) {
+        this.detach();
+        this.atom = atom;
+        atom.addEventListener('photonemitted', this._onPhoton);
+        atom.addEventListener('compositionchange', this._onCompositionChange);
+        this.updateReferenceLines();
+        this.clear();
+        this.element.classList.remove('hidden');
+    }
+
+    detach() {
+        if (this.atom) {
+            this.atom.removeEventListener('photonemitted', this._onPhoton);
+            this.atom.removeEventListener('compositionchange', this._onCompositionChange);
+            this.atom = null;
+        }
+        this.element.classList.add('hidden');
+    }
+
+    updateReferenceLines() {
+        this.referenceLines = getReferenceLines(this.atom.getElement(), this.atom.electronCount);
+        this.draw();
+    }
+
+    clear() {
+        this.lines = [];
+        this.caption.textContent = 'Excite an electron to see its emission lines';
+        this.draw();
+    }
+
+    addLine({ wavelength, series }) {
+        const existing = this.lines.find((line) => Math.abs(line.wavelength - wavelength) < 0.05);
+        if (existing) {
+            existing.flash = 1;
+        } else {
+            this.lines.push({ wavelength, series, flash: 1 });
+        }
+        const band = wavelength < VISIBLE_MIN_NM ? ' (ultraviolet)' : wavelength > VISIBLE_MAX_NM ? ' (infrared)' : '';
+        this.caption.textContent = `${series}: ${wavelength.toFixed(1)} nm${band}`;
+        this.draw();
+    }
+
+    // Called every frame to fade line flashes
+    update(deltaTime) {
+        let flashing = false;
+        this.lines.forEach((line) => {
+            if (line.flash > 0) {
+                line.flash = Math.max(0, line.flash - deltaTime * FLASH_DECAY);
+                flashing = true;
+            }
+        });
+        if (flashing) this.draw();
+    }
+
+    wavelengthToX(nm) {
+        const width = this.canvas.width;
+        if (nm < VISIBLE_MIN_NM) return EDGE_WIDTH / 2;
+        if (nm > VISIBLE_MAX_NM) return width - EDGE_WIDTH / 2;
+        return EDGE_WIDTH + ((nm - VISIBLE_MIN_NM) / (VISIBLE_MAX_NM - VISIBLE_MIN_NM)) * (width - 2 * EDGE_WIDTH);
+    }
+
+    draw() {
+        const ctx = this.context;
+        const { width, height } = this.canvas;
+        ctx.clearRect(0, 0, width, height);
+
+        // Dim rainbow background with UV / IR end zones
+        const gradient = ctx.createLinearGradient(EDGE_WIDTH, 0, width - EDGE_WIDTH, 0);
+        for (let nm = VISIBLE_MIN_NM; nm <= VISIBLE_MAX_NM; nm += 10) {
+            gradient.addColorStop((nm - VISIBLE_MIN_NM) / (VISIBLE_MAX_NM - VISIBLE_MIN_NM), wavelengthToCSS(nm));
+        }
+        ctx.globalAlpha = 0.18;
+        ctx.fillStyle = gradient;
+        ctx.fillRect(EDGE_WIDTH, 0, width - 2 * EDGE_WIDTH, height - 14);
+        ctx.fillStyle = '#333';
+        ctx.fillRect(0, 0, EDGE_WIDTH - 2, height - 14);
+        ctx.fillRect(width - EDGE_WIDTH + 2, 0, EDGE_WIDTH - 2, height - 14);
+        ctx.globalAlpha = 1;
+
+        ctx.fillStyle = '#aaa';
+        ctx.font = '10px sans-serif';
+        ctx.textAlign = 'center';
+        ctx.fillText('UV', EDGE_WIDTH / 2, height - 3);
+        ctx.fillText('IR', width - EDGE_WIDTH / 2, height - 3);
+        [400, 500, 600, 700].forEach((nm) => ctx.fillText(String(nm), this.wavelengthToX(nm), height - 3));
+
+        // Faint ticks where this element's lines are expected
+        ctx.globalAlpha = 0.35;
+        this.referenceLines.forEach((nm) => {
+            ctx.fillStyle = wavelengthToCSS(nm);
+            ctx.fillRect(this.wavelengthToX(nm) - 0.5, height - 22, 1, 8);
+        });
+
+        // Emitted lines: bright, widened while flashing
+        this.lines.forEach((line) => {
+            const x = this.wavelengthToX(line.wavelength);
+            ctx.globalAlpha = 0.75 + 0.25 * line.flash;
+            ctx.fillStyle = wavelengthToCSS(line.wavelength);
+            const lineWidth = 2 + line.flash * 4;
+            ctx.fillRect(x - lineWidth / 2, 0, lineWidth, height - 14);
+        });
+        ctx.globalAlpha = 1;
+    }
+
+    dispose() {
+        this.detach();
+        this.element.remove();
+    }
+}
@@ -0,0 +1,242 @@
+import { getElement, getElementBySymbol, getCovalentRadius } from './elements.js';
+
+// Parsers for molecular structure files. Each returns a MoleculeModel definition:
+// { name, atoms: [{ symbol, atomicNumber, position: [x, y, z] }], bonds: [{ from, to, order, type }] }
+// with positions in angstroms.
+
+// Extra distance (angstroms) allowed over the sum of covalent radii when inferring bonds
+const BOND_TOLERANCE = 0.4;
+const MIN_BOND_DISTANCE = 0.4;
+
+export class StructureParseError extends Error {
+    constructor(message, lineNumber) {
+        super(lineNumber ? `Line ${lineNumber}: ${message}` : message);
+        this.name = 'StructureParseError';
+        this.lineNumber = lineNumber || null;
+    }
+}
+
+function splitLines(text) {
+    return String(text).replace(/\r\n?/g, '\n').split('\n');
+}
+
+function parseCoordinate(value, axis, lineNumber) {
+    const number = Number(value);
+    if (value === undefined || value.trim() === '' || !Number.isFinite(number)) {
+        throw new StructureParseError(`invalid ${axis} coordinate '${(value || '').trim()}'`, lineNumber);
+    }
+    return number;
+}
+
+// Accepts element symbols in any case ("CL", "cl", "Cl") or atomic numbers
+function resolveElement(token, lineNumber) {
+    const trimmed = String(token || '').trim();
+    if (/^\d+$/.test(trimmed)) {
+        try {
+            return getElement(Number(trimmed));
+        } catch (error) {
+            throw new StructureParseError(`unknown atomic number '${trimmed}'`, lineNumber);
+        }
+    }
+    const element = getElementBySymbol(trimmed);
+    if (!element) {
+        throw new StructureParseError(`unknown element '${trimmed}'`, lineNumber);
+    }
+    return element;
+}
+
+function makeAtom(element, x, y, z) {
+    return { symbol: element.symbol, atomicNumber: element.atomicNumber, position: [x, y, z] };
+}
+
+// Connects atoms closer than the sum of their covalent radii plus a tolerance
+export function inferBonds(atoms) {
+    const bonds = [];
+    for (let i = 0; i < atoms.length; i++) {
+        const a = atoms[i];
+        const radiusA = getCovalentRadius(a.atomicNumber);
+        for (let j = i + 1; j < atoms.length; j++) {
+            const b = atoms[j];
+            const distance = Math.hypot(
+                a.position[0] - b.position[0],
+                a.position[1] - b.position[1],
+                a.position[2] - b.position[2]
+            );
+            if (distance > MIN_BOND_DISTANCE && distance <= radiusA + getCovalentRadius(b.atomicNumber) + BOND_TOLERANCE) {
+                bonds.push({ from: i, to: j, order: 1, type: 'covalent' });
+            }
+        }
+    }
+    return bonds;
+}
+
+export function parseXYZ(text, name = 'XYZ structure') {
+    const lines = splitLines(text);
+    const count = Number(lines[0] !== undefined ? lines[0].trim() : '');
+    if (!Number.isInteger(count) || count <= 0) {
+        throw new StructureParseError(`expected a positive atom count, got '${(lines[0] || '').trim()}'`, 1);
+    }
+
+    const atoms = [];
+    for (let i = 0; i < count; i++) {
+        const lineNumber = i + 3;
+        const line = lines[lineNumber - 1];
+        if (line === undefined || line.trim() === '') {
+            throw new StructureParseError(`expected ${count} atoms but found only ${i}`, lineNumber);
+        }
+        const fields = line.trim().split(/\s+/);
+        if (fields.length < 4) {
+            throw new StructureParseError(`expected 'symbol x y z', got '${line.trim()}'`, lineNumber);
+        }
+        const element = resolveElement(fields[0], lineNumber);
+        atoms.push(makeAtom(
+            element,
+            parseCoordinate(fields[1], 'x', lineNumber),
+            parseCoordinate(fields[2], 'y', lineNumber),
+            parseCoordinate(fields[3], 'z', lineNumber)
+        ));
+    }
+
+    const comment = (lines[1] || '').trim();
+    return { name: comment || name, atoms, bonds: inferBonds(atoms) };
+}
+
+// Reads ATOM/HETATM records of the first model, plus CONECT bonds when present
+export function parsePDB(text, name = 'PDB structure') {
+    const lines = splitLines(text);
+    const atoms = [];
+    const serialToIndex = new Map();
+    const bondKeys = new Set();
+    const bonds = [];
+    let title = '';
+
+    for (let i = 0; i < lines.length; i++) {
+        const lineNumber = i + 1;
+        const line = lines[i];
+        const record = line.substring(0, 6).trim();
+
+        if (record === 'ENDMDL') break;
+        if ((record === 'TITLE' || record === 'COMPND') && !title) {
+            title = line.substring(10).trim().replace(/^MOLECULE:\s*/, '').replace(/;$/, '');
+        }
+
+        if (record === 'ATOM' || record === 'HETATM') {
+            if (line.length < 54) {
+                throw new StructureParseError(`${record} record is too short for coordinates (columns 31-54)`, lineNumber);
+            }
+            const serial = Number(line.substring(6, 11));
+            // Element symbol lives in columns 77-78; older files only have it inside the atom name,
+            // right-justified in columns 13-14 (" CA " is an alpha carbon, "CA  " calcium)
+            let symbol = line.length >= 78 ? line.substring(76, 78).trim() : '';
+            if (!symbol) {
+                symbol = line.substring(12, 14).replace(/[^A-Za-z]/g, '');
+                if (symbol.length === 2 && !getElementBySymbol(symbol)) symbol = symbol[0];
+                if (!symbol) symbol = line.substring(12, 16).replace(/[^A-Za-z]/g, '').substring(0, 1);
+            }
+            const element = resolveElement(symbol, lineNumber);
+            if (Number.isInteger(serial)) serialToIndex.set(serial, atoms.length);
+            atoms.push(makeAtom(
+                element,
+                parseCoordinate(line.substring(30, 38), 'x', lineNumber),
+                parseCoordinate(line.substring(38, 46), 'y', lineNumber),
+                parseCoordinate(line.substring(46, 54), 'z', lineNumber)
+            ));
+        }
+
+        if (record === 'CONECT') {
+            const source = Number(line.substring(6, 11));
+            if (!serialToIndex.has(source)) {
+                throw new StructureParseError(`CONECT refers to unknown atom serial '${line.substring(6, 11).trim()}'`, lineNumber);
+            }
+            [11, 16, 21, 26].forEach((start) => {
+                const field = line.substring(start, start + 5).trim();
+                if (!field) return;
+                const target = Number(field);
+                if (!serialToIndex.has(target)) {
+                    throw new StructureParseError(`CONECT refers to unknown atom serial '${field}'`, lineNumber);
+                }
+                const from = serialToIndex.get(source);
+                const to = serialToIndex.get(target);
+                const key = from < to ? `${from}-${to}` : `${to}-${from}`;
+                if (from === to || bondKeys.has(key)) return;
+                bondKeys.add(key);
+                bonds.push({ from, to, order: 1, type: 'covalent' });
+            });
+        }
+    }
+
+    if (atoms.length === 0) {
+        throw new StructureParseError('no ATOM or HETATM records found');
+    }
+    return { name: title || name, atoms, bonds: bonds.length > 0 ? bonds : inferBonds(atoms) };
+}
+
+// MDL molfile (V2000). For SD files only the first record is read.
+export function parseMolfile(text, name = 'MOL structure') {
+    const lines = splitLines(text);
+    const countsLine = lines[3];
+    if (countsLine === undefined) {
+        throw new StructureParseError('missing counts line', 4);
+    }
+    if (/V3000/.test(countsLine)) {
+        throw new StructureParseError('V3000 molfiles are not supported, please export as V2000', 4);
+    }
+    const atomCount = Number(countsLine.substring(0, 3));
+    const bondCount = Number(countsLine.substring(3, 6));
+    if (!Number.isInteger(atomCount) || atomCount <= 0 || !Number.isInteger(bondCount) || bondCount < 0) {
+        throw new StructureParseError(`invalid counts line '${countsLine.trim()}'`, 4);
+    }
+
+    const atoms = [];
+    for (let i = 0; i < atomCount; i++) {
+        const lineNumber = 5 + i;
+        const line = lines[lineNumber - 1];
+        if (line === undefined || line.trim() === '' || line.startsWith('M  END')) {
+            throw new StructureParseError(`expected ${atomCount} atom lines but found only ${i}`, lineNumber);
+        }
+        const element = resolveElement(line.substring(31, 34), lineNumber);
+        atoms.push(makeAtom(
+            element,
+            parseCoordinate(line.substring(0, 10), 'x', lineNumber),
+            parseCoordinate(line.substring(10, 20), 'y', lineNumber),
+            parseCoordinate(line.substring(20, 30), 'z', lineNumber)
+        ));
+    }
+
+    const bonds = [];
+    for (let i = 0; i < bondCount; i++) {
+        const lineNumber = 5 + atomCount + i;
+        const line = lines[lineNumber - 1];
+        if (line === undefined || line.trim() === '' || line.startsWith('M  END')) {
+            throw new StructureParseError(`expected ${bondCount} bond lines but found only ${i}`, lineNumber);
+        }
+        const from = Number(line.substring(0, 3));
+        const to = Number(line.substring(3, 6));
+        const type = Number(line.substring(6, 9));
+        [from, to].forEach((atomNumber) => {
+            if (!Number.isInteger(atomNumber) || atomNumber < 1 || atomNumber > atomCount) {
+                throw new StructureParseError(`bond refers to atom ${atomNumber}, but there are ${atomCount} atoms`, lineNumber);
+            }
+        });
+        if (!Number.isInteger(type) || type < 1 || type > 8) {
+            throw new StructureParseError(`invalid bond type '${line.substring(6, 9).trim()}'`, lineNumber);
+        }
+        // 1-3 are single/double/triple; aromatic and query bond types are drawn as single
+        bonds.push({ from: from - 1, to: to - 1, order: type <= 3 ? type : 1, type: 'covalent' });
+    }
+
+    const title = (lines[0] || '').trim();
+    return { name: title || name, atoms, bonds: bonds.length > 0 ? bonds : inferBonds(atoms) };
+}
+
+export const STRUCTURE_FILE_EXTENSIONS = ['.xyz', '.pdb', '.ent', '.mol', '.sdf', '.sd'];
+
+// Picks a parser from the file extension
+export function parseStructureFile(text, fileName) {
+    const lower = String(fileName).toLowerCase();
+    const baseName = String(fileName).replace(/\.[^.]+$/, '');
+    if (lower.endsWith('.xyz')) return parseXYZ(text, baseName);
+    if (lower.endsWith('.pdb') || lower.endsWith('.ent')) return parsePDB(text, baseName);
+    if (lower.endsWith('.mol') || lower.endsWith('.sdf') || lower.endsWith('.sd')) return parseMolfile(text, baseName);
+    throw new StructureParseError(`unsupported file type '${fileName}' (expected ${STRUCTURE_FILE_EXTENSIONS.join(', ')})`);
+}
@@ -0,0 +1,121 @@
+// Color and material themes. AtomModel and MoleculeModel read every color from the active
+// theme and can switch themes at runtime by updating their materials in place.
+
+// Jmol CPK colors by atomic number (index Z - 1); heavier elements fall back to JMOL_DEFAULT
+const JMOL_COLORS = [
+    0xffffff, 0xd9ffff, 0xcc80ff, 0xc2ff00, 0xffb5b5, 0x909090, 0x3050f8, 0xff0d0d, 0x90e050, 0xb3e3f5,
+    0xab5cf2, 0x8aff00, 0xbfa6a6, 0xf0c8a0, 0xff8000, 0xffff30, 0x1ff01f, 0x80d1e3, 0x8f40d4, 0x3dff00,
+    0xe6e6e6, 0xbfc2c7, 0xa6a6ab, 0x8a99c7, 0x9c7ac7, 0xe06633, 0xf090a0, 0x50d050, 0xc88033, 0x7d80b0,
+    0xc28f8f, 0x668f8f, 0xbd80e3, 0xffa100, 0xa62929, 0x5cb8d1, 0x702eb0, 0x00ff00, 0x94ffff, 0x94e0e0,
+    0x73c2c9, 0x54b5b5, 0x3b9e9e, 0x248f8f, 0x0a7d8c, 0x006985, 0xc0c0c0, 0xffd98f, 0xa67573, 0x668080,
+    0x9e63b5, 0xd47a00, 0x940094, 0x429eb0, 0x57178f, 0x00c900, 0x70d4ff, 0xffffc7, 0xd9ffc7, 0xc7ffc7,
+    0xa3ffc7, 0x8fffc7, 0x61ffc7, 0x45ffc7, 0x30ffc7, 0x1fffc7, 0x00ff9c, 0x00e675, 0x00d452, 0x00bf38,
+    0x00ab24, 0x4dc2ff, 0x4da6ff, 0x2194d6, 0x267dab, 0x266696, 0x175487, 0xd0d0e0, 0xffd123, 0xb8b8d0,
+    0xa6544d, 0x575961, 0x9e4fb5, 0xab5c00, 0x754f45, 0x428296, 0x420066, 0x007d00, 0x70abfa, 0x00baff,
+    0x00a1ff, 0x008fff, 0x0080ff, 0x006bff, 0x545cf2, 0x785ce3, 0x8a4fe3, 0xa136d4, 0xb31fd4, 0xb31fba,
+    0xb30da6, 0xbd0d87, 0xc70066, 0xcc0059, 0xd1004f, 0xd90045, 0xe00038, 0xe6002e, 0xeb0026
+];
+const JMOL_DEFAULT = 0xff1493;
+
+export const DEFAULT_THEME = 'default';
+
+const DEFAULT = {
+    name: 'default',
+    label: 'Default',
+    proton: { color: 0xff3333, emissive: 0x441111, metalness: 0.6, roughness: 0.2 },
+    neutron: { color: 0x6699ff, emissive: 0x112244, metalness: 0.6, roughness: 0.2 },
+    electron: { color: 0x00ff66, emissive: 0x003311, emissiveIntensity: 0.5, metalness: 0.8, roughness: 0.1 },
+    // Emissive colors parts pulse with while selected
+    highlight: { proton: 0xff6666, neutron: 0x88aaff, electron: 0x88ffbb },
+    shellColors: [0x44ff88, 0x4488ff, 0xff4488, 0xffaa44, 0xaa66ff, 0x44ddff, 0xffee55],
+    shellOpacity: { inner: 0.4, outer: 0.35 },
+    glow: { inner: 0xffaa00, outer: 0xffdd44, innerOpacity: 0.3, outerOpacity: 0.15 },
+    trail: { opacity: 0.3 },
+    positron: 0xff55cc,
+    gamma: 0xccf4ff,
+    bond: { covalent: 0xcccccc, ionic: 0xffffff, ionicOpacity: 0.25 },
+    // When set, the nucleus glow takes each element's color from this palette
+    elementColors: null
+};
+
+export const THEMES = {
+    default: DEFAULT,
+
+    // Nucleus glow in the Jmol CPK element colors, so atoms in a molecule are told apart at a glance
+    cpk: {
+        ...DEFAULT,
+        name: 'cpk',
+        label: 'CPK (Jmol)',
+        electron: { ...DEFAULT.electron, color: 0xdddddd, emissive: 0x222222 },
+        shellColors: [0xbbbbbb, 0x999999, 0xbbbbbb, 0x999999, 0xbbbbbb, 0x999999, 0xbbbbbb],
+        glow: { ...DEFAULT.glow, innerOpacity: 0.45, outerOpacity: 0.2 },
+        elementColors: JMOL_COLORS
+    },
+
+    // Okabe-Ito palette: protons and neutrons differ in lightness as well as hue, and no pair
+    // relies on a red/green difference (deuteranopia and protanopia)
+    colorblind: {
+        ...DEFAULT,
+        name: 'colorblind',
+        label: 'Colorblind-safe',
+        proton: { ...DEFAULT.proton, color: 0xe69f00, emissive: 0x3d2a00 },
+        neutron: { ...DEFAULT.neutron, color: 0x0072b2, emissive: 0x001e30 },
+        electron: { ...DEFAULT.electron, color: 0xf0e442, emissive: 0x3d3a11 },
+        highlight: { proton: 0xffc34d, neutron: 0x56b4e9, electron: 0xfff59d },
+        shellColors: [0x56b4e9, 0xcc79a7, 0x009e73, 0xf0e442, 0x0072b2, 0xe69f00, 0xd55e00],
+        glow: { ...DEFAULT.glow, inner: 0xe69f00, outer: 0xf0e442 },
+        positron: 0xcc79a7,
+        bond: { ...DEFAULT.bond, covalent: 0xbbbbbb }
+    },
+
+    // Flat, saturated colors and bold rings for low vision and bright rooms
+    highContrast: {
+        ...DEFAULT,
+        name: 'highContrast',
+        label: 'High contrast',
+        proton: { color: 0xff0000, emissive: 0x660000, metalness: 0, roughness: 1 },
+        neutron: { color: 0xffffff, emissive: 0x444444, metalness: 0, roughness: 1 },
+        electron: { color: 0xffff00, emissive: 0x888800, emissiveIntensity: 1, metalness: 0, roughness: 1 },
+        highlight: { proton: 0xff8080, neutron: 0x00ffff, electron: 0xffffff },
+        shellColors: [0x00ffff, 0xff00ff, 0x00ffff, 0xff00ff, 0x00ffff, 0xff00ff, 0x00ffff],
+        shellOpacity: { inner: 0.9, outer: 0.9 },
+        glow: { ...DEFAULT.glow, innerOpacity: 0.1, outerOpacity: 0 },
+        trail: { opacity: 0.7 },
+        bond: { covalent: 0xffffff, ionic: 0xffffff, ionicOpacity: 0.6 }
+    }
+};
+
+// Adds or replaces a theme. Missing sections are filled in from the default theme.
+export function registerTheme(theme) {
+    if (!theme || typeof theme.name !== 'string') {
+        throw new TypeError('A theme needs a string name');
+    }
+    THEMES[theme.name] = { ...DEFAULT, label: theme.name, ...theme };
+    return THEMES[theme.name];
+}
+
+// Accepts a theme name or a theme object
+export function getTheme(theme = DEFAULT_THEME) {
+    if (typeof theme === 'object' && theme !== null) return theme;
+    if (!THEMES[theme]) {
+        throw new RangeError(`Unknown theme '${theme}', expected one of: ${Object.keys(THEMES).join(', ')}`);
+    }
+    return THEMES[theme];
+}
+
+export function listThemes() {
+    return Object.values(THEMES).map(({ name, label }) => ({ name, label }));
+}
+
+export function getShellColor(theme, index) {
+    return theme.shellColors[index % theme.shellColors.length];
+}
+
+// Inner and outer glow colors for an element
+export function getGlowColors(theme, element) {
+    if (theme.elementColors) {
+        const color = theme.elementColors[element.atomicNumber - 1] || JMOL_DEFAULT;
+        return { inner: color, outer: color };
+    }
+    return { inner: theme.glow.inner, outer: theme.glow.outer };
+}
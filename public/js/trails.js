@@ -0,0 +1,157 @@
+import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.158.0/build/three.module.js';
+
+// Fading polyline trails behind moving objects. Samples go into a ring buffer and are written
+// out newest-first on every push, so the line never jumps across the seam between the newest
+// and oldest sample, and unused vertices are never drawn.
+
+export const TRAIL_DEFAULTS = {
+    mode: 'points',   // 'points' keeps the last `length` samples, 'time' the last `duration` seconds
+    length: 20,
+    duration: 0.35,
+    maxPoints: 90,    // buffer size in 'time' mode; samples closer together than duration / maxPoints merge
+    color: 0x00ff66,  // head color
+    tailColor: null,  // color the tail fades towards (defaults to the head color)
+    opacity: 0.3
+};
+
+export class Trail {
+    constructor(options = {}) {
+        this.options = { ...TRAIL_DEFAULTS, ...options };
+        this._headColor = new THREE.Color();
+        this._tailColor = new THREE.Color();
+        this._color = new THREE.Color();
+
+        this.line = new THREE.Line(
+            new THREE.BufferGeometry(),
+            new THREE.LineBasicMaterial({ vertexColors: true, transparent: true, depthWrite: false })
+        );
+        // Vertices move every frame, so the cached bounding sphere would be stale
+        this.line.frustumCulled = false;
+        // Trails run over the parts they follow and would swallow taps meant for them
+        this.line.raycast = () => {};
+        this.allocate();
+        this.applyOptions();
+    }
+
+    getCapacity() {
+        const { mode, length, maxPoints } = this.options;
+        return Math.max(2, Math.floor(mode === 'time' ? maxPoints : length));
+    }
+
+    allocate() {
+        const capacity = this.getCapacity();
+        this._samples = new Float32Array(capacity * 4); // x, y, z, time
+        this._head = -1; // slot of the newest sample
+        this._count = 0;
+
+        const geometry = this.line.geometry;
+        const positions = new THREE.BufferAttribute(new Float32Array(capacity * 3), 3);
+        const colors = new THREE.BufferAttribute(new Float32Array(capacity * 4), 4);
+        positions.setUsage(THREE.DynamicDrawUsage);
+        colors.setUsage(THREE.DynamicDrawUsage);
+        geometry.setAttribute('position', positions);
+        geometry.setAttribute('color', colors);
+        geometry.setDrawRange(0, 0);
+    }
+
+    // Changes length, mode or colors in place; the buffer is only reallocated when its size changes
+    setOptions(options) {
+        const previousCapacity = this.getCapacity();
+        this.options = { ...this.options, ...options };
+        if (this.getCapacity() !== previousCapacity) {
+            this.line.geometry.dispose();
+            this.allocate();
+        }
+        this.applyOptions();
+        this.rebuild();
+    }
+
+    applyOptions() {
+        const { color, tailColor, opacity } = this.options;
+        this._headColor.set(color);
+        this._tailColor.set(tailColor === null ? color : tailColor);
+        this.line.material.opacity = opacity;
+        // Keep fadeExcept/restoreOpacity returning to the configured opacity
+        this.line.material.userData._origOpacity = opacity;
+    }
+
+    // Adds a sample at `time` (seconds). Going back in time (a seek) starts the trail over.
+    push(position, time) {
+        const capacity = this.getCapacity();
+        const samples = this._samples;
+        if (this._count > 0) {
+            const newestTime = samples[this._head * 4 + 3];
+            if (time < newestTime) {
+                this.clear();
+            } else if (this.options.mode === 'time' && time - newestTime < this.options.duration / capacity) {
+                // Too close to the previous sample: move it instead of spending a slot
+                this.writeSample(this._head, position, newestTime);
+                this.rebuild();
+                return;
+            }
+        }
+        this._head = (this._head + 1) % capacity;
+        this._count = Math.min(capacity, this._count + 1);
+        this.writeSample(this._head, position, time);
+        this.rebuild();
+    }
+
+    writeSample(slot, position, time) {
+        const offset = slot * 4;
+        this._samples[offset] = position.x;
+        this._samples[offset + 1] = position.y;
+        this._samples[offset + 2] = position.z;
+        this._samples[offset + 3] = time;
+    }
+
+    clear() {
+        this._head = -1;
+        this._count = 0;
+        this.line.geometry.setDrawRange(0, 0);
+    }
+
+    // Writes samples newest to oldest, fading color and alpha from head to tail.
+    // Vertices past the tail repeat the last point so exporters that ignore the draw range see no stray lines.
+    rebuild() {
+        const capacity = this.getCapacity();
+        const samples = this._samples;
+        const geometry = this.line.geometry;
+        const positions = geometry.attributes.position.array;
+        const colors = geometry.attributes.color.array;
+
+        let visible = this._count;
+        if (this.options.mode === 'time' && this._count > 0) {
+            const newestTime = samples[this._head * 4 + 3];
+            visible = 0;
+            while (visible < this._count) {
+                const slot = (this._head - visible + capacity) % capacity;
+                if (newestTime - samples[slot * 4 + 3] > this.options.duration) break;
+                visible++;
+            }
+        }
+
+        for (let i = 0; i < capacity; i++) {
+            const slot = (this._head - Math.min(i, Math.max(0, visible - 1)) + capacity) % capacity;
+            positions[i * 3] = samples[slot * 4];
+            positions[i * 3 + 1] = samples[slot * 4 + 1];
+            positions[i * 3 + 2] = samples[slot * 4 + 2];
+
+            const fade = visible > 1 ? Math.min(1, i / (visible - 1)) : 1;
+            this._color.lerpColors(this._headColor, this._tailColor, fade);
+            colors[i * 4] = this._color.r;
+            colors[i * 4 + 1] = this._color.g;
+            colors[i * 4 + 2] = this._color.b;
+            colors[i * 4 + 3] = 1 - fade;
+        }
+
+        geometry.attributes.position.needsUpdate = true;
+        geometry.attributes.color.needsUpdate = true;
+        geometry.setDrawRange(0, visible);
+    }
+
+    dispose() {
+        if (this.line.parent) this.line.parent.remove(this.line);
+        this.line.geometry.dispose();
+        this.line.material.dispose();
+    }
+}
@@ -1,6 +1,7 @@
 const express = require('express');
 const cors = require('cors');
 const path = require('path');
+const { FORMATS, generateExport } = require('./export-service');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -23,6 +24,21 @@ app.get('/', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
+// Model export: accepts { format: 'glb' | 'usdz', scene: Object3D.toJSON(), fileName } and returns the file
+app.post('/api/export', express.json({ limit: '25mb' }), async (req, res) => {
+  const { format, scene, fileName = 'atom' } = req.body || {};
+  try {
+    const file = await generateExport(format, scene);
+    const safeName = String(fileName).replace(/[^\w.-]+/g, '_') || 'atom';
+    res.setHeader('Content-Type', FORMATS[format].mimeType);
+    res.setHeader('Content-Disposition', `attachment; filename="${safeName}.${FORMATS[format].extension}"`);
+    res.send(file);
+  } catch (error) {
+    console.error('Export failed:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
 // Health check
 app.get('/health', (req, res) => {
   res.json({ status: 'OK', timestamp: new Date().toISOString() });
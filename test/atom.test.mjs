@@ -0,0 +1,32 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AtomModel, MAX_MASS_NUMBER } from '../public/js/atom.js';
+
+// Steps the model in frame-sized increments
+function run(atom, seconds, frameTime = 1 / 30) {
+    for (let elapsed = 0; elapsed < seconds; elapsed += frameTime) atom.animate(frameTime);
+}
+
+test('an excited daughter emits its gamma photon, which flies off and is removed', () => {
+    const atom = new AtomModel({ atomicNumber: 27, massNumber: 60 }); // Co-60
+    const children = atom.group.children.length;
+    const modes = [];
+    atom.addEventListener('decay', (event) => modes.push(event.mode));
+
+    assert.equal(atom.decay(), true);
+    assert.equal(atom.getIsotopeLabel(), 'Ni-60');
+    run(atom, 0.5);
+    assert.deepEqual(modes, ['beta-minus', 'gamma']);
+    assert.equal(atom.group.children.length, children + 1, 'the gamma photon should be in flight');
+
+    run(atom, 5);
+    assert.equal(atom.group.children.length, children);
+    assert.equal(atom._tweens.length, 0);
+});
+
+test('rejects mass numbers outside the element\'s range', () => {
+    assert.equal(new AtomModel({ atomicNumber: 1, massNumber: 3 }).getIsotopeLabel(), 'H-3');
+    assert.throws(() => new AtomModel({ atomicNumber: 6, massNumber: 5 }), RangeError);
+    assert.throws(() => new AtomModel({ atomicNumber: 92, massNumber: MAX_MASS_NUMBER + 1 }), /between 92 and 300, got 301/);
+    assert.throws(() => AtomModel.fromJSON({ ...new AtomModel({ atomicNumber: 92 }).toJSON(), massNumber: 100000 }), RangeError);
+});
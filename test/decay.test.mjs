@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    U238_DECAY_CHAIN, isotopeLabel, getDecayInfo, canDecay, getDaughter, acceleratedHalfLife, sampleDecayTime, formatHalfLife
+} from '../public/js/decay.js';
+
+test('stepping from U-238 visits the whole uranium series and ends at stable Pb-206', () => {
+    let protonCount = 92;
+    let neutronCount = 146;
+    const visited = [isotopeLabel(protonCount, neutronCount)];
+    const modes = { alpha: 0, 'beta-minus': 0 };
+    let info;
+    while ((info = getDecayInfo(protonCount, neutronCount))) {
+        assert.equal(info.estimated, false, `${visited.at(-1)} should be tabulated`);
+        modes[info.mode] += 1;
+        ({ protonCount, neutronCount } = getDaughter(protonCount, neutronCount, info.mode));
+        visited.push(isotopeLabel(protonCount, neutronCount));
+        assert.ok(visited.length <= U238_DECAY_CHAIN.length, 'the chain should end');
+    }
+    assert.deepEqual(visited, U238_DECAY_CHAIN);
+    assert.deepEqual(modes, { alpha: 8, 'beta-minus': 6 });
+});
+
+test('daughters conserve nucleons', () => {
+    assert.deepEqual(getDaughter(6, 8, 'beta-minus'), { protonCount: 7, neutronCount: 7 });
+    assert.deepEqual(getDaughter(9, 9, 'beta-plus'), { protonCount: 8, neutronCount: 10 });
+    assert.deepEqual(getDaughter(27, 33, 'gamma'), { protonCount: 27, neutronCount: 33 });
+    assert.throws(() => getDaughter(6, 8, 'fission'), { name: 'RangeError', message: /Unknown decay mode 'fission'/ });
+});
+
+test('stable and estimated isotopes', () => {
+    assert.equal(getDecayInfo(6, 6), null);
+    assert.equal(getDecayInfo(26, 30), null);
+    assert.deepEqual(getDecayInfo(6, 8), { mode: 'beta-minus', halfLife: 5730 * 3.15576e7, gamma: false, estimated: false });
+
+    // Neutron-rich and proton-rich isotopes off the table still get a mode, but no half-life
+    assert.deepEqual(getDecayInfo(8, 14), { mode: 'beta-minus', halfLife: null, gamma: false, estimated: true });
+    assert.equal(getDecayInfo(8, 5).mode, 'beta-plus');
+    // Technetium has no stable isotope
+    assert.ok(getDecayInfo(43, 55));
+});
+
+test('canDecay rules out impossible modes', () => {
+    assert.equal(canDecay(2, 2, 'alpha'), false);
+    assert.equal(canDecay(1, 0, 'beta-minus'), false);
+    assert.equal(canDecay(1, 1, 'beta-plus'), false);
+    assert.equal(canDecay(92, 146, 'alpha'), true);
+    assert.equal(canDecay(92, 146, 'fission'), false);
+});
+
+test('accelerated half-lives stay within the on-screen range and keep their order', () => {
+    assert.equal(acceleratedHalfLife(null), 3);
+    assert.equal(acceleratedHalfLife(164.3e-6), 0.5);
+    assert.equal(acceleratedHalfLife(1.4e17), 8);
+    assert.ok(acceleratedHalfLife(60) < acceleratedHalfLife(86400));
+});
+
+test('sampled decay times follow the half-life', () => {
+    assert.ok(Math.abs(sampleDecayTime(2, () => 0)) < 1e-12);
+    assert.ok(Math.abs(sampleDecayTime(2, () => 0.5) - 2) < 1e-12);
+    assert.ok(Math.abs(sampleDecayTime(2, () => 0.75) - 4) < 1e-12);
+});
+
+test('formats half-lives in readable units', () => {
+    assert.equal(formatHalfLife(getDecayInfo(92, 146).halfLife), '4.47 billion years');
+    assert.equal(formatHalfLife(26.8 * 60), '26.8 minutes');
+    assert.equal(formatHalfLife(164.3e-6), '164 µs');
+    assert.equal(formatHalfLife(1e-9), '0.001 µs');
+    assert.equal(formatHalfLife(null), 'unknown');
+});
@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getElectronConfiguration, formatConfiguration, getShellLayout } from '../public/js/electron-config.js';
+
+const configure = (atomicNumber, electronCount) => formatConfiguration(getElectronConfiguration(atomicNumber, electronCount));
+
+test('fills subshells in Madelung order', () => {
+    assert.equal(configure(1), '1s1');
+    assert.equal(configure(8), '[He] 2s2 2p4');
+    assert.equal(configure(19), '[Ar] 4s1');
+    assert.equal(configure(26), '[Ar] 3d6 4s2');
+});
+
+test('applies ground-state exceptions', () => {
+    assert.equal(configure(24), '[Ar] 3d5 4s1');
+    assert.equal(configure(29), '[Ar] 3d10 4s1');
+    assert.equal(configure(46), '[Kr] 4d10');
+    assert.equal(configure(79), '[Xe] 4f14 5d10 6s1');
+});
+
+test('cations lose electrons from the highest n first', () => {
+    assert.equal(configure(26, 24), '[Ar] 3d6');
+    assert.equal(configure(26, 23), '[Ar] 3d5');
+    assert.equal(configure(29, 28), '[Ar] 3d10');
+    assert.equal(configure(11, 10), '[He] 2s2 2p6');
+    assert.deepEqual(getElectronConfiguration(1, 0), []);
+});
+
+test('anions keep filling in Madelung order', () => {
+    assert.equal(configure(17, 18), '[Ne] 3s2 3p6');
+    assert.equal(configure(1, 2), '1s2');
+});
+
+test('rejects impossible electron counts', () => {
+    assert.throws(() => getElectronConfiguration(6, -1), RangeError);
+    assert.throws(() => getElectronConfiguration(6, 2.5), RangeError);
+    assert.throws(() => getElectronConfiguration(118, 200), RangeError);
+});
+
+test('groups subshells into one ring per shell', () => {
+    const shells = getShellLayout(getElectronConfiguration(11));
+    assert.deepEqual(shells.map(({ n, electronCount, capacity }) => [n, electronCount, capacity]), [[1, 2, 2], [2, 8, 8], [3, 1, 18]]);
+    assert.ok(shells[0].radius < shells[1].radius && shells[1].radius < shells[2].radius);
+});
@@ -0,0 +1,27 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.158.0/build/three.module.js';
+import { MoleculeModel } from '../public/js/molecule.js';
+
+// Ids of the materials created while `build` runs (material ids count up from one counter)
+function createdMaterialIds(build) {
+    const first = new THREE.Material().id + 1;
+    const result = build();
+    const last = new THREE.Material().id - 1;
+    return { result, ids: Array.from({ length: last - first + 1 }, (_, index) => first + index) };
+}
+
+test('dispose frees every material a molecule created', (t) => {
+    const disposed = new Set();
+    const dispose = THREE.Material.prototype.dispose;
+    t.mock.method(THREE.Material.prototype, 'dispose', function () {
+        disposed.add(this.id);
+        return dispose.call(this);
+    });
+
+    ['CO2', 'NaCl'].forEach((preset) => {
+        const { result: molecule, ids } = createdMaterialIds(() => MoleculeModel.fromPreset(preset));
+        molecule.dispose();
+        assert.deepEqual(ids.filter((id) => !disposed.has(id)), [], `${preset} leaked materials`);
+    });
+});
@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { NUCLEON_SPACING, packNucleus, estimateNucleusRadius, createSeededRandom } from '../public/js/nucleus-packing.js';
+
+const count = (particles, type) => particles.filter((particle) => particle.type === type).length;
+
+test('packs exactly the requested protons and neutrons', () => {
+    const { particles } = packNucleus(26, 30);
+    assert.equal(particles.length, 56);
+    assert.equal(count(particles, 'proton'), 26);
+    assert.equal(count(particles, 'neutron'), 30);
+});
+
+test('is deterministic for an isotope', () => {
+    assert.deepEqual(packNucleus(8, 8), packNucleus(8, 8));
+    assert.notDeepEqual(packNucleus(8, 8).particles, packNucleus(8, 8, { seed: 1 }).particles);
+});
+
+test('keeps nucleons apart and centred on the origin', () => {
+    const { particles } = packNucleus(20, 20);
+    const centroid = [0, 1, 2].map((axis) => particles.reduce((sum, { position }) => sum + position[axis], 0) / particles.length);
+    centroid.forEach((value) => assert.ok(Math.abs(value) < 1e-9));
+    for (let i = 0; i < particles.length; i++) {
+        for (let j = i + 1; j < particles.length; j++) {
+            const distance = Math.hypot(...particles[i].position.map((value, axis) => value - particles[j].position[axis]));
+            assert.ok(distance >= NUCLEON_SPACING - 1e-9, `nucleons ${i} and ${j} overlap`);
+        }
+    }
+});
+
+test('grows roughly with A^(1/3)', () => {
+    const small = packNucleus(6, 6).radius;
+    const large = packNucleus(92, 146).radius;
+    const expected = estimateNucleusRadius(238) / estimateNucleusRadius(12);
+    assert.ok(Math.abs(large / small - expected) / expected < 0.35);
+});
+
+test('handles empty and single-nucleon nuclei', () => {
+    assert.deepEqual(packNucleus(0, 0), { particles: [], radius: 0 });
+    const hydrogen = packNucleus(1, 0);
+    assert.equal(hydrogen.particles.length, 1);
+    assert.equal(hydrogen.radius, 0);
+});
+
+test('seeded random numbers repeat and stay in [0, 1)', () => {
+    const a = createSeededRandom(42);
+    const b = createSeededRandom(42);
+    for (let i = 0; i < 100; i++) {
+        const value = a();
+        assert.equal(value, b());
+        assert.ok(value >= 0 && value < 1);
+    }
+});
@@ -0,0 +1,116 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { encodeStateHash, decodeStateHash, STATE_VERSION } from '../public/js/share-link.js';
+import { U238_DECAY_CHAIN } from '../public/js/decay.js';
+import { MAX_MASS_NUMBER } from '../public/js/atom.js';
+
+const clock = { time: 0, timeScale: 1, paused: false };
+
+test('round-trips an atom state', () => {
+    const state = {
+        theme: 'cpk',
+        clock: { time: 12.5, timeScale: 2, paused: true },
+        model: {
+            kind: 'atom',
+            atomicNumber: 16,
+            massNumber: 34,
+            charge: -2,
+            renderMode: 'quantum',
+            decay: null,
+            scale: 0.75,
+            rotationY: 1.5708,
+            selection: [{ type: 'proton', index: 3 }, { type: 'orbit', n: 2 }, { type: 'orbital', label: '3p' }, { type: 'nucleus' }]
+        },
+        placement: { offset: [0.1, -0.25, 1], tilt: [0.5, -0.2] }
+    };
+    const hash = encodeStateHash(state);
+    assert.equal(hash, '#v=1&z=16&a=34&q=-2&rm=q&th=cpk&t=12.5&ts=2&p=1&s=0.75&r=1.571&sel=p3.o2.c3p.N&o=0.1_-0.25_1&tl=0.5_-0.2');
+
+    const decoded = decodeStateHash(hash);
+    assert.equal(decoded.version, STATE_VERSION);
+    assert.equal(decoded.theme, 'cpk');
+    assert.deepEqual(decoded.clock, state.clock);
+    assert.deepEqual(decoded.model, {
+        ...state.model,
+        theme: 'cpk',
+        time: 12.5,
+        rotationY: 1.571,
+        selection: [{ type: 'proton', index: 3 }, { type: 'orbit', n: 2 }, { type: 'orbital', label: '3p' }, { type: 'nucleus' }]
+    });
+    assert.deepEqual(decoded.placement, state.placement);
+});
+
+test('round-trips the uranium decay series, but not other chains', () => {
+    const atom = (decay) => ({
+        theme: 'default',
+        clock,
+        model: { kind: 'atom', atomicNumber: 92, massNumber: 238, charge: 0, decay, scale: 0.5, rotationY: 0, selection: [] }
+    });
+    const series = decodeStateHash(encodeStateHash(atom({ chain: [...U238_DECAY_CHAIN], halfLife: 4.2 })));
+    assert.deepEqual(series.model.decay, { halfLife: 4.2, chain: U238_DECAY_CHAIN });
+    assert.equal(series.model.renderMode, 'bohr');
+
+    const other = decodeStateHash(encodeStateHash(atom({ chain: ['C-14', 'N-14'], halfLife: null })));
+    assert.deepEqual(other.model.decay, { halfLife: null, chain: null });
+});
+
+test('round-trips molecule and comparison selections with atom indices', () => {
+    const selection = [{ type: 'electron', index: 1, atom: 2 }, { type: 'nucleus', atom: 0 }];
+    const molecule = decodeStateHash(encodeStateHash({
+        theme: 'default',
+        clock,
+        model: { kind: 'molecule', preset: 'water', scale: 0.5, rotationY: 0, selection }
+    }));
+    assert.equal(molecule.model.kind, 'molecule');
+    assert.equal(molecule.model.preset, 'water');
+    assert.deepEqual(molecule.model.selection, selection);
+    assert.equal(molecule.placement, null);
+
+    const custom = decodeStateHash(encodeStateHash({
+        theme: 'colorblind',
+        clock,
+        model: { kind: 'comparison', preset: null, elements: ['Li', 'Na', 'K'], scale: 0.3, rotationY: 0, selection: [] }
+    }));
+    assert.equal(custom.model.kind, 'comparison');
+    assert.equal(custom.model.preset, null);
+    assert.deepEqual(custom.model.elements, ['Li', 'Na', 'K']);
+
+    const preset = decodeStateHash('#v=1&cmp=period3&s=0.3');
+    assert.equal(preset.model.preset, 'period3');
+    assert.equal(preset.model.elements, null);
+});
+
+test('refuses to encode structures loaded from a file', () => {
+    assert.throws(() => encodeStateHash({
+        theme: 'default',
+        clock,
+        model: { kind: 'molecule', preset: null, scale: 0.5, rotationY: 0, selection: [] }
+    }), /too large to share/);
+});
+
+test('returns null for hashes that are not state links', () => {
+    assert.equal(decodeStateHash(''), null);
+    assert.equal(decodeStateHash('#section-2'), null);
+});
+
+test('rejects malformed links', () => {
+    assert.throws(() => decodeStateHash('#v=2&z=1&a=1'), { name: 'RangeError', message: /Unsupported link version: 2/ });
+    assert.throws(() => decodeStateHash('#v=1&th=neon'), { name: 'RangeError', message: /Invalid th in link: neon/ });
+    assert.throws(() => decodeStateHash('#v=1&th=toString'), { name: 'RangeError', message: /Invalid th/ });
+    assert.throws(() => decodeStateHash('#v=1&z=one&a=1'), { name: 'RangeError', message: /Invalid z in link: one/ });
+    assert.throws(() => decodeStateHash('#v=1&z=1&a=1&sel=x1'), { name: 'RangeError', message: /Unknown selected part in link: x1/ });
+    assert.throws(() => decodeStateHash('#v=1&o=0_1'), { name: 'RangeError', message: /Invalid o in link: 0_1/ });
+    assert.throws(() => decodeStateHash('#v=1&o=0_0_0&tl=a_b'), { name: 'RangeError', message: /Invalid tl in link: a_b/ });
+});
+
+test('rejects mass numbers no atom can have', () => {
+    const atom = (massNumber) => ({
+        theme: 'default',
+        clock,
+        model: { kind: 'atom', atomicNumber: 92, massNumber, charge: 0, decay: null, scale: 0.5, rotationY: 0, selection: [] }
+    });
+    assert.equal(decodeStateHash(encodeStateHash(atom(MAX_MASS_NUMBER))).model.massNumber, MAX_MASS_NUMBER);
+    assert.throws(() => decodeStateHash(encodeStateHash(atom(100000))), { name: 'RangeError', message: /Invalid a in link: 100000/ });
+    assert.throws(() => decodeStateHash(encodeStateHash(atom(91))), { name: 'RangeError', message: /Invalid a in link: 91/ });
+    assert.throws(() => decodeStateHash('#v=1&z=6&a=12.5'), { name: 'RangeError', message: /Invalid a in link: 12.5/ });
+});
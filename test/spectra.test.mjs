@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getElement } from '../public/js/elements.js';
+import {
+    EMISSION_LINES, rydbergWavelength, seriesName, getEmissionLine, getReferenceLines, wavelengthToRGB, wavelengthToCSS
+} from '../public/js/spectra.js';
+
+const close = (actual, expected, tolerance = 0.1) =>
+    assert.ok(Math.abs(actual - expected) < tolerance, `expected ${actual} to be within ${tolerance} of ${expected}`);
+
+test('hydrogen lines follow the Rydberg formula', () => {
+    close(rydbergWavelength(3, 2), 656.5); // H-alpha, in vacuum
+    close(rydbergWavelength(4, 2), 486.3);
+    close(rydbergWavelength(2, 1), 121.6);
+    // Z^2 scaling for hydrogen-like ions
+    close(rydbergWavelength(3, 2, 2), rydbergWavelength(3, 2) / 4, 1e-9);
+});
+
+test('rejects transitions that are not emissions', () => {
+    assert.throws(() => rydbergWavelength(2, 2), { name: 'RangeError', message: /nUpper > nLower >= 1, got 2 -> 2/ });
+    assert.throws(() => rydbergWavelength(2, 3), RangeError);
+    assert.throws(() => rydbergWavelength(1, 0), RangeError);
+});
+
+test('names lines by series and step', () => {
+    assert.equal(seriesName(3, 2), 'Balmer α');
+    assert.equal(seriesName(5, 1), 'Lyman δ');
+    assert.equal(seriesName(12, 2), 'Balmer 12→2');
+    assert.equal(seriesName(9, 8), 'n=8 α');
+});
+
+test('one-electron atoms emit their exact Rydberg line', () => {
+    const helium = getElement(2);
+    assert.deepEqual(getEmissionLine(getElement(1), 1, 3, 2), { wavelength: rydbergWavelength(3, 2), series: 'Balmer α', source: 'rydberg' });
+    close(getEmissionLine(helium, 1, 4, 3).wavelength, rydbergWavelength(4, 3) / 4, 1e-9);
+});
+
+test('many-electron atoms emit their measured lines, strongest for the drop to the ground level', () => {
+    const sodium = getElement(11);
+    const emit = (nUpper, nLower) => getEmissionLine(sodium, 11, nUpper, nLower, 3).wavelength;
+    assert.deepEqual(getEmissionLine(sodium, 11, 4, 3, 3), { wavelength: 589.0, series: 'Na line', source: 'table' });
+    // Longer drops to the ground level take the next strongest lines, wrapping around the table
+    assert.deepEqual([5, 6, 7].map((nUpper) => emit(nUpper, 3)), [589.6, 568.8, 498.3]);
+    // Drops between excited levels start from the weakest line
+    assert.equal(emit(5, 4), 498.3);
+    assert.equal(emit(6, 4), 568.8);
+    assert.equal(emit(6, 5), 568.8);
+    // Every jump lands on a line of the element's own spectrum, the same way each time
+    for (let nUpper = 4; nUpper <= 7; nUpper++) {
+        for (let nLower = 3; nLower < nUpper; nLower++) {
+            assert.ok(EMISSION_LINES.Na.includes(emit(nUpper, nLower)));
+            assert.equal(emit(nUpper, nLower), emit(nUpper, nLower));
+        }
+    }
+    assert.throws(() => getEmissionLine(sodium, 11, 3, 3, 3), RangeError);
+});
+
+test('elements without a line table fall back to the hydrogen wavelength, labelled as an approximation', () => {
+    const silicon = getElement(14);
+    assert.equal(EMISSION_LINES.Si, undefined);
+    assert.deepEqual(getEmissionLine(silicon, 14, 4, 3, 3), {
+        wavelength: rydbergWavelength(4, 3),
+        series: 'Paschen α (H approx.)',
+        source: 'rydberg'
+    });
+});
+
+test('reference lines are the Balmer series or the measured spectrum', () => {
+    const hydrogen = getReferenceLines(getElement(1), 1);
+    assert.equal(hydrogen.length, 5);
+    close(hydrogen[0], 656.5);
+    close(hydrogen[4], 397.1);
+    assert.deepEqual(getReferenceLines(getElement(11), 11), EMISSION_LINES.Na);
+    assert.deepEqual(getReferenceLines(getElement(14), 14), []);
+});
+
+test('maps wavelengths to display colors', () => {
+    assert.equal(wavelengthToCSS(700), 'rgb(255, 0, 0)');
+    assert.equal(wavelengthToCSS(500), 'rgb(0, 255, 128)');
+    assert.equal(wavelengthToCSS(450), 'rgb(0, 51, 255)');
+    // Invisible photons keep a faint color
+    assert.deepEqual(wavelengthToRGB(121.6), { r: 0.35, g: 0.2, b: 0.55 });
+    assert.deepEqual(wavelengthToRGB(1875), { r: 0.45, g: 0.08, b: 0.08 });
+});
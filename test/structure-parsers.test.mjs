@@ -0,0 +1,103 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseXYZ, parsePDB, parseMolfile, parseStructureFile, StructureParseError } from '../public/js/structure-parsers.js';
+
+const WATER_XYZ = ['3', 'water', 'O 0.000 0.000 0.000', 'H 0.757 0.586 0.000', 'H -0.757 0.586 0.000'].join('\n');
+
+// Fixed-column records, as PDB and molfiles require
+const column = (value, width, right = true) => (right ? String(value).padStart(width) : String(value).padEnd(width));
+const coordinates = (x, y, z) => [x, y, z].map((value) => column(value.toFixed(3), 8)).join('');
+const pdbAtom = (serial, name, [x, y, z], element = '') =>
+    `ATOM  ${column(serial, 5)} ${name} GLY A   1    ${coordinates(x, y, z)}  1.00  0.00          ${column(element, 2)}`;
+const molAtom = (symbol, [x, y, z]) => `${[x, y, z].map((value) => column(value.toFixed(4), 10)).join('')} ${column(symbol, 3, false)} 0  0`;
+const molBond = (from, to, type) => `${column(from, 3)}${column(to, 3)}${column(type, 3)}  0`;
+const molfile = (atoms, bonds) => [
+    'Formaldehyde', '  test', '',
+    `${column(atoms.length, 3)}${column(bonds.length, 3)}  0  0  0  0  0  0  0  0999 V2000`,
+    ...atoms, ...bonds, 'M  END'
+].join('\n');
+
+// Asserts a StructureParseError pointing at `lineNumber`
+function assertParseError(parse, lineNumber, pattern) {
+    assert.throws(parse, (error) => {
+        assert.ok(error instanceof StructureParseError);
+        assert.equal(error.lineNumber, lineNumber);
+        assert.match(error.message, new RegExp(`^Line ${lineNumber}: `));
+        if (pattern) assert.match(error.message, pattern);
+        return true;
+    });
+}
+
+test('XYZ: reads atoms and infers bonds from distances', () => {
+    const water = parseXYZ(WATER_XYZ);
+    assert.equal(water.name, 'water');
+    assert.deepEqual(water.atoms.map((atom) => atom.symbol), ['O', 'H', 'H']);
+    assert.deepEqual(water.bonds.map(({ from, to }) => [from, to]), [[0, 1], [0, 2]]);
+});
+
+test('XYZ: reports the line of each error', () => {
+    assertParseError(() => parseXYZ('three\n'), 1, /atom count/);
+    assertParseError(() => parseXYZ('3\nwater\nO 0 0 0\nH 0.757 0.586 0\n'), 5, /found only 2/);
+    assertParseError(() => parseXYZ('1\n\nXx 0 0 0'), 3, /unknown element 'Xx'/);
+    assertParseError(() => parseXYZ('1\n\nO 0 zero 0'), 3, /invalid y coordinate 'zero'/);
+});
+
+test('PDB: takes the element from columns 77-78', () => {
+    const { atoms } = parsePDB([pdbAtom(1, ' CA ', [0, 0, 0], 'CA'), pdbAtom(2, ' CA ', [3, 0, 0], 'C')].join('\n'));
+    assert.deepEqual(atoms.map((atom) => atom.symbol), ['Ca', 'C']);
+});
+
+test('PDB: without columns 77-78, reads the element right-justified in the atom name', () => {
+    const records = [' CA ', 'CA  ', ' N  ', '1HB ', 'FE  '].map((name, index) => pdbAtom(index + 1, name, [index * 3, 0, 0]).trimEnd());
+    const { atoms } = parsePDB(records.join('\n'));
+    assert.deepEqual(atoms.map((atom) => atom.symbol), ['C', 'Ca', 'N', 'H', 'Fe']);
+});
+
+test('PDB: uses CONECT bonds and stops at the first model', () => {
+    const text = [
+        'TITLE     CARBON MONOXIDE',
+        'MODEL        1',
+        pdbAtom(1, ' C  ', [0, 0, 0], 'C'),
+        pdbAtom(2, ' O  ', [1.128, 0, 0], 'O'),
+        'CONECT    1    2',
+        'ENDMDL',
+        pdbAtom(3, ' O  ', [5, 0, 0], 'O')
+    ].join('\n');
+    const structure = parsePDB(text);
+    assert.equal(structure.name, 'CARBON MONOXIDE');
+    assert.equal(structure.atoms.length, 2);
+    assert.deepEqual(structure.bonds, [{ from: 0, to: 1, order: 1, type: 'covalent' }]);
+});
+
+test('PDB: reports the line of each error', () => {
+    assertParseError(() => parsePDB(`REMARK\nATOM      1  C   GLY A   1       0.000`), 2, /too short/);
+    assertParseError(() => parsePDB([pdbAtom(1, ' C  ', [0, 0, 0], 'C'), 'CONECT    1    7'].join('\n')), 2, /unknown atom serial '7'/);
+    assertParseError(() => parsePDB([pdbAtom(1, ' C  ', [0, 0, 0], 'XX')].join('\n')), 1, /unknown element/);
+    assert.throws(() => parsePDB('REMARK nothing here'), /no ATOM or HETATM records/);
+});
+
+test('Molfile: reads atoms and bond orders', () => {
+    const text = molfile(
+        [molAtom('C', [0, 0, 0]), molAtom('O', [1.2, 0, 0]), molAtom('H', [-0.5, 0.9, 0]), molAtom('H', [-0.5, -0.9, 0])],
+        [molBond(1, 2, 2), molBond(1, 3, 1), molBond(1, 4, 1)]
+    );
+    const structure = parseMolfile(text);
+    assert.equal(structure.name, 'Formaldehyde');
+    assert.deepEqual(structure.atoms.map((atom) => atom.symbol), ['C', 'O', 'H', 'H']);
+    assert.deepEqual(structure.bonds.map(({ from, to, order }) => [from, to, order]), [[0, 1, 2], [0, 2, 1], [0, 3, 1]]);
+});
+
+test('Molfile: reports the line of each error', () => {
+    assertParseError(() => parseMolfile('title\n\n'), 4, /missing counts line/);
+    assertParseError(() => parseMolfile('t\n\n\n  0  0  0  0  0  0  0  0  0  0999 V3000'), 4, /V3000/);
+    assertParseError(() => parseMolfile(molfile([molAtom('C', [0, 0, 0])], [molBond(1, 2, 1)])), 6, /bond refers to atom 2/);
+    assertParseError(() => parseMolfile(molfile([molAtom('C', [0, 0, 0]), molAtom('C', [1.5, 0, 0])], [molBond(1, 2, 9)])), 7, /invalid bond type '9'/);
+    const truncated = molfile([molAtom('C', [0, 0, 0]), molAtom('O', [1.2, 0, 0])], []).split('\n');
+    truncated.splice(5, 1);
+    assertParseError(() => parseMolfile(truncated.join('\n')), 6, /found only 1/);
+});
+
+test('picks a parser from the file extension', () => {
+    assert.equal(parseStructureFile(WATER_XYZ, 'Water.XYZ').atoms.length, 3);
+    assert.throws(() => parseStructureFile(WATER_XYZ, 'water.cif'), /unsupported file type 'water.cif'/);
+});
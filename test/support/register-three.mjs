@@ -0,0 +1,4 @@
+import { register } from 'node:module';
+
+// Preloaded by `npm test` (--import), see three-cdn-hooks.mjs
+register('./three-cdn-hooks.mjs', import.meta.url);
@@ -0,0 +1,12 @@
+// Module hooks that resolve the browser's three.js CDN imports to the installed three package
+// (the same version, see package.json), so modules that draw can be loaded by the tests.
+
+const CDN_PREFIX = 'https://cdn.jsdelivr.net/npm/three@0.158.0/';
+const PACKAGE_URL = new URL('../../package.json', import.meta.url).href;
+
+export async function resolve(specifier, context, nextResolve) {
+    if (!specifier.startsWith(CDN_PREFIX)) return nextResolve(specifier, context);
+    const path = specifier.slice(CDN_PREFIX.length);
+    const packageSpecifier = path === 'build/three.module.js' ? 'three' : `three/${path}`;
+    return nextResolve(packageSpecifier, { ...context, parentURL: PACKAGE_URL });
+}